@@ -0,0 +1,151 @@
+import express from 'express';
+import { requireRegisteredApiKey } from '../utils/filterPresets.js';
+import {
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  getRuleHistory,
+  testRule,
+} from '../utils/alertRules.js';
+
+const router = express.Router();
+
+// Every alert rule endpoint is scoped to the caller's API key (one listed in CLIENT_API_KEY_HASHES)
+router.use(requireRegisteredApiKey);
+
+function ruleNotFound(res, id) {
+  return res.status(404).json({
+    success: false,
+    error: 'Rule not found',
+    message: `No alert rule "${id}" for this API key`,
+  });
+}
+
+// Validation errors carry status 400; anything else is a storage failure
+function sendRuleError(res, error, failure) {
+  if (!error.status) {
+    console.error(`❌ ${failure}:`, error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? 'Invalid rule' : failure,
+    message: error.message,
+  });
+}
+
+/**
+ * GET /api/alerts/rules
+ * List the caller's alert rules
+ */
+router.get('/rules', async (req, res) => {
+  try {
+    const rules = await listRules(req.apiKey);
+    res.json({ success: true, count: rules.length, rules });
+  } catch (error) {
+    sendRuleError(res, error, 'Failed to list alert rules');
+  }
+});
+
+/**
+ * POST /api/alerts/rules
+ * Create a rule
+ *
+ * Body: {
+ *   "name": "SPY 0-6 DTE put buys > $1M",
+ *   "source": "flow" | "scanner" | "all",
+ *   "filters": { "ticker": "SPY", "type": "PUT", "minPremium": 1000000, "filterMaxDte": 6, "side": "At Ask" },
+ *   "webhook": { "url": "https://example.com/hook", "format": "json" | "discord" | "slack", "secret": "..." },
+ *   "cooldownMinutes": 15,
+ *   "enabled": true
+ * }
+ */
+router.post('/rules', async (req, res) => {
+  try {
+    const rule = await createRule(req.apiKey, req.body || {});
+    res.status(201).json({ success: true, rule });
+  } catch (error) {
+    sendRuleError(res, error, 'Failed to save alert rule');
+  }
+});
+
+/**
+ * GET /api/alerts/rules/:id
+ */
+router.get('/rules/:id', async (req, res) => {
+  try {
+    const rule = await getRule(req.apiKey, req.params.id);
+    if (!rule) {
+      return ruleNotFound(res, req.params.id);
+    }
+    res.json({ success: true, rule });
+  } catch (error) {
+    sendRuleError(res, error, 'Failed to load alert rule');
+  }
+});
+
+/**
+ * PUT /api/alerts/rules/:id
+ * Replace a rule (same body as POST; omit webhook.secret to keep the current one)
+ */
+router.put('/rules/:id', async (req, res) => {
+  try {
+    const rule = await updateRule(req.apiKey, req.params.id, req.body || {});
+    if (!rule) {
+      return ruleNotFound(res, req.params.id);
+    }
+    res.json({ success: true, rule });
+  } catch (error) {
+    sendRuleError(res, error, 'Failed to save alert rule');
+  }
+});
+
+/**
+ * DELETE /api/alerts/rules/:id
+ */
+router.delete('/rules/:id', async (req, res) => {
+  try {
+    if (!(await deleteRule(req.apiKey, req.params.id))) {
+      return ruleNotFound(res, req.params.id);
+    }
+    res.json({ success: true, deleted: req.params.id });
+  } catch (error) {
+    sendRuleError(res, error, 'Failed to delete alert rule');
+  }
+});
+
+/**
+ * GET /api/alerts/rules/:id/history?limit=50
+ * Triggers and their delivery results, newest first
+ */
+router.get('/rules/:id/history', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const history = await getRuleHistory(req.apiKey, req.params.id, { limit });
+    if (!history) {
+      return ruleNotFound(res, req.params.id);
+    }
+    res.json({ success: true, ruleId: req.params.id, count: history.length, history });
+  } catch (error) {
+    sendRuleError(res, error, 'Failed to load alert rule');
+  }
+});
+
+/**
+ * POST /api/alerts/rules/:id/test
+ * Send a sample alert to the rule's webhook and return the delivery result
+ */
+router.post('/rules/:id/test', async (req, res) => {
+  try {
+    const delivery = await testRule(req.apiKey, req.params.id);
+    if (!delivery) {
+      return ruleNotFound(res, req.params.id);
+    }
+    res.json({ success: delivery.status === 'delivered', delivery });
+  } catch (error) {
+    sendRuleError(res, error, 'Failed to test alert rule');
+  }
+});
+
+export default router;
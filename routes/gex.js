@@ -1,12 +1,19 @@
 import express from 'express';
 import axios from 'axios';
-import { recentTradesMap } from '../utils/optionsCalculations.js';
+import { recentTradesMap, calculateImpliedVolatility, getEasternDateString } from '../utils/optionsCalculations.js';
+import { classicSign, createPositioningModel } from '../utils/dealerPositioning.js';
+import { configureGEXCache, getGEX, getOptionsChain, getGEXCacheStats } from '../utils/gexCache.js';
 
 const router = express.Router();
 
 // Risk-free rate (10-year Treasury yield approximation)
 const RISK_FREE_RATE = 0.045; // 4.5%
 
+// Errors that map to a response: HTTP status plus the `error` label
+function gexError(status, label, message = label) {
+  return Object.assign(new Error(message), { status, label });
+}
+
 // ============================================
 // BLACK-SCHOLES CALCULATIONS (JavaScript)
 // ============================================
@@ -37,6 +44,16 @@ function calculateD(S, K, T, r, sigma) {
   return { d1, d2 };
 }
 
+/**
+ * Black-Scholes price of an option
+ */
+function calculateOptionPrice(S, K, T, r, sigma, isCall) {
+  const { d1, d2 } = calculateD(S, K, T, r, sigma);
+  return isCall
+    ? S * normCDF(d1) - K * Math.exp(-r * T) * normCDF(d2)
+    : K * Math.exp(-r * T) * normCDF(-d2) - S * normCDF(-d1);
+}
+
 /**
  * Calculate Gamma for an option
  */
@@ -47,16 +64,25 @@ function calculateGamma(S, K, T, r, sigma) {
 
 /**
  * Calculate all Greeks for an option
+ * Second-order greeks are per unit of spot, volatility (1.00 = 100%) and year:
+ * - vanna: d(delta)/d(sigma)
+ * - charm: change in delta per year of time passing, -d(delta)/d(T) (same for calls and puts with no dividend)
+ * - vomma: d(vega)/d(sigma)
  */
 function calculateAllGreeks(S, K, T, r, sigma, isCall) {
   const { d1, d2 } = calculateD(S, K, T, r, sigma);
   const gamma = calculateGamma(S, K, T, r, sigma);
   const delta = isCall ? normCDF(d1) : normCDF(d1) - 1;
+  const sqrtT = Math.sqrt(T);
+  const vega = S * normPDF(d1) * sqrtT;
   
   return {
     delta,
     gamma,
-    // Other Greeks can be added if needed
+    vega,
+    vanna: -normPDF(d1) * d2 / sigma,
+    charm: -normPDF(d1) * (2 * r * T - d2 * sigma * sqrtT) / (2 * T * sigma * sqrtT),
+    vomma: vega * d1 * d2 / sigma,
   };
 }
 
@@ -67,64 +93,206 @@ function daysToYears(days) {
   return days / 365.25;
 }
 
+/**
+ * Time to expiration in years (at least one day, so 0DTE gamma stays finite)
+ */
+function getTimeToExpiration(expDate) {
+  const daysToExp = Math.max(1, Math.ceil((new Date(expDate) - new Date()) / (1000 * 60 * 60 * 24)));
+  return daysToYears(daysToExp);
+}
+
+// ============================================
+// GREEKS FALLBACK
+// ============================================
+
+// calculateImpliedVolatility clamps to 1%-500%; a result on a bound means no IV matched the price
+const MIN_SOLVED_IV = 0.01;
+const MAX_SOLVED_IV = 5.0;
+// A solved IV must reprice the option to within $0.01 or 0.5% of its price, whichever is larger.
+// The solver returns its 30% starting guess when vega is tiny (deep ITM/OTM) and unconverged values
+// after its iteration cap; both are inside the bounds but do not match the price.
+const SOLVED_IV_ABS_TOLERANCE = 0.01;
+const SOLVED_IV_REL_TOLERANCE = 0.005;
+
+function isCallContract(contract) {
+  const type = (contract.details?.contract_type || contract.contract_type || contract.type || contract.option_type || '').toLowerCase();
+  return type === 'call' || type === 'c' || type === 'call_option';
+}
+
+/**
+ * Option price for solving IV: quote midpoint, else last trade, else day close
+ */
+function getOptionPrice(contract) {
+  const bid = parseFloat(contract.last_quote?.bid);
+  const ask = parseFloat(contract.last_quote?.ask);
+  if (bid > 0 && ask >= bid) return (bid + ask) / 2;
+
+  const price = parseFloat(contract.last_trade?.price) || parseFloat(contract.day?.close);
+  return price > 0 ? price : null;
+}
+
+/**
+ * Implied volatility for a contract: the snapshot's, else solved from the option price (null if neither)
+ */
+function getContractIV(contract, spotPrice, strike, timeToExp, isCall) {
+  const iv = parseFloat(contract.implied_volatility);
+  if (iv > 0) {
+    return { iv, ivSource: 'vendor' };
+  }
+
+  const price = getOptionPrice(contract);
+  if (!price) {
+    return null;
+  }
+  const solved = calculateImpliedVolatility(price, spotPrice, strike, timeToExp, RISK_FREE_RATE, isCall);
+  if (!(solved > MIN_SOLVED_IV && solved < MAX_SOLVED_IV)) {
+    return null;
+  }
+  const repriced = calculateOptionPrice(spotPrice, strike, timeToExp, RISK_FREE_RATE, solved, isCall);
+  const tolerance = Math.max(SOLVED_IV_ABS_TOLERANCE, price * SOLVED_IV_REL_TOLERANCE);
+  return Math.abs(repriced - price) <= tolerance ? { iv: solved, ivSource: 'solved' } : null;
+}
+
+/**
+ * Greeks for a contract: gamma/delta from the snapshot when present, otherwise Black-Scholes
+ * from the snapshot's implied volatility, or from IV solved out of the option price.
+ * Vanna, charm and vomma are always Black-Scholes (the snapshot does not carry them), null without an IV.
+ * @returns {{ gamma, delta, vanna, charm, vomma, source: 'vendor'|'model', ivSource: 'vendor'|'solved'|null }|null}
+ *   null if there is no gamma either way
+ */
+function resolveContractGreeks(contract, spotPrice, timeToExp) {
+  const greeks = contract.greeks || {};
+  const strike = parseFloat(contract.details?.strike_price || contract.strike_price || contract.strike);
+  const isCall = isCallContract(contract);
+  const iv = strike > 0 && spotPrice > 0 && timeToExp > 0
+    ? getContractIV(contract, spotPrice, strike, timeToExp, isCall)
+    : null;
+  const model = iv ? calculateAllGreeks(spotPrice, strike, timeToExp, RISK_FREE_RATE, iv.iv, isCall) : null;
+  const secondOrder = {
+    vanna: Number.isFinite(model?.vanna) ? model.vanna : null,
+    charm: Number.isFinite(model?.charm) ? model.charm : null,
+    vomma: Number.isFinite(model?.vomma) ? model.vomma : null,
+  };
+
+  if (Number.isFinite(greeks.gamma)) {
+    return {
+      gamma: greeks.gamma,
+      delta: Number.isFinite(greeks.delta) ? greeks.delta : null,
+      ...secondOrder,
+      source: 'vendor',
+      ivSource: iv?.ivSource || null,
+    };
+  }
+
+  if (!model || !Number.isFinite(model.gamma)) {
+    return null;
+  }
+  return { gamma: model.gamma, delta: model.delta, ...secondOrder, source: 'model', ivSource: iv.ivSource };
+}
+
+/**
+ * Greeks for every contract, keyed by contract object; contracts without either are left out
+ */
+function resolveChainGreeks(contractsByExpiration, spotPrice) {
+  const greeksByContract = new Map();
+  const sources = { vendor: 0, model: 0, solvedIV: 0, missing: 0 };
+
+  for (const [expDate, contracts] of Object.entries(contractsByExpiration)) {
+    const timeToExp = getTimeToExpiration(expDate);
+    contracts.forEach((contract) => {
+      const greeks = resolveContractGreeks(contract, spotPrice, timeToExp);
+      if (!greeks) {
+        sources.missing++;
+        return;
+      }
+      greeksByContract.set(contract, greeks);
+      sources[greeks.source]++;
+      if (greeks.source === 'model' && greeks.ivSource === 'solved') sources.solvedIV++;
+    });
+  }
+
+  return { greeksByContract, sources };
+}
+
+// 'vendor' or 'model' when every contract at the strike agrees, 'mixed' otherwise (null if none)
+function summarizeGreeksSource(sources) {
+  if (sources.size === 0) return null;
+  return sources.size === 1 ? [...sources][0] : 'mixed';
+}
+
 // ============================================
 // GEX CALCULATIONS
 // ============================================
 
 /**
  * Calculate Gamma Exposure for a single option
+ * dealerSign: +1 if dealers are long the contract, -1 if short (see utils/dealerPositioning.js)
  */
-function calculateSingleGEX(gamma, openInterest, spotPrice, optionType) {
+function calculateSingleGEX(gamma, openInterest, spotPrice, optionType, dealerSign = classicSign(optionType)) {
   // GEX = Gamma × OI × 100 × SpotPrice²
-  // Calls are positive, puts are negative for market makers
-  const multiplier = optionType === 'call' ? 1 : -1;
-  return gamma * openInterest * 100 * Math.pow(spotPrice, 2) * multiplier;
+  // Classic convention: calls are positive, puts are negative for market makers
+  return gamma * openInterest * 100 * Math.pow(spotPrice, 2) * dealerSign;
 }
 
 /**
- * Calculate aggregate GEX at specific strike
+ * Vanna, charm and vomma exposure for a single option, with the same dealer sign as GEX
+ * - vanna: dollar delta change per 1 IV point (vanna × OI × 100 × spot × 0.01)
+ * - charm: dollar delta change per calendar day (charm / 365.25 × OI × 100 × spot)
+ * - vomma: change in dollar vega (per IV point) per 1 IV point (vomma × OI × 100 × 0.01²)
+ * Missing greeks count as zero.
  */
-function calculateStrikeGEX(strike, callGamma, putGamma, callOI, putOI, spotPrice) {
-  const callGEX = calculateSingleGEX(callGamma, callOI, spotPrice, 'call');
-  const putGEX = calculateSingleGEX(putGamma, putOI, spotPrice, 'put');
-  
+function calculateSecondOrderExposure(greeks, openInterest, spotPrice, optionType, dealerSign = classicSign(optionType)) {
+  const contracts = openInterest * 100 * dealerSign;
   return {
-    totalGEX: Math.abs(callGEX) + Math.abs(putGEX),
-    callGEX,
-    putGEX,
-    netGEX: callGEX + putGEX
+    vanna: (greeks.vanna || 0) * contracts * spotPrice * 0.01,
+    charm: (greeks.charm || 0) / 365.25 * contracts * spotPrice,
+    vomma: (greeks.vomma || 0) * contracts * 0.0001,
   };
 }
 
+/**
+ * Net GEX and OI per strike summed across expirations, ascending by strike
+ * (netGEX carries the positioning model's dealer signs)
+ */
+function aggregateByStrike(gexByExpiration) {
+  const byStrike = new Map();
+  
+  Object.values(gexByExpiration).forEach(expData => {
+    expData.strikes.forEach(s => {
+      const level = byStrike.get(s.strike) || { strike: s.strike, netGEX: 0, callOI: 0, putOI: 0 };
+      level.netGEX += s.netGEX;
+      level.callOI += s.callOI;
+      level.putOI += s.putOI;
+      byStrike.set(s.strike, level);
+    });
+  });
+  
+  return Array.from(byStrike.values()).sort((a, b) => a.strike - b.strike);
+}
+
 /**
  * Find gamma flip point (zero gamma point)
+ * @param {Array} strikeLevels - from aggregateByStrike
  */
-function findGammaFlip(optionsChain, spotPrice) {
+function findGammaFlip(strikeLevels) {
   let prevNetGEX = 0;
+  let prevStrike = null;
   let flipPoint = null;
   
-  for (let i = 0; i < optionsChain.length; i++) {
-    const option = optionsChain[i];
-    const { netGEX } = calculateStrikeGEX(
-      option.strike,
-      option.callGamma,
-      option.putGamma,
-      option.callOI,
-      option.putOI,
-      spotPrice
-    );
+  for (const { strike, netGEX } of strikeLevels) {
+    if (netGEX === 0) continue;
     
     // Look for sign change
     if (prevNetGEX !== 0 && Math.sign(netGEX) !== Math.sign(prevNetGEX)) {
       // Interpolate exact flip point
-      const prevOption = optionsChain[i - 1];
-      flipPoint = option.strike - 
+      flipPoint = strike - 
         (netGEX / (netGEX - prevNetGEX)) * 
-        (option.strike - prevOption.strike);
+        (strike - prevStrike);
       break;
     }
     
     prevNetGEX = netGEX;
+    prevStrike = strike;
   }
   
   return flipPoint;
@@ -132,25 +300,13 @@ function findGammaFlip(optionsChain, spotPrice) {
 
 /**
  * Find key GEX levels (support/resistance)
+ * @param {Array} strikeLevels - from aggregateByStrike
  */
-function findKeyGEXLevels(optionsChain, spotPrice) {
-  const gexByStrike = [];
-  
-  optionsChain.forEach(option => {
-    const { netGEX } = calculateStrikeGEX(
-      option.strike,
-      option.callGamma,
-      option.putGamma,
-      option.callOI,
-      option.putOI,
-      spotPrice
-    );
-    
-    gexByStrike.push({
-      strike: option.strike,
-      gex: Math.abs(netGEX)
-    });
-  });
+function findKeyGEXLevels(strikeLevels, spotPrice) {
+  const gexByStrike = strikeLevels.map(level => ({
+    strike: level.strike,
+    gex: Math.abs(level.netGEX)
+  }));
   
   if (gexByStrike.length === 0) {
     return {
@@ -179,7 +335,7 @@ function findKeyGEXLevels(optionsChain, spotPrice) {
     .slice(0, 3);
   
   // Calculate max pain
-  const maxPain = calculateMaxPain(optionsChain, spotPrice);
+  const maxPain = calculateMaxPain(strikeLevels, spotPrice);
   
   return {
     gammaWall: gammaWall.gex > 0 ? gammaWall : null,
@@ -222,6 +378,92 @@ function calculateMaxPain(optionsChain, spotPrice) {
   return maxPainStrike;
 }
 
+/**
+ * Total dealer gamma re-priced at a grid of hypothetical spot prices
+ * Gamma is recomputed per contract at every level from its IV (vendor, or solved from price),
+ * so vendor greeks alone are not enough; contracts without an IV or OI are left out.
+ * @param {Object} contractsByExpiration - from groupByExpiration
+ * @param {number} spotPrice
+ * @param {Object} options - { rangePercent (e.g. 10 for ±10%), steps (grid points), excludeZeroDte, positioning }
+ *   positioning: dealer positioning model (utils/dealerPositioning.js), classic signs without one
+ * @returns {{ profile: [{ spot, netGEX, callGEX, putGEX }], zeroGamma, crossings, contracts }}
+ */
+function calculateGammaProfile(contractsByExpiration, spotPrice, { rangePercent, steps, excludeZeroDte, positioning = null }) {
+  const today = getEasternDateString();
+  const positions = [];
+  const contracts = { used: 0, zeroDte: 0, noIV: 0, noOI: 0 };
+  
+  for (const [expDate, expContracts] of Object.entries(contractsByExpiration)) {
+    if (excludeZeroDte && expDate <= today) {
+      contracts.zeroDte += expContracts.length;
+      continue;
+    }
+    const timeToExp = getTimeToExpiration(expDate);
+    
+    expContracts.forEach((contract) => {
+      const oi = contract.open_interest || contract.openInterest || contract.oi || 0;
+      if (!oi) {
+        contracts.noOI++;
+        return;
+      }
+      const strike = parseFloat(contract.details?.strike_price || contract.strike_price || contract.strike);
+      const isCall = isCallContract(contract);
+      const iv = strike > 0 ? getContractIV(contract, spotPrice, strike, timeToExp, isCall) : null;
+      if (!iv) {
+        contracts.noIV++;
+        return;
+      }
+      const optionType = isCall ? 'call' : 'put';
+      const dealerSign = positioning
+        ? positioning.getSign({ expiration: expDate, strike, optionType }).sign
+        : classicSign(optionType);
+      positions.push({ strike, timeToExp, iv: iv.iv, oi, optionType, dealerSign });
+      contracts.used++;
+    });
+  }
+  
+  const low = spotPrice * (1 - rangePercent / 100);
+  const high = spotPrice * (1 + rangePercent / 100);
+  const profile = [];
+  for (let i = 0; i < steps; i++) {
+    const level = low + (high - low) * i / (steps - 1);
+    let callGEX = 0;
+    let putGEX = 0;
+    
+    positions.forEach(({ strike, timeToExp, iv, oi, optionType, dealerSign }) => {
+      const gamma = calculateGamma(level, strike, timeToExp, RISK_FREE_RATE, iv);
+      if (!Number.isFinite(gamma)) return;
+      const gex = calculateSingleGEX(gamma, oi, level, optionType, dealerSign);
+      if (optionType === 'call') {
+        callGEX += gex;
+      } else {
+        putGEX += gex;
+      }
+    });
+    
+    profile.push({ spot: level, netGEX: callGEX + putGEX, callGEX, putGEX });
+  }
+  
+  // Linear interpolation between grid points where net gamma changes sign
+  const crossings = [];
+  for (let i = 1; i < profile.length; i++) {
+    const prev = profile[i - 1];
+    const curr = profile[i];
+    if (prev.netGEX === 0) {
+      crossings.push(prev.spot);
+    } else if (Math.sign(prev.netGEX) !== Math.sign(curr.netGEX) && curr.netGEX !== 0) {
+      crossings.push(prev.spot + (curr.spot - prev.spot) * prev.netGEX / (prev.netGEX - curr.netGEX));
+    }
+  }
+  
+  // Nearest crossing to the current spot is the zero-gamma level
+  const zeroGamma = crossings.length > 0
+    ? crossings.reduce((best, level) => (Math.abs(level - spotPrice) < Math.abs(best - spotPrice) ? level : best))
+    : null;
+  
+  return { profile, zeroGamma, crossings, contracts };
+}
+
 // ============================================
 // API ROUTES
 // ============================================
@@ -231,566 +473,631 @@ router.get('/test', (req, res) => {
   res.json({ success: true, message: 'GEX router is working!' });
 });
 
+// Cached chains per ticker, their age and the background refresher's watchlist
+router.get('/cache', (req, res) => {
+  res.json({ success: true, ...getGEXCacheStats() });
+});
+
 /**
- * GET /api/gex/:ticker
- * Get Gamma Exposure analysis for a ticker
+ * Build the GET /api/gex/:ticker response from an options chain (called through utils/gexCache.js)
+ * positioning: dealer positioning model, classic when null; classic results are broadcast to GEX subscribers
+ * Throws status 404 errors when the chain is empty or has no spot price
  */
-router.get('/:ticker', async (req, res) => {
-  try {
-    const { ticker } = req.params;
-    const { expiration } = req.query; // Optional: filter by expiration
+async function buildGEXData(ticker, optionsChain, positioning) {
+  if (!positioning) {
+    positioning = await createPositioningModel({ ticker });
+  }
+  
+  if (!optionsChain || optionsChain.length === 0) {
+    console.warn(`⚠️ No options chain data available for ${ticker}`);
+    console.warn(`⚠️ This could be due to:`);
+    console.warn(`   - API rate limiting`);
+    console.warn(`   - Invalid ticker symbol`);
+    console.warn(`   - Market hours (if outside trading hours)`);
+    console.warn(`   - API key issues`);
+    throw gexError(404, 'No options chain data available',
+      'The options chain API returned no results. This may be due to market hours, ticker symbol, or API limitations.');
+  }
+  
+  console.log(`📊 [GEX Route] Building GEX for ${ticker} from ${optionsChain.length} contracts (${positioning.model} model)`);
+  
+  // Get spot price
+  const spotPrice = getSpotPrice(optionsChain);
+  
+  if (!spotPrice || spotPrice === 0) {
+    throw gexError(404, 'Unable to determine spot price');
+  }
+  
+  // Group contracts by expiration date (ALWAYS get ALL expirations for heatmap)
+  // The expiration query param is ignored - we need all dates for the multi-column heatmap
+  const contractsByExpiration = groupByExpiration(optionsChain, null);
+  
+  // Vendor greeks where the snapshot has them, Black-Scholes from IV otherwise
+  const { greeksByContract, sources: greeksSources } = resolveChainGreeks(contractsByExpiration, spotPrice);
+  if (greeksSources.model > 0) {
+    console.log(`🧮 [GEX Route] ${ticker}: model gamma for ${greeksSources.model} contracts (${greeksSources.solvedIV} with solved IV), ${greeksSources.missing} without greeks`);
+  }
+  
+  // Calculate GEX for each expiration
+  const gexByExpiration = {};
+  const allStrikes = new Set();
+  
+  for (const [expDate, contracts] of Object.entries(contractsByExpiration)) {
+    // Group by strike
+    const contractsByStrike = groupByStrike(contracts);
     
-    console.log(`📊 [GEX Route] Fetching GEX data for ${ticker}...`);
-    console.log(`📊 [GEX Route] Request params:`, req.params);
-    console.log(`📊 [GEX Route] Request query:`, req.query);
+    const strikeGEX = [];
     
-    // Fetch options chain from Polygon.io/Massive.com
-    let optionsChain;
-    try {
-      optionsChain = await fetchOptionsChain(ticker);
-    } catch (error) {
-      console.error(`❌ Failed to fetch options chain for ${ticker}:`, error.message);
-      
-      // Try fallback: use internal options-chain endpoint
-      console.log(`🔄 Trying fallback: internal options-chain endpoint...`);
-      try {
-        const fallbackResponse = await axios.get(`/api/options-chain/${ticker}`, {
-          baseURL: `${req.protocol}://${req.get('host')}`,
-        });
-        
-        if (fallbackResponse.data?.success && fallbackResponse.data?.data?.results) {
-          optionsChain = fallbackResponse.data.data.results;
-          console.log(`✅ Fallback successful: Got ${optionsChain.length} contracts`);
-        }
-      } catch (fallbackError) {
-        console.error(`❌ Fallback also failed:`, fallbackError.message);
+    for (const [strike, strikeContracts] of Object.entries(contractsByStrike)) {
+      const strikeNum = parseFloat(strike);
+      if (isNaN(strikeNum)) {
+        console.warn(`⚠️ Skipping invalid strike: ${strike}`);
+        continue;
       }
+      allStrikes.add(strikeNum);
       
-      if (!optionsChain || optionsChain.length === 0) {
-        return res.status(500).json({
-          success: false,
-          error: 'Failed to fetch options chain',
-          message: error.message,
-          ticker: ticker.toUpperCase(),
-        });
-      }
-    }
-    
-    if (!optionsChain || optionsChain.length === 0) {
-      console.warn(`⚠️ No options chain data available for ${ticker}`);
-      console.warn(`⚠️ This could be due to:`);
-      console.warn(`   - API rate limiting`);
-      console.warn(`   - Invalid ticker symbol`);
-      console.warn(`   - Market hours (if outside trading hours)`);
-      console.warn(`   - API key issues`);
-      return res.status(404).json({
-        success: false,
-        error: 'No options chain data available',
-        ticker: ticker.toUpperCase(),
-        message: 'The options chain API returned no results. This may be due to market hours, ticker symbol, or API limitations.',
+      // Separate calls and puts - Polygon.io uses details.contract_type
+      const calls = strikeContracts.filter(c => {
+        const type = (c.details?.contract_type || c.contract_type || c.type || c.option_type || '').toLowerCase();
+        return type === 'call' || type === 'c' || type === 'call_option';
       });
-    }
-    
-    console.log(`✅ Successfully fetched ${optionsChain.length} contracts for ${ticker}`);
-    
-    // Get spot price
-    const spotPrice = getSpotPrice(optionsChain);
-    
-    if (!spotPrice || spotPrice === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Unable to determine spot price',
-        ticker: ticker.toUpperCase(),
+      const puts = strikeContracts.filter(c => {
+        const type = (c.details?.contract_type || c.contract_type || c.type || c.option_type || '').toLowerCase();
+        return type === 'put' || type === 'p' || type === 'put_option';
       });
-    }
-    
-    // Group contracts by expiration date (ALWAYS get ALL expirations for heatmap)
-    // The expiration query param is ignored - we need all dates for the multi-column heatmap
-    const contractsByExpiration = groupByExpiration(optionsChain, null);
-    
-    // Calculate GEX for each expiration
-    const gexByExpiration = {};
-    const allStrikes = new Set();
-    
-    for (const [expDate, contracts] of Object.entries(contractsByExpiration)) {
-      // Group by strike
-      const contractsByStrike = groupByStrike(contracts);
       
-      const strikeGEX = [];
+      if (calls.length === 0 && puts.length === 0) {
+        console.warn(`⚠️ No calls or puts found for strike ${strikeNum}, skipping...`);
+        continue;
+      }
       
-      for (const [strike, strikeContracts] of Object.entries(contractsByStrike)) {
-        const strikeNum = parseFloat(strike);
-        if (isNaN(strikeNum)) {
-          console.warn(`⚠️ Skipping invalid strike: ${strike}`);
-          continue;
+      // Where each contributing contract's gamma came from
+      const strikeSources = new Set();
+      // Net vanna / charm / vomma exposure of calls and puts at this strike
+      const strikeExposure = { vanna: 0, charm: 0, vomma: 0 };
+      // Dealer sign of the calls and puts at this strike under the positioning model
+      const dealerSign = { call: null, put: null };
+      const addExposure = (greeks, oi, optionType, sign) => {
+        const exposure = calculateSecondOrderExposure(greeks, oi, spotPrice, optionType, sign);
+        strikeExposure.vanna += exposure.vanna;
+        strikeExposure.charm += exposure.charm;
+        strikeExposure.vomma += exposure.vomma;
+      };
+      
+      // Aggregate call gamma and OI
+      // Contracts with neither vendor greeks nor a usable IV are excluded
+      let callOI = 0;
+      let callGEX = 0;
+      
+      for (const call of calls) {
+        const greeks = greeksByContract.get(call);
+        if (!greeks) {
+          continue; // Skip this contract
         }
-        allStrikes.add(strikeNum);
+        const { gamma } = greeks;
         
-        // Separate calls and puts - Polygon.io uses details.contract_type
-        const calls = strikeContracts.filter(c => {
-          const type = (c.details?.contract_type || c.contract_type || c.type || c.option_type || '').toLowerCase();
-          return type === 'call' || type === 'c' || type === 'call_option';
-        });
-        const puts = strikeContracts.filter(c => {
-          const type = (c.details?.contract_type || c.contract_type || c.type || c.option_type || '').toLowerCase();
-          return type === 'put' || type === 'p' || type === 'put_option';
-        });
+        // Get open interest
+        const oi = call.open_interest || call.openInterest || call.oi || 0;
         
-        if (calls.length === 0 && puts.length === 0) {
-          console.warn(`⚠️ No calls or puts found for strike ${strikeNum}, skipping...`);
+        // Skip contracts with zero OI
+        if (oi === 0 || oi === null || oi === undefined) {
           continue;
         }
         
-        // Calculate Greeks for calls and puts
-        const expirationDate = new Date(expDate);
-        const daysToExp = Math.max(1, Math.ceil((expirationDate - new Date()) / (1000 * 60 * 60 * 24)));
-        const timeToExp = daysToYears(daysToExp);
-        
-        // Aggregate call gamma and OI
-        // CRITICAL: Use gamma directly from API. Exclude contracts without gamma.
-        let callGamma = 0;
-        let callOI = 0;
-        let callGEX = 0;
+        callOI += oi;
+        strikeSources.add(greeks.source);
+        const { sign } = positioning.getSign({ expiration: expDate, strike: strikeNum, optionType: 'call' });
+        dealerSign.call = sign;
+        addExposure(greeks, oi, 'call', sign);
         
-        for (const call of calls) {
-          // Get gamma directly from API - DO NOT calculate from IV
-          const gamma = call.greeks?.gamma;
-          
-          // CRITICAL: Exclude contracts without gamma (cannot use IV as fallback)
-          if (!gamma || gamma === null || gamma === undefined || isNaN(gamma)) {
-            continue; // Skip this contract
-          }
-          
-          // Get open interest
-          const oi = call.open_interest || call.openInterest || call.oi || 0;
-          
-          // Skip contracts with zero OI
-          if (oi === 0 || oi === null || oi === undefined) {
-            continue;
-          }
-          
-          callGamma += gamma * oi;
-          callOI += oi;
-          
-          // Calculate GEX for this call: gamma × OI × 100 × spot_price² × direction
-          const singleGEX = calculateSingleGEX(
-            gamma,
-            oi,
-            spotPrice,
-            'call'
-          );
-          callGEX += singleGEX;
+        // Calculate GEX for this call: gamma × OI × 100 × spot_price² × direction
+        const singleGEX = calculateSingleGEX(
+          gamma,
+          oi,
+          spotPrice,
+          'call',
+          sign
+        );
+        callGEX += singleGEX;
+      }
+      
+      // Aggregate put gamma and OI
+      let putOI = 0;
+      let putGEX = 0;
+      
+      for (const put of puts) {
+        const greeks = greeksByContract.get(put);
+        if (!greeks) {
+          continue; // Skip this contract
         }
+        const { gamma } = greeks;
         
-        // Aggregate put gamma and OI
-        // CRITICAL: Use gamma directly from API. Exclude contracts without gamma.
-        let putGamma = 0;
-        let putOI = 0;
-        let putGEX = 0;
+        // Get open interest
+        const oi = put.open_interest || put.openInterest || put.oi || 0;
         
-        for (const put of puts) {
-          // Get gamma directly from API - DO NOT calculate from IV
-          const gamma = put.greeks?.gamma;
-          
-          // CRITICAL: Exclude contracts without gamma (cannot use IV as fallback)
-          if (!gamma || gamma === null || gamma === undefined || isNaN(gamma)) {
-            continue; // Skip this contract
-          }
-          
-          // Get open interest
-          const oi = put.open_interest || put.openInterest || put.oi || 0;
-          
-          // Skip contracts with zero OI
-          if (oi === 0 || oi === null || oi === undefined) {
-            continue;
-          }
-          
-          putGamma += gamma * oi;
-          putOI += oi;
-          
-          // Calculate GEX for this put: gamma × OI × 100 × spot_price² × direction
-          const singleGEX = calculateSingleGEX(
-            gamma,
-            oi,
-            spotPrice,
-            'put'
-          );
-          putGEX += singleGEX;
+        // Skip contracts with zero OI
+        if (oi === 0 || oi === null || oi === undefined) {
+          continue;
         }
         
-        // Calculate aggregate GEX at this strike
-        const avgCallGamma = callOI > 0 ? callGamma / callOI : 0;
-        const avgPutGamma = putOI > 0 ? putGamma / putOI : 0;
+        putOI += oi;
+        strikeSources.add(greeks.source);
+        const { sign } = positioning.getSign({ expiration: expDate, strike: strikeNum, optionType: 'put' });
+        dealerSign.put = sign;
+        addExposure(greeks, oi, 'put', sign);
         
-        const strikeGEXData = calculateStrikeGEX(
-          strikeNum,
-          avgCallGamma,
-          avgPutGamma,
-          callOI,
-          putOI,
-          spotPrice
+        // Calculate GEX for this put: gamma × OI × 100 × spot_price² × direction
+        const singleGEX = calculateSingleGEX(
+          gamma,
+          oi,
+          spotPrice,
+          'put',
+          sign
         );
-        
-        strikeGEX.push({
-          strike: strikeNum,
-          callGEX: callGEX,
-          putGEX: putGEX,
-          netGEX: strikeGEXData.netGEX,
-          callOI,
-          putOI,
-          totalOI: callOI + putOI,
-        });
+        putGEX += singleGEX;
       }
       
-      // Sort by strike (descending for display)
-      strikeGEX.sort((a, b) => b.strike - a.strike);
-      
-      // Calculate aggregate GEX for this expiration
-      const expNetGEX = strikeGEX.reduce((sum, s) => sum + (s.netGEX || 0), 0);
-      const expCallGEX = strikeGEX.reduce((sum, s) => sum + (s.callGEX || 0), 0);
-      const expPutGEX = strikeGEX.reduce((sum, s) => sum + (s.putGEX || 0), 0);
-      
-      gexByExpiration[expDate] = {
-        expiration: expDate,
-        daysToExpiration: Math.max(1, Math.ceil((new Date(expDate) - new Date()) / (1000 * 60 * 60 * 24))),
-        netGEX: expNetGEX,
-        callGEX: expCallGEX,
-        putGEX: expPutGEX,
-        strikes: strikeGEX,
-      };
+      // Aggregate GEX at this strike (callGEX/putGEX already carry the model's dealer signs)
+      strikeGEX.push({
+        strike: strikeNum,
+        callGEX: callGEX,
+        putGEX: putGEX,
+        netGEX: callGEX + putGEX,
+        callOI,
+        putOI,
+        totalOI: callOI + putOI,
+        vannaExposure: strikeExposure.vanna,
+        charmExposure: strikeExposure.charm,
+        vommaExposure: strikeExposure.vomma,
+        dealerSign, // +1 dealers long, -1 short (null if no contract of that type contributed)
+        greeksSource: summarizeGreeksSource(strikeSources), // 'vendor' | 'model' | 'mixed'
+      });
     }
     
-    // Calculate key levels (gamma wall, support, resistance, max pain)
-    // CRITICAL: Use gamma directly from API, exclude contracts without gamma
-    const allContracts = Object.values(contractsByExpiration).flat();
-    const keyLevels = findKeyGEXLevels(
-      allContracts
-        .filter(c => {
-          // Only include contracts with valid gamma
-          const gamma = c.greeks?.gamma;
-          return gamma !== null && gamma !== undefined && !isNaN(gamma);
-        })
-        .map(c => {
-          // Polygon.io uses details.strike_price and details.expiration_date
-          const strike = parseFloat(c.details?.strike_price || c.strike_price || c.strike);
-          const gamma = c.greeks?.gamma || 0;
-          const contractType = (c.details?.contract_type || c.contract_type || c.type || '').toLowerCase();
-          const isCall = contractType === 'call' || contractType === 'c';
-          const oi = c.open_interest || c.openInterest || c.oi || 0;
-          
-          return {
-            strike,
-            callGamma: isCall ? gamma : 0,
-            putGamma: !isCall ? gamma : 0,
-            callOI: isCall ? oi : 0,
-            putOI: !isCall ? oi : 0,
-          };
-        }),
-      spotPrice
-    );
-    
-    // Calculate total net GEX and aggregate Greeks
-    let totalNetGEX = 0;
-    let totalCallGEX = 0;
-    let totalPutGEX = 0;
-    let totalDelta = 0;
-    let totalGamma = 0;
+    // Sort by strike (descending for display)
+    strikeGEX.sort((a, b) => b.strike - a.strike);
     
-    Object.values(gexByExpiration).forEach(expData => {
-      expData.strikes.forEach(strikeData => {
-        totalCallGEX += strikeData.callGEX;
-        totalPutGEX += strikeData.putGEX;
-        totalNetGEX += strikeData.netGEX;
-      });
-    });
+    // Calculate aggregate GEX for this expiration
+    const expNetGEX = strikeGEX.reduce((sum, s) => sum + (s.netGEX || 0), 0);
+    const expCallGEX = strikeGEX.reduce((sum, s) => sum + (s.callGEX || 0), 0);
+    const expPutGEX = strikeGEX.reduce((sum, s) => sum + (s.putGEX || 0), 0);
     
-    // Calculate aggregate Delta and Gamma from all contracts
-    // CRITICAL: Use gamma and delta directly from API
-    allContracts.forEach(c => {
-      const strike = parseFloat(c.details?.strike_price || c.strike_price || c.strike);
-      if (isNaN(strike)) return;
-      
-      // Get gamma and delta directly from API - DO NOT calculate from IV
-      const gamma = c.greeks?.gamma;
-      const delta = c.greeks?.delta;
-      
-      // Skip contracts without gamma or delta
-      if (!gamma || gamma === null || gamma === undefined || isNaN(gamma)) {
-        return;
-      }
-      
-      const oi = c.open_interest || c.openInterest || c.oi || 0;
-      if (oi === 0 || oi === null || oi === undefined) {
-        return;
-      }
-      
-      const contractMultiplier = 100; // Standard options contract multiplier
-      
-      // Aggregate delta: delta * OI * multiplier (use API delta if available, else 0)
-      if (delta !== null && delta !== undefined && !isNaN(delta)) {
-        totalDelta += delta * oi * contractMultiplier;
-      }
-      
-      // Aggregate gamma: gamma * OI * multiplier
-      totalGamma += gamma * oi * contractMultiplier;
+    gexByExpiration[expDate] = {
+      expiration: expDate,
+      daysToExpiration: Math.max(1, Math.ceil((new Date(expDate) - new Date()) / (1000 * 60 * 60 * 24))),
+      netGEX: expNetGEX,
+      callGEX: expCallGEX,
+      putGEX: expPutGEX,
+      vannaExposure: strikeGEX.reduce((sum, s) => sum + s.vannaExposure, 0),
+      charmExposure: strikeGEX.reduce((sum, s) => sum + s.charmExposure, 0),
+      vommaExposure: strikeGEX.reduce((sum, s) => sum + s.vommaExposure, 0),
+      strikes: strikeGEX,
+    };
+  }
+  
+  // Calculate key levels (gamma wall, support, resistance, max pain) from net GEX per strike,
+  // so they follow the positioning model like the summary totals
+  const allContracts = Object.values(contractsByExpiration).flat();
+  const strikeLevels = aggregateByStrike(gexByExpiration);
+  const keyLevels = findKeyGEXLevels(strikeLevels, spotPrice);
+  
+  // Calculate total net GEX and aggregate Greeks
+  let totalNetGEX = 0;
+  let totalCallGEX = 0;
+  let totalPutGEX = 0;
+  let totalDelta = 0;
+  let totalGamma = 0;
+  let totalVannaExposure = 0;
+  let totalCharmExposure = 0;
+  let totalVommaExposure = 0;
+  
+  Object.values(gexByExpiration).forEach(expData => {
+    expData.strikes.forEach(strikeData => {
+      totalCallGEX += strikeData.callGEX;
+      totalPutGEX += strikeData.putGEX;
+      totalNetGEX += strikeData.netGEX;
     });
+    totalVannaExposure += expData.vannaExposure;
+    totalCharmExposure += expData.charmExposure;
+    totalVommaExposure += expData.vommaExposure;
+  });
+  
+  // Calculate aggregate Delta and Gamma from all contracts (vendor or model greeks)
+  allContracts.forEach(c => {
+    const strike = parseFloat(c.details?.strike_price || c.strike_price || c.strike);
+    if (isNaN(strike)) return;
     
-    // Find gamma flip point
-    const gammaFlip = findGammaFlip(
-      Object.values(gexByExpiration)
-        .flatMap(expData => expData.strikes.map(s => ({
-          strike: s.strike,
-          callGamma: s.callGEX / (s.callOI * 100 * Math.pow(spotPrice, 2)) || 0,
-          putGamma: s.putGEX / (s.putOI * 100 * Math.pow(spotPrice, 2)) || 0,
-          callOI: s.callOI,
-          putOI: s.putOI,
-        }))),
-      spotPrice
-    );
+    // Skip contracts without gamma
+    const greeks = greeksByContract.get(c);
+    if (!greeks) {
+      return;
+    }
+    const { gamma, delta } = greeks;
     
-    // Prepare heatmap data
-    // Sort expirations chronologically (earliest first for proper flow delta calculation)
-    const expirations = Object.keys(gexByExpiration).sort((a, b) => {
-      return new Date(a).getTime() - new Date(b).getTime();
-    });
+    const oi = c.open_interest || c.openInterest || c.oi || 0;
+    if (oi === 0 || oi === null || oi === undefined) {
+      return;
+    }
     
-    // Get all strikes and sort descending (highest first)
-    const strikes = Array.from(allStrikes).sort((a, b) => b - a);
+    const contractMultiplier = 100; // Standard options contract multiplier
     
-    // Expand strike range if needed to match reference (shows wide range like 550 to 15)
-    // Find min and max strikes
-    const minStrike = strikes.length > 0 ? Math.min(...strikes) : 0;
-    const maxStrike = strikes.length > 0 ? Math.max(...strikes) : 0;
-    const spotPriceNum = parseFloat(spotPrice) || 0;
+    // Aggregate delta: delta * OI * multiplier (use API delta if available, else 0)
+    if (delta !== null && delta !== undefined && !isNaN(delta)) {
+      totalDelta += delta * oi * contractMultiplier;
+    }
     
-    // Generate additional strikes around the current price if range is too narrow
-    // This ensures we have a comprehensive view like the reference
-    const expandedStrikes = new Set(strikes);
+    // Aggregate gamma: gamma * OI * multiplier
+    totalGamma += gamma * oi * contractMultiplier;
+  });
+  
+  // Find gamma flip point
+  const gammaFlip = findGammaFlip(strikeLevels);
+  
+  // Prepare heatmap data
+  // Sort expirations chronologically (earliest first for proper flow delta calculation)
+  const expirations = Object.keys(gexByExpiration).sort((a, b) => {
+    return new Date(a).getTime() - new Date(b).getTime();
+  });
+  
+  // Get all strikes and sort descending (highest first)
+  const strikes = Array.from(allStrikes).sort((a, b) => b - a);
+  
+  // Expand strike range if needed to match reference (shows wide range like 550 to 15)
+  // Find min and max strikes
+  const minStrike = strikes.length > 0 ? Math.min(...strikes) : 0;
+  const maxStrike = strikes.length > 0 ? Math.max(...strikes) : 0;
+  const spotPriceNum = parseFloat(spotPrice) || 0;
+  
+  // Generate additional strikes around the current price if range is too narrow
+  // This ensures we have a comprehensive view like the reference
+  const expandedStrikes = new Set(strikes);
+  
+  // Add strikes below current price (down to ~20% below)
+  if (spotPriceNum > 0) {
+    const lowerBound = Math.max(minStrike, spotPriceNum * 0.2);
+    const upperBound = Math.min(maxStrike, spotPriceNum * 2.0);
     
-    // Add strikes below current price (down to ~20% below)
-    if (spotPriceNum > 0) {
-      const lowerBound = Math.max(minStrike, spotPriceNum * 0.2);
-      const upperBound = Math.min(maxStrike, spotPriceNum * 2.0);
-      
-      // Generate strikes in $2.50 increments for wider range
-      for (let s = Math.ceil(lowerBound / 2.5) * 2.5; s <= Math.floor(upperBound / 2.5) * 2.5; s += 2.5) {
-        if (s > 0 && s <= upperBound) {
-          expandedStrikes.add(s);
-        }
-      }
-      
-      // Also add $5 increments for very wide range
-      for (let s = Math.ceil(lowerBound / 5) * 5; s <= Math.floor(upperBound / 5) * 5; s += 5) {
-        if (s > 0 && s <= upperBound) {
-          expandedStrikes.add(s);
-        }
+    // Generate strikes in $2.50 increments for wider range
+    for (let s = Math.ceil(lowerBound / 2.5) * 2.5; s <= Math.floor(upperBound / 2.5) * 2.5; s += 2.5) {
+      if (s > 0 && s <= upperBound) {
+        expandedStrikes.add(s);
       }
     }
     
-    // Convert back to sorted array (descending)
-    const finalStrikes = Array.from(expandedStrikes).sort((a, b) => b - a);
-    
-    console.log(`📊 Preparing heatmap: ${finalStrikes.length} strikes (expanded from ${strikes.length}), ${expirations.length} expirations`);
-    console.log(`📅 Expiration dates (raw):`, expirations);
-    console.log(`🎯 Strike range: ${finalStrikes[finalStrikes.length - 1]} to ${finalStrikes[0]}`);
-    
-    const heatmapData = finalStrikes.map(strike => {
-      const row = expirations.map(expDate => {
-        const expData = gexByExpiration[expDate];
-        if (!expData) return null;
-        // Find closest strike match (within $0.50 tolerance for expanded strikes)
-        const strikeData = expData.strikes.find(s => Math.abs(s.strike - strike) < 0.5);
-        return strikeData ? strikeData.netGEX : null;
-      });
-      return {
-        strike,
-        values: row,
-      };
+    // Also add $5 increments for very wide range
+    for (let s = Math.ceil(lowerBound / 5) * 5; s <= Math.floor(upperBound / 5) * 5; s += 5) {
+      if (s > 0 && s <= upperBound) {
+        expandedStrikes.add(s);
+      }
+    }
+  }
+  
+  // Convert back to sorted array (descending)
+  const finalStrikes = Array.from(expandedStrikes).sort((a, b) => b - a);
+  
+  console.log(`📊 Preparing heatmap: ${finalStrikes.length} strikes (expanded from ${strikes.length}), ${expirations.length} expirations`);
+  console.log(`📅 Expiration dates (raw):`, expirations);
+  console.log(`🎯 Strike range: ${finalStrikes[finalStrikes.length - 1]} to ${finalStrikes[0]}`);
+  
+  const heatmapData = finalStrikes.map(strike => {
+    // Find closest strike match (within $0.50 tolerance for expanded strikes)
+    const cells = expirations.map(expDate => {
+      const expData = gexByExpiration[expDate];
+      if (!expData) return null;
+      return expData.strikes.find(s => Math.abs(s.strike - strike) < 0.5) || null;
     });
-    
-    // Calculate flow deltas from Options Flow data (actual trades)
-    // Aggregate Options Flow trades by strike to show net buying/selling pressure
-    const flowDeltas = finalStrikes.map((strike) => {
-      try {
-        // Get all trades for this ticker from Options Flow store
-        const allTrades = Array.from(recentTradesMap.values());
-        const tickerTrades = allTrades.filter(trade => 
-          trade.ticker && trade.ticker.toUpperCase() === ticker.toUpperCase()
-        );
-        
-        // Filter trades for this specific strike (within $0.50 tolerance)
-        const strikeTrades = tickerTrades.filter(trade => {
-          if (!trade.strike) return false;
-          return Math.abs(trade.strike - strike) < 0.5;
-        });
-        
-        if (strikeTrades.length === 0) {
-          // Fallback: Calculate from GEX across expirations if no Options Flow data
-          const strikeIdx = finalStrikes.indexOf(strike);
-          const rowValues = heatmapData[strikeIdx]?.values || [];
-          const nonNullValues = rowValues.filter(v => v !== null && v !== undefined);
-          
-          if (nonNullValues.length === 0) {
-            return { val: 0, source: 'gex-fallback' };
-          }
-          
-          if (nonNullValues.length === 1) {
-            return { val: 0, source: 'gex-fallback' };
-          }
-          
-          const firstVal = nonNullValues[0];
-          const lastVal = nonNullValues[nonNullValues.length - 1];
-          const delta = lastVal - firstVal;
-          return { val: delta, source: 'gex-fallback' };
-        }
-        
-        // Calculate net flow: positive = buying pressure, negative = selling pressure
-        let netFlow = 0;
-        let callFlow = 0;
-        let putFlow = 0;
-        
-        strikeTrades.forEach(trade => {
-          // Premium represents flow direction: positive = buying, negative = selling
-          const premium = parseFloat(trade.premium) || 0;
-          const size = parseInt(trade.size) || 0;
-          
-          // Calculate flow contribution: premium × size (normalized)
-          // Calls contribute positive flow, puts contribute negative flow
-          const flowContribution = premium * (trade.type === 'CALL' ? 1 : -1);
-          
-          if (trade.type === 'CALL') {
-            callFlow += flowContribution;
-          } else {
-            putFlow += flowContribution;
-          }
-          
-          netFlow += flowContribution;
-        });
-        
-        // Normalize by number of trades to get average flow per strike
-        // Convert to millions for display
-        const normalizedFlow = netFlow / 1000000; // Convert to millions
-        
-        return { 
-          val: normalizedFlow, 
-          source: 'options-flow',
-          callFlow: callFlow / 1000000,
-          putFlow: putFlow / 1000000,
-          tradeCount: strikeTrades.length
-        };
-      } catch (error) {
-        console.warn(`⚠️ Error calculating flow delta for strike ${strike}:`, error.message);
-        // Fallback to GEX-based calculation
+    return {
+      strike,
+      values: cells.map(cell => (cell ? cell.netGEX : null)),
+      vanna: cells.map(cell => (cell ? cell.vannaExposure : null)),
+      charm: cells.map(cell => (cell ? cell.charmExposure : null)),
+      vomma: cells.map(cell => (cell ? cell.vommaExposure : null)),
+    };
+  });
+  
+  // Calculate flow deltas from Options Flow data (actual trades)
+  // Aggregate Options Flow trades by strike to show net buying/selling pressure
+  const flowDeltas = finalStrikes.map((strike) => {
+    try {
+      // Get all trades for this ticker from Options Flow store
+      const allTrades = Array.from(recentTradesMap.values());
+      const tickerTrades = allTrades.filter(trade => 
+        trade.ticker && trade.ticker.toUpperCase() === ticker.toUpperCase()
+      );
+      
+      // Filter trades for this specific strike (within $0.50 tolerance)
+      const strikeTrades = tickerTrades.filter(trade => {
+        if (!trade.strike) return false;
+        return Math.abs(trade.strike - strike) < 0.5;
+      });
+      
+      if (strikeTrades.length === 0) {
+        // Fallback: Calculate from GEX across expirations if no Options Flow data
         const strikeIdx = finalStrikes.indexOf(strike);
         const rowValues = heatmapData[strikeIdx]?.values || [];
         const nonNullValues = rowValues.filter(v => v !== null && v !== undefined);
         
         if (nonNullValues.length === 0) {
-          return { val: 0, source: 'error-fallback' };
+          return { val: 0, source: 'gex-fallback' };
         }
         
         if (nonNullValues.length === 1) {
-          return { val: 0, source: 'error-fallback' };
+          return { val: 0, source: 'gex-fallback' };
         }
         
         const firstVal = nonNullValues[0];
         const lastVal = nonNullValues[nonNullValues.length - 1];
         const delta = lastVal - firstVal;
-        return { val: delta, source: 'error-fallback' };
+        return { val: delta, source: 'gex-fallback' };
       }
-    });
-    
-    // Final verification of heatmap structure
-    const formattedExpirations = expirations.map(exp => formatExpirationDate(exp));
-    
-    // CRITICAL: Verify expirations array matches data columns
-    if (formattedExpirations.length !== heatmapData[0]?.values?.length) {
-      console.error(`❌ CRITICAL ERROR: Expiration count (${formattedExpirations.length}) doesn't match data columns (${heatmapData[0]?.values?.length})!`);
-    }
-    
-    const responseData = {
-      success: true,
-      ticker: ticker.toUpperCase(),
-      spotPrice,
-      timestamp: new Date().toISOString(),
-      summary: {
-        netGEX: totalNetGEX,
-        callGEX: totalCallGEX,
-        putGEX: totalPutGEX,
-        totalDelta: totalDelta,
-        totalGamma: totalGamma,
-        gammaWall: keyLevels.gammaWall,
-        gammaFlipPoint: gammaFlip,
-        maxPain: keyLevels.maxPain,
-        support: keyLevels.support,
-        resistance: keyLevels.resistance,
-      },
-      heatmap: {
-        strikes: finalStrikes,
-        expirations: formattedExpirations, // Already formatted
-        data: heatmapData.map(row => row.values),
-        flowDeltas: flowDeltas,
-      },
-      byExpiration: gexByExpiration,
-      keyLevels,
-    };
-    
-    // Broadcast GEX update via WebSocket if available
-    if (global.broadcastGEXUpdate) {
-      try {
-        global.broadcastGEXUpdate(ticker, responseData);
-      } catch (error) {
-        console.warn('⚠️ Error broadcasting GEX update:', error.message);
+      
+      // Calculate net flow: positive = buying pressure, negative = selling pressure
+      let netFlow = 0;
+      let callFlow = 0;
+      let putFlow = 0;
+      
+      strikeTrades.forEach(trade => {
+        // Premium represents flow direction: positive = buying, negative = selling
+        const premium = parseFloat(trade.premium) || 0;
+        const size = parseInt(trade.size) || 0;
+        
+        // Calculate flow contribution: premium × size (normalized)
+        // Calls contribute positive flow, puts contribute negative flow
+        const flowContribution = premium * (trade.type === 'CALL' ? 1 : -1);
+        
+        if (trade.type === 'CALL') {
+          callFlow += flowContribution;
+        } else {
+          putFlow += flowContribution;
+        }
+        
+        netFlow += flowContribution;
+      });
+      
+      // Normalize by number of trades to get average flow per strike
+      // Convert to millions for display
+      const normalizedFlow = netFlow / 1000000; // Convert to millions
+      
+      return { 
+        val: normalizedFlow, 
+        source: 'options-flow',
+        callFlow: callFlow / 1000000,
+        putFlow: putFlow / 1000000,
+        tradeCount: strikeTrades.length
+      };
+    } catch (error) {
+      console.warn(`⚠️ Error calculating flow delta for strike ${strike}:`, error.message);
+      // Fallback to GEX-based calculation
+      const strikeIdx = finalStrikes.indexOf(strike);
+      const rowValues = heatmapData[strikeIdx]?.values || [];
+      const nonNullValues = rowValues.filter(v => v !== null && v !== undefined);
+      
+      if (nonNullValues.length === 0) {
+        return { val: 0, source: 'error-fallback' };
+      }
+      
+      if (nonNullValues.length === 1) {
+        return { val: 0, source: 'error-fallback' };
       }
+      
+      const firstVal = nonNullValues[0];
+      const lastVal = nonNullValues[nonNullValues.length - 1];
+      const delta = lastVal - firstVal;
+      return { val: delta, source: 'error-fallback' };
+    }
+  });
+  
+  // Final verification of heatmap structure
+  const formattedExpirations = expirations.map(exp => formatExpirationDate(exp));
+  
+  // CRITICAL: Verify expirations array matches data columns
+  if (formattedExpirations.length !== heatmapData[0]?.values?.length) {
+    console.error(`❌ CRITICAL ERROR: Expiration count (${formattedExpirations.length}) doesn't match data columns (${heatmapData[0]?.values?.length})!`);
+  }
+  
+  const responseData = {
+    success: true,
+    ticker: ticker.toUpperCase(),
+    spotPrice,
+    timestamp: new Date().toISOString(),
+    positioningModel: positioning.describe(), // Which model produced the signs below
+    summary: {
+      netGEX: totalNetGEX,
+      callGEX: totalCallGEX,
+      putGEX: totalPutGEX,
+      totalDelta: totalDelta,
+      totalGamma: totalGamma,
+      vannaExposure: totalVannaExposure,
+      charmExposure: totalCharmExposure,
+      vommaExposure: totalVommaExposure,
+      gammaWall: keyLevels.gammaWall,
+      gammaFlipPoint: gammaFlip,
+      maxPain: keyLevels.maxPain,
+      support: keyLevels.support,
+      resistance: keyLevels.resistance,
+      greeksSources, // Contract counts: vendor greeks, model greeks (solvedIV of them from price), missing
+    },
+    heatmap: {
+      strikes: finalStrikes,
+      expirations: formattedExpirations, // Already formatted
+      data: heatmapData.map(row => row.values),
+      // Same layout as data (strike rows × expiration columns)
+      vannaData: heatmapData.map(row => row.vanna),
+      charmData: heatmapData.map(row => row.charm),
+      vommaData: heatmapData.map(row => row.vomma),
+      flowDeltas: flowDeltas,
+    },
+    byExpiration: gexByExpiration,
+    keyLevels,
+  };
+  
+  // Broadcast GEX update via WebSocket if available (classic model only, so subscribers see one convention)
+  if (global.broadcastGEXUpdate && positioning.model === 'classic') {
+    try {
+      global.broadcastGEXUpdate(ticker, responseData);
+    } catch (error) {
+      console.warn('⚠️ Error broadcasting GEX update:', error.message);
     }
+  }
+  
+  return responseData;
+}
+
+configureGEXCache({
+  fetchChain: ticker => fetchOptionsChainWithFallback(ticker).catch((error) => {
+    throw gexError(500, 'Failed to fetch options chain', error.message);
+  }),
+  buildGEX: buildGEXData,
+});
+
+/**
+ * Positioning model from ?model=&window=&overrides= (bad parameters throw status 400 errors)
+ */
+function getRequestPositioning(req, ticker) {
+  return createPositioningModel({
+    model: req.query.model,
+    ticker,
+    window: req.query.window,
+    overrides: req.query.overrides,
+  }).catch((error) => {
+    throw error.status ? gexError(400, 'Invalid positioning model', error.message) : error;
+  });
+}
+
+// Errors with a status map to that response; anything else is a 500
+function sendGEXError(res, error, ticker, failure) {
+  if (!error.status) {
+    console.error(`❌ ${failure} for ${ticker}:`, error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.label : failure,
+    message: error.message,
+    ticker: ticker.toUpperCase(),
+  });
+}
+
+/**
+ * GET /api/gex/:ticker?model=classic|flow|override
+ * Get Gamma Exposure analysis for a ticker (cached per ticker, see utils/gexCache.js)
+ */
+router.get('/:ticker', async (req, res) => {
+  try {
+    const ticker = req.params.ticker.toUpperCase();
+    console.log(`📊 [GEX Route] GEX data for ${ticker}`, req.query);
     
-    res.json(responseData);
+    const positioning = await getRequestPositioning(req, ticker);
+    res.json(await getGEX(ticker, { positioning }));
   } catch (error) {
-    console.error(`❌ Error fetching GEX for ${req.params.ticker}:`, error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch GEX data',
-      message: error.message,
-    });
+    sendGEXError(res, error, req.params.ticker, 'Failed to fetch GEX data');
   }
 });
 
 /**
  * GET /api/gex/:ticker/heatmap
- * Get GEX heatmap data optimized for visualization
+ * Get GEX heatmap data optimized for visualization (same params as GET /api/gex/:ticker)
  */
 router.get('/:ticker/heatmap', async (req, res) => {
   try {
-    const { ticker } = req.params;
+    const ticker = req.params.ticker.toUpperCase();
+    const positioning = await getRequestPositioning(req, ticker);
+    const gex = await getGEX(ticker, { positioning });
     
-    // Fetch full GEX data
-    const response = await axios.get(`/api/gex/${ticker}`, {
-      baseURL: `${req.protocol}://${req.get('host')}`,
+    res.json({
+      success: true,
+      ticker,
+      ...gex.heatmap,
+      positioningModel: gex.positioningModel,
+      metadata: {
+        currentPrice: gex.spotPrice,
+        gammaWall: gex.summary.gammaWall?.strike || null,
+        support: gex.summary.support[0]?.strike || null,
+        resistance: gex.summary.resistance[0]?.strike || null,
+        maxPain: gex.summary.maxPain,
+      },
+      cache: gex.cache,
     });
+  } catch (error) {
+    sendGEXError(res, error, req.params.ticker, 'Failed to fetch GEX heatmap');
+  }
+});
+
+const PROFILE_DEFAULT_RANGE = 10; // ±10% around spot
+const PROFILE_MAX_RANGE = 50;
+const PROFILE_DEFAULT_STEPS = 41;
+const PROFILE_MAX_STEPS = 201;
+
+/**
+ * GET /api/gex/:ticker/profile?range=±10%&steps=41&excludeZeroDte=true
+ * Total dealer gamma across hypothetical spot prices and the interpolated zero-gamma level
+ * - range: percent either side of spot ("10", "10%" or "±10%"; default 10, max 50)
+ * - steps: grid points across the range (3-201, default 41)
+ * - excludeZeroDte: leave out contracts expiring today
+ */
+router.get('/:ticker/profile', async (req, res) => {
+  try {
+    const ticker = req.params.ticker.toUpperCase();
+    
+    const rangePercent = req.query.range === undefined
+      ? PROFILE_DEFAULT_RANGE
+      : parseFloat(String(req.query.range).replace(/[±+%\s]/g, ''));
+    if (!Number.isFinite(rangePercent) || rangePercent <= 0 || rangePercent > PROFILE_MAX_RANGE) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid range',
+        message: `range must be a percentage above 0 and up to ${PROFILE_MAX_RANGE}, e.g. 10 or ±10%`,
+      });
+    }
     
-    if (!response.data.success) {
-      return res.status(404).json(response.data);
+    const steps = req.query.steps === undefined ? PROFILE_DEFAULT_STEPS : Number(req.query.steps);
+    if (!Number.isInteger(steps) || steps < 3 || steps > PROFILE_MAX_STEPS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid steps',
+        message: `steps must be a whole number from 3 to ${PROFILE_MAX_STEPS}`,
+      });
+    }
+    const excludeZeroDte = req.query.excludeZeroDte === 'true';
+    
+    const positioning = await getRequestPositioning(req, ticker);
+    const { chain: optionsChain } = await getOptionsChain(ticker);
+    if (!optionsChain || optionsChain.length === 0) {
+      throw gexError(404, 'No options chain data available');
+    }
+    
+    const spotPrice = getSpotPrice(optionsChain);
+    if (!spotPrice) {
+      throw gexError(404, 'Unable to determine spot price');
     }
     
+    const { profile, zeroGamma, crossings, contracts } = calculateGammaProfile(
+      groupByExpiration(optionsChain, null),
+      spotPrice,
+      { rangePercent, steps, excludeZeroDte, positioning }
+    );
+    
+    console.log(`📈 [GEX Profile] ${ticker}: ${steps} levels ±${rangePercent}% from ${contracts.used} contracts, zero gamma ${zeroGamma?.toFixed(2) ?? 'not in range'}`);
+    
     res.json({
       success: true,
-      ticker: ticker.toUpperCase(),
-      ...response.data.heatmap,
-      metadata: {
-        currentPrice: response.data.spotPrice,
-        gammaWall: response.data.summary.gammaWall?.strike || null,
-        support: response.data.summary.support[0]?.strike || null,
-        resistance: response.data.summary.resistance[0]?.strike || null,
-        maxPain: response.data.summary.maxPain,
+      ticker,
+      spotPrice,
+      timestamp: new Date().toISOString(),
+      range: {
+        percent: rangePercent,
+        low: profile[0].spot,
+        high: profile[profile.length - 1].spot,
       },
+      steps,
+      excludeZeroDte,
+      positioningModel: positioning.describe(),
+      zeroGamma, // Crossing nearest to spot, null if net gamma keeps one sign across the range
+      crossings,
+      contracts, // used, and left out: zeroDte, noIV, noOI
+      profile,
     });
   } catch (error) {
-    console.error(`❌ Error fetching GEX heatmap for ${req.params.ticker}:`, error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch GEX heatmap',
-      message: error.message,
-    });
+    sendGEXError(res, error, req.params.ticker, 'Failed to build gamma profile');
   }
 });
 
@@ -798,6 +1105,36 @@ router.get('/:ticker/heatmap', async (req, res) => {
 // HELPER FUNCTIONS
 // ============================================
 
+/**
+ * Fetch options chain, falling back to the internal options-chain endpoint if Massive.com fails
+ * Throws the Massive.com error when the fallback has no data either
+ */
+async function fetchOptionsChainWithFallback(ticker) {
+  try {
+    return await fetchOptionsChain(ticker);
+  } catch (error) {
+    console.error(`❌ Failed to fetch options chain for ${ticker}:`, error.message);
+    
+    // Try fallback: use internal options-chain endpoint
+    console.log(`🔄 Trying fallback: internal options-chain endpoint...`);
+    try {
+      const fallbackResponse = await axios.get(`/api/options-chain/${ticker}`, {
+        baseURL: `http://localhost:${process.env.PORT || 5000}`,
+      });
+      
+      if (fallbackResponse.data?.success && fallbackResponse.data?.data?.results?.length > 0) {
+        const optionsChain = fallbackResponse.data.data.results;
+        console.log(`✅ Fallback successful: Got ${optionsChain.length} contracts`);
+        return optionsChain;
+      }
+    } catch (fallbackError) {
+      console.error(`❌ Fallback also failed:`, fallbackError.message);
+    }
+    
+    throw error;
+  }
+}
+
 /**
  * Fetch options chain from Massive.com
  * CRITICAL: Fetches ALL expiration dates by:
@@ -1213,4 +1550,5 @@ function formatExpirationDate(dateStr) {
   return `${month} ${day}`;
 }
 
+export { calculateGammaProfile };
 export default router;
@@ -2,6 +2,14 @@ import express from 'express';
 import axios from 'axios';
 import * as optionsCalc from '../utils/optionsCalculations.js';
 import { recentTradesMap } from '../utils/optionsCalculations.js';
+import { annotateTickerInfo, aggregateByReference, getTickerInfo } from '../utils/tickerReference.js';
+import { isFilterActive, toList } from '../utils/flowFilters.js';
+import { annotateSSR } from '../utils/ssrTracker.js';
+import { loadVolumeBaselines, scoreAgainstBaseline } from '../utils/volumeBaseline.js';
+import { applyFilterPreset } from '../utils/filterPresets.js';
+import { evaluateAlertRules } from '../utils/alertRules.js';
+import { getGEX } from '../utils/gexCache.js';
+import { EXPORT_FORMATS, SCANNER_COLUMNS, getExportFormat, streamExport } from '../utils/flowExport.js';
 
 const router = express.Router();
 
@@ -37,17 +45,14 @@ if (!process.env.MASSIVE_API_KEY && !process.env.POLYGON_API_KEY) {
  */
 async function getGEXPosition(ticker, strike, spotPrice) {
   try {
-    // Fetch GEX data to find gamma wall
-    const port = process.env.PORT || 5000;
-    const gexResponse = await axios.get(`http://localhost:${port}/api/gex/${ticker}`, {
-      timeout: 10000,
-    }).catch(() => null);
+    // GEX data to find gamma wall (cached in-process, shared with /api/gex)
+    const gex = await getGEX(ticker).catch(() => null);
 
-    if (gexResponse?.data?.success && gexResponse.data.summary?.gammaWall) {
+    if (gex?.success && gex.summary?.gammaWall) {
       // gammaWall can be a number or an object with strike property
-      const gammaWall = typeof gexResponse.data.summary.gammaWall === 'object' 
-        ? gexResponse.data.summary.gammaWall.strike 
-        : gexResponse.data.summary.gammaWall;
+      const gammaWall = typeof gex.summary.gammaWall === 'object' 
+        ? gex.summary.gammaWall.strike 
+        : gex.summary.gammaWall;
       
       if (gammaWall && typeof gammaWall === 'number') {
         const distance = ((spotPrice - gammaWall) / gammaWall) * 100;
@@ -302,6 +307,13 @@ async function scanTicker(ticker, filters) {
     let expiredCount = 0;
     let noPriceCount = 0;
     
+    // Volume baselines for the most active contracts first (the rest load for later scans)
+    await loadVolumeBaselines(
+      [...allContracts]
+        .sort((a, b) => (b.day?.volume || b.volume || 0) - (a.day?.volume || a.volume || 0))
+        .map(contract => contract.ticker || contract.symbol || contract.details?.ticker)
+    );
+    
     // Process each contract
     for (const contract of allContracts) {
       processedCount++;
@@ -458,6 +470,9 @@ async function scanTicker(ticker, filters) {
         // Get GEX position (already calculated above, but ensure it's available)
         const gexPos = gexPosition.position || 'unknown';
         
+        // Today's volume/premium against the contract's own baseline (null until loaded)
+        const baseline = scoreAgainstBaseline(contractTicker, contractVolume, contractVolume * price * 100);
+        
         // Calculate setup score with all required parameters
         const tradeData = {
           ticker,
@@ -472,6 +487,7 @@ async function scanTicker(ticker, filters) {
           spot: spotPrice,
           changePercent: priceChange, // Pass price change percentage
           gexPosition: gexPos, // Pass GEX position
+          volumeZScore: baseline?.volumeZScore ?? null,
         };
         
         const setupScoreResult = calculateSetupScore(tradeData);
@@ -504,7 +520,9 @@ async function scanTicker(ticker, filters) {
         );
         
         // Determine volume level and Vol/OI level for display
-        const volumeLevel = contractVolume >= 10000 ? 'spike' : contractVolume >= 5000 ? 'high' : contractVolume >= 1000 ? 'medium' : 'low';
+        const volumeLevel = baseline
+          ? (baseline.volumeZScore >= 3 ? 'spike' : baseline.volumeZScore >= 2 ? 'high' : baseline.volumeZScore >= 1 ? 'medium' : 'low')
+          : (contractVolume >= 10000 ? 'spike' : contractVolume >= 5000 ? 'high' : contractVolume >= 1000 ? 'medium' : 'low');
         const volOiLevel = volOiRatio >= 2.0 ? 'spike' : volOiRatio >= 1.0 ? 'high' : 'normal';
         
         // Determine score level
@@ -531,6 +549,8 @@ async function scanTicker(ticker, filters) {
           volOiRatio: parseFloat(volOiRatio.toFixed(2)),
           volumeLevel,
           volOiLevel,
+          contract: contractTicker,
+          ...baseline,
           gexPosition: gexPosition.position,
           gammaWall: gexPosition.gammaWall ? `$${gexPosition.gammaWall.toFixed(2)}` : null,
           score: parseFloat(setupScore.toFixed(1)),
@@ -617,6 +637,9 @@ async function scanTicker(ticker, filters) {
     console.error(`❌ Error stack:`, error.stack);
   }
   
+  // Alert rules deliver in the background
+  evaluateAlertRules('scanner', alerts);
+  
   return alerts;
 }
 
@@ -840,24 +863,97 @@ router.get('/debug', async (req, res) => {
   }
 });
 
+/**
+ * Scan the watchlist in the query and return the matching alerts, sorted
+ * Shared by GET / and GET /export (query params as documented on GET /)
+ */
+async function runScan(query) {
+  const {
+    watchlist = 'SPY,QQQ,AAPL,NVDA,TSLA',
+    minVolume = 50, // Lower default
+    minPremium = 5000, // Lower default ($5K)
+    maxDte = 60, // Increased default
+    gexPosition = 'all',
+    minScore = 6, // Lower default
+    sortBy = 'score',
+    nonEtf, // Skip ETFs and index options
+    assetType, // Comma-separated: "CS,ADR,ETF,INDEX"
+    sector, // Comma-separated sector names
+    ssr, // Only underlyings under the short sale restriction
+  } = query;
+  
+  const filters = {
+    minVolume: parseInt(minVolume),
+    minPremium: parseFloat(minPremium),
+    maxDte: parseInt(maxDte),
+    gexPosition,
+    minScore: parseFloat(minScore),
+  };
+  const assetTypeFilters = toList(assetType).map(t => t.toUpperCase());
+  const sectorFilters = toList(sector).map(s => s.toLowerCase());
+  const matchesReference = (info) => {
+    if (isFilterActive(nonEtf) && (info.assetType === 'ETF' || info.assetType === 'INDEX')) return false;
+    if (assetTypeFilters.length > 0 && !assetTypeFilters.includes(info.assetType)) return false;
+    if (sectorFilters.length > 0 && !sectorFilters.includes(String(info.sector).toLowerCase())) return false;
+    return true;
+  };
+  const matchesAlert = (alert) => matchesReference(alert) && (!isFilterActive(ssr) || alert.ssr);
+  
+  // Parse watchlist
+  const tickers = watchlist.split(',').map(t => t.trim().toUpperCase()).filter(t => t);
+  
+  if (tickers.length === 0) {
+    return { tickers, alerts: [], tickersToScan: [], filters, scanTime: 0 };
+  }
+  
+  console.log(`🔍 Starting live scanner for ${tickers.length} tickers:`, tickers);
+  
+  const startTime = Date.now();
+  let allAlerts = [];
+  
+  // Scan each ticker (limit to 10 tickers to avoid timeout)
+  // Tickers whose known asset type / sector is filtered out are skipped before scanning
+  const tickersToScan = tickers
+    .filter(ticker => getTickerInfo(ticker).assetType === 'UNKNOWN' || matchesReference(getTickerInfo(ticker)))
+    .slice(0, 10);
+  
+  console.log(`🔍 Scanning ${tickersToScan.length} tickers with filters:`, filters);
+  
+  for (const ticker of tickersToScan) {
+    try {
+      const alerts = await scanTicker(ticker, filters);
+      allAlerts.push(...alerts);
+      console.log(`✅ ${ticker}: Added ${alerts.length} alerts (total: ${allAlerts.length})`);
+    } catch (tickerError) {
+      console.error(`❌ Error scanning ${ticker}:`, tickerError.message);
+      // Continue with other tickers
+    }
+  }
+  
+  // Tag asset type / sector / SSR, then apply those filters now that every symbol is resolved
+  await annotateTickerInfo(allAlerts);
+  await annotateSSR(allAlerts);
+  allAlerts = allAlerts.filter(matchesAlert);
+  
+  // Sort alerts
+  if (sortBy === 'score') {
+    allAlerts.sort((a, b) => b.score - a.score);
+  } else if (sortBy === 'volume') {
+    allAlerts.sort((a, b) => b.volume - a.volume);
+  } else if (sortBy === 'time') {
+    allAlerts.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+  
+  return { tickers, alerts: allAlerts, tickersToScan, filters, scanTime: Date.now() - startTime };
+}
+
 /**
  * GET /api/live-scanner
  * Scan watchlist and return alerts
  */
-router.get('/', async (req, res) => {
+router.get('/', applyFilterPreset, async (req, res) => {
   try {
-    const {
-      watchlist = 'SPY,QQQ,AAPL,NVDA,TSLA',
-      minVolume = 50, // Lower default
-      minPremium = 5000, // Lower default ($5K)
-      maxDte = 60, // Increased default
-      gexPosition = 'all',
-      minScore = 6, // Lower default
-      sortBy = 'score',
-    } = req.query;
-    
-    // Parse watchlist
-    const tickers = watchlist.split(',').map(t => t.trim().toUpperCase()).filter(t => t);
+    const { tickers, alerts: allAlerts, tickersToScan, filters, scanTime } = await runScan(req.query);
     
     if (tickers.length === 0) {
       return res.json({
@@ -871,50 +967,6 @@ router.get('/', async (req, res) => {
       });
     }
     
-    console.log(`🔍 Starting live scanner for ${tickers.length} tickers:`, tickers);
-    
-    const startTime = Date.now();
-    const allAlerts = [];
-    
-    // Scan each ticker (limit to 10 tickers to avoid timeout)
-    const tickersToScan = tickers.slice(0, 10);
-    
-    console.log(`🔍 Scanning ${tickersToScan.length} tickers with filters:`, {
-      minVolume: parseInt(minVolume),
-      minPremium: parseFloat(minPremium),
-      maxDte: parseInt(maxDte),
-      gexPosition,
-      minScore: parseFloat(minScore),
-    });
-    
-    for (const ticker of tickersToScan) {
-      try {
-        const alerts = await scanTicker(ticker, {
-          minVolume: parseInt(minVolume),
-          minPremium: parseFloat(minPremium),
-          maxDte: parseInt(maxDte),
-          gexPosition,
-          minScore: parseFloat(minScore),
-        });
-        allAlerts.push(...alerts);
-        console.log(`✅ ${ticker}: Added ${alerts.length} alerts (total: ${allAlerts.length})`);
-      } catch (tickerError) {
-        console.error(`❌ Error scanning ${ticker}:`, tickerError.message);
-        // Continue with other tickers
-      }
-    }
-    
-    // Sort alerts
-    if (sortBy === 'score') {
-      allAlerts.sort((a, b) => b.score - a.score);
-    } else if (sortBy === 'volume') {
-      allAlerts.sort((a, b) => b.volume - a.volume);
-    } else if (sortBy === 'time') {
-      allAlerts.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-    }
-    
-    const scanTime = Date.now() - startTime;
-    
     // Get market status
     const marketStatus = getMarketStatus();
     
@@ -924,6 +976,7 @@ router.get('/', async (req, res) => {
       alertsTriggered: allAlerts.filter(a => a.hasAlert).length,
       scanTime,
       tickersScanned: tickersToScan.length,
+      ...aggregateByReference(allAlerts), // Count and premium per asset type / sector
     };
     
     console.log(`📊 Scanner complete: ${allAlerts.length} total alerts, ${stats.alertsTriggered} triggered, ${scanTime}ms`);
@@ -940,10 +993,10 @@ router.get('/', async (req, res) => {
       debug: {
         tickersScanned: tickersToScan,
         filters: {
-          minVolume: parseInt(minVolume),
-          minPremium: parseFloat(minPremium),
-          maxDte: parseInt(maxDte),
-          minScore: parseFloat(minScore),
+          minVolume: filters.minVolume,
+          minPremium: filters.minPremium,
+          maxDte: filters.maxDte,
+          minScore: filters.minScore,
         },
       },
     };
@@ -971,5 +1024,42 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/live-scanner/export?format=csv|ndjson|parquet
+ * Run the scan (same params as GET /) and download the alerts with raw numeric columns
+ */
+router.get('/export', applyFilterPreset, async (req, res) => {
+  try {
+    const format = getExportFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format',
+        message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+      });
+    }
+    
+    const { alerts } = await runScan(req.query);
+    console.log(`📤 GET /api/live-scanner/export: ${alerts.length} alerts as ${format}`);
+    
+    await streamExport(res, {
+      format,
+      columns: SCANNER_COLUMNS,
+      rows: alerts,
+      filename: `live-scanner-${optionsCalc.getEasternDateString()}`,
+    });
+  } catch (error) {
+    console.error('❌ Error exporting live scanner alerts:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export live scanner alerts',
+      message: error.message,
+    });
+  }
+});
+
 export default router;
 
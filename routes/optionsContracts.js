@@ -1,5 +1,6 @@
 import express from 'express';
 import axios from 'axios';
+import { getOIStore } from '../utils/oiStore.js';
 
 const router = express.Router();
 const MASSIVE_API_BASE = 'https://api.massive.com';
@@ -138,5 +139,55 @@ router.get('/:contractId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/options/contracts/:contractId/oi-history
+ * Day-over-day open interest for a contract from the OI snapshot store
+ * 
+ * Params:
+ * - contractId: e.g., O:SPY251219C00650000
+ * 
+ * Query params:
+ * - from: YYYY-MM-DD (optional)
+ * - to: YYYY-MM-DD (optional)
+ */
+router.get('/:contractId/oi-history', async (req, res) => {
+  try {
+    const { contractId } = req.params;
+    const { from, to } = req.query;
+
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+    if ((from && !isDate(from)) || (to && !isDate(to))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date',
+        message: '"from" and "to" must be in YYYY-MM-DD format',
+        contractId,
+      });
+    }
+
+    const history = await getOIStore().getHistory(contractId, { from, to });
+    const data = history.map((point, index) => ({
+      date: point.date,
+      oi: point.oi,
+      change: index > 0 ? point.oi - history[index - 1].oi : null,
+    }));
+
+    res.json({
+      success: true,
+      contractId,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    console.error(`❌ Error fetching OI history for ${req.params.contractId}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch OI history',
+      message: error.message,
+      contractId: req.params.contractId,
+    });
+  }
+});
+
 export default router;
 
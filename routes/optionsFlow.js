@@ -1,7 +1,40 @@
 import express from 'express';
+import crypto from 'crypto';
 import axios from 'axios';
 import WebSocket from 'ws';
 import * as optionsCalc from '../utils/optionsCalculations.js';
+import { getTradeStore, getOrderPremium } from '../utils/tradeStore.js';
+import { recordQuote, getQuoteAt, getQuoteCacheSize } from '../utils/quoteCache.js';
+import { createSweepAggregator, summarizeFills } from '../utils/sweepAggregator.js';
+import { createSpreadDetector, tagSpreads, isMultiLegPrint } from '../utils/spreadDetector.js';
+import { annotateEarnings } from '../utils/earningsCalendar.js';
+import { annotateTickerInfo, aggregateByReference } from '../utils/tickerReference.js';
+import { annotateRepeatFlow, getRepeatFlowOptions } from '../utils/repeatFlow.js';
+import { annotateSSR } from '../utils/ssrTracker.js';
+import { getOIStore } from '../utils/oiStore.js';
+import { toOIRows } from '../utils/oiSnapshotter.js';
+import { getFlowUniverse, setFlowUniverse, getDueTickers, TIER_INTERVALS } from '../utils/flowUniverse.js';
+import { GROUP_BY, parseWindow, aggregateFlow } from '../utils/flowAggregation.js';
+import { INTERVALS as NET_PREMIUM_INTERVALS, DEFAULT_INTERVAL, getNetPremiumSeries, queueNetPremiumUpdate } from '../utils/netPremium.js';
+import { annotateVolumeBaseline, scoreCachedBaseline } from '../utils/volumeBaseline.js';
+import { ensureSnapshotState, getSnapshotChange, getSnapshotVolume, getSnapshotStateSize } from '../utils/snapshotTracker.js';
+import { applyFilterPreset } from '../utils/filterPresets.js';
+import { evaluateAlertRules } from '../utils/alertRules.js';
+import { EXPORT_FORMATS, FLOW_COLUMNS, getExportFormat, streamExport } from '../utils/flowExport.js';
+import {
+  DEFAULT_MIN_PREMIUM,
+  isFilterActive,
+  getEffectiveMinPremium,
+  parsePremium,
+  createFlowFilter,
+  normalizeSortBy,
+  sortTrades,
+  encodeCursor,
+  decodeCursor,
+  parseSince,
+  isNewerThan,
+  paginateByCursor,
+} from '../utils/flowFilters.js';
 
 const router = express.Router();
 
@@ -19,19 +52,44 @@ const {
   detectOpeningClosing,
   calculateSetupScore,
   getMarketStatus,
+  getEasternDateString,
+  getTradingDayRange,
   recentTradesMap,
 } = optionsCalc;
 
-// Store for trades (REST + WS)
-const tradesStore = new Map();
+// Persistent store for trades (REST + WS) - SQLite by default, see utils/tradeStore.js
+const tradeStore = getTradeStore();
+// Day-over-day open interest (filled by the nightly snapshotter and the first snapshot refresh that sees a contract each day)
+const oiStore = getOIStore();
 // Cap stored trades to avoid memory bloat / UI overload
-// Increased to 100K to allow more data, but still prevent memory issues
-const MAX_TRADES = 100000; // Increased cap for comprehensive data
+// In-memory store keeps 100K; persisted stores keep enough rows for several sessions of history
+const MAX_TRADES = parseInt(process.env.MAX_TRADES) || (tradeStore.driver === 'memory' ? 100000 : 2000000);
+// How many days of flow to keep for GET /api/options-flow/history
+const FLOW_RETENTION_DAYS = parseInt(process.env.FLOW_RETENTION_DAYS) || 30;
+// Retention policy applied to the store after each refresh (oldest rows are removed first)
+const RETENTION_POLICY = {
+  maxRows: MAX_TRADES,
+  maxAgeMs: FLOW_RETENTION_DAYS * 24 * 60 * 60 * 1000,
+};
+// Snapshot rows below this premium are not stored (spread legs count their whole order)
+const SNAPSHOT_MIN_PREMIUM = 5000;
+// Contracts per processContracts batch (an underlying is never split across batches)
+const SNAPSHOT_BATCH_SIZE = 500;
+
+// Contracts whose OI was already recorded today - OI only changes once a day
+const recordedOI = { date: null, contracts: new Set() };
 
 // CRITICAL FIX: Cache spot price per ticker to ensure consistency
 // SPOT must be the SAME for all rows of the same ticker
 const spotPriceCachePerTicker = new Map(); // { ticker: { price: number, timestamp: number } }
 
+// Groups WebSocket fills of the same contract within SWEEP_WINDOW_MS into sweep parent rows
+const sweepAggregator = createSweepAggregator({ onCluster: processFillCluster });
+// Holds multi-leg prints briefly so each leg can be matched with the rest of its order
+const spreadDetector = createSpreadDetector({ onRows: saveLiveRows });
+// Snapshot refreshes so far - lower universe tiers are only polled every few cycles
+let refreshCycle = 0;
+
 // Massive.com WebSocket connection
 let massiveWS = null;
 let isConnected = false;
@@ -94,9 +152,9 @@ function initMassiveWebSocket() {
           }
         }
         
-        // Options quote data - cache for side detection
+        // Options quote data - cache NBBO for side detection
         if (message?.ev === 'Q' || message?.event === 'Q') {
-          // Cache quotes for side detection (can be implemented later)
+          recordQuote(message);
         }
       });
     } catch (error) {
@@ -124,10 +182,9 @@ function initMassiveWebSocket() {
 }
 
 // Process incoming options trade
-async function processOptionsTrade(trade) {
+// Fills are buffered in the sweep aggregator so multi-exchange sweeps become one parent row
+function processOptionsTrade(trade) {
   try {
-    // Silent processing
-    
     // Extract trade data
     const {
       sym,      // Symbol (e.g., "O:SPY241115C00585000")
@@ -140,138 +197,220 @@ async function processOptionsTrade(trade) {
       ap,       // Ask price
     } = trade;
 
-    // BUG #1 FIX: Parse option symbol correctly to identify Calls vs Puts
-    const optionDetails = parseOptionSymbol(sym);
-    if (!optionDetails) {
+    if (!sym || !(p > 0) || !(s > 0)) {
       return;
     }
 
-    const { ticker, strike, expiration, type, expirationDate } = optionDetails;
+    // BUG #4 FIX: Use the NBBO from the quote feed at the trade's timestamp
+    // (trade messages rarely carry bp/ap)
+    const quote = getQuoteAt(sym, t);
 
-    // BUG #3 FIX: Get real-time spot price
-    const spotPrice = await getSpotPrice(ticker) || strike;
+    sweepAggregator.addFill({
+      symbol: sym,
+      exchange: x,
+      price: p,
+      size: s,
+      conditions: c,
+      timestamp: t,
+      bid: quote?.bid || bp || 0,
+      ask: quote?.ask || ap || 0,
+    });
+  } catch (error) {
+    // Silent error handling
+  }
+}
 
-    // BUG #4 FIX: Detect bid/ask side and sentiment
-    const { side, sentiment, aggressor } = detectSide(p, bp || 0, ap || 0, type);
+// Turn a closed fill cluster into flow rows: one parent row for a sweep, one row per fill otherwise
+async function processFillCluster({ symbol, fills, summary, isSweep }) {
+  try {
+    // Multi-leg legs are kept regardless of size - the premium cut applies to the whole order
+    const multiLeg = fills.some(fill => isMultiLegPrint(fill));
+    const minPremium = multiLeg ? 0 : DEFAULT_MIN_PREMIUM;
 
-    // Calculate premium
-    const premium = p * s * 100; // Price * Contracts * 100
+    const rows = isSweep
+      ? [await buildFlowRow(symbol, fills, summary, minPremium)]
+      : await Promise.all(fills.map(fill => buildFlowRow(symbol, [fill], summarizeFills([fill]), minPremium)));
 
-    // DEFAULT PREMIUM FILTER: Hide trades with premium < $5,000
-    // This ensures only significant trades appear by default
-    const minPremium = 5000;
-    if (premium < minPremium) {
-      return; // Skip trades below $5K premium
-    }
-
-    // BUG #5 FIX: Calculate IV if we have all required data
-    let iv = 'N/A';
-    if (spotPrice && strike && expirationDate && p > 0) {
-      try {
-        const T = (new Date(expirationDate).getTime() - new Date(t).getTime()) / (1000 * 60 * 60 * 24 * 365.25);
-        const r = 0.05; // Risk-free rate 5%
-        const isCall = type === 'CALL';
-        
-        // Validate inputs before calculation
-        if (T > 0 && T < 10 && p > 0 && spotPrice > 0 && strike > 0 && 
-            isFinite(T) && isFinite(p) && isFinite(spotPrice) && isFinite(strike)) {
-          const ivDecimal = calculateImpliedVolatility(p, spotPrice, strike, T, r, isCall);
-          
-          // Validate calculated IV
-          if (ivDecimal && isFinite(ivDecimal) && ivDecimal > 0 && ivDecimal < 5) {
-            iv = formatIV(ivDecimal);
-          }
-        }
-      } catch (ivError) {
-        // Silent error handling - IV calculation failed
-      }
+    for (const tradeData of rows.filter(Boolean)) {
+      await spreadDetector.add(tradeData);
     }
+  } catch (error) {
+    // Silent error handling
+  }
+}
 
-    // BUG #6 FIX: Calculate OTM percentage correctly
-    const { otmPercent, otmLabel } = calculateOTM(strike, spotPrice, type);
-    const otm = `${otmPercent.toFixed(1)}%`;
-    
-    // Calculate moneyness using the same function as REST API (consistent with filter logic)
-    const moneynessData = calculateMoneyness(spotPrice, strike, type);
+// Store and broadcast live rows once spread detection has tagged them
+async function saveLiveRows(rows) {
+  // DEFAULT PREMIUM FILTER: spread legs count the premium of their whole order
+  const visibleRows = rows.filter(row =>
+    Math.max(row.premiumRaw, row.isSpread ? row.spreadPremium : 0) >= DEFAULT_MIN_PREMIUM);
 
-    // BUG #7 & #8 FIX: Classify trade type correctly
-    const tradeTypeObj = {
-      symbol: sym,
-      size: s,
-      premium: premium,
-      exchange: x,
-      timestamp: t,
-    };
-    const tradeType = classifyTradeType(tradeTypeObj, recentTradesMap);
-
-    // BUG #12 FIX: Get direction arrow
-    const { arrow, color } = getDirectionArrow(type, side);
-
-    // BUG #15 FIX: Calculate setup score
-    const setupScoreData = calculateSetupScore({
-      volume: s,
-      openInterest: 0, // Will be updated later
-      premium: formatPremium(premium),
-      premiumRaw: premium,
-      tradeType: tradeType,
-      side: side,
-      dte: calculateDTE(expirationDate),
-    });
-
-    // Create trade object
-    const tradeData = {
-      id: `${sym}-${t}-${s}-${Date.now()}`,
-      timestamp: new Date(t).toISOString(),
-      time: new Date(t).toLocaleTimeString('en-US', { hour12: false, hour: '2-digit', minute: '2-digit', second: '2-digit' }),
-      ticker,
-      strike,
-      expiration,
-      expirationDate: expirationDate.toISOString(), // Store for DTE calculation
-      type: type.toUpperCase(), // BUG #1 FIX: This should now correctly identify PUT vs CALL
-      price: p,
-      size: s,
-      premium: formatPremium(premium),
-      premiumRaw: premium, // Keep raw value for filtering
-      volume: 0, // CRITICAL FIX: Will be enriched from snapshot (NOT trade size)
-      oi: 0, // CRITICAL FIX: Will be enriched from snapshot
-      iv: iv, // BUG #5 FIX: Now calculated correctly
-      dte: calculateDTE(expirationDate),
-      otm: otm, // BUG #6 FIX: Now calculated correctly
-      otmLabel: otmLabel, // Add label for display
-      sentiment: formatSentiment(sentiment), // FIX: Correctly converts Bullish/Bearish to BULL/BEAR
-      side: side, // BUG #4 FIX: Add side field
-      directionArrow: arrow, // BUG #12 FIX: Add direction arrow
-      tradeType: tradeType.toUpperCase(), // BUG #7 & #8 FIX: Now correctly classified
-      confidence: setupScoreData.score, // BUG #15 FIX: Now calculated correctly
-      isHighProbability: setupScoreData.isHighProbability, // BUG #15 FIX
-      moneyness: moneynessData.label, // Use calculateMoneyness for consistency with REST API and filters
-      moneynessColor: moneynessData.color,
-      exchange: x,
-      conditions: c,
-      rawSymbol: sym,
-      spot: `$${spotPrice.toFixed(2)}`, // BUG #3 FIX: Now shows actual spot price
-      bid: bp || 0,
-      ask: ap || 0,
-    };
+  for (const tradeData of visibleRows) {
+    // Write through to the trade store (for API endpoint)
+    await tradeStore.insert(tradeData);
+    queueNetPremiumUpdate([tradeData]);
 
-    // Store trade in global list (for API endpoint)
-    const globalKey = `trade-${Date.now()}-${Math.random()}`;
-    tradesStore.set(globalKey, tradeData);
-    
     // BUG #16 FIX: Broadcast trade update via WebSocket (using global function)
     if (global.broadcastTradeUpdate) {
       global.broadcastTradeUpdate(tradeData);
     }
-    
-    // Clean up old trades
-    if (tradesStore.size > MAX_TRADES) {
-      const firstKey = tradesStore.keys().next().value;
-      tradesStore.delete(firstKey);
+  }
+
+  // Alert rules deliver in the background
+  evaluateAlertRules('flow', visibleRows);
+}
+
+// Build a flow row from one fill, or from all fills of a sweep (parent row with child fills attached)
+async function buildFlowRow(sym, fills, summary, minPremium = DEFAULT_MIN_PREMIUM) {
+  // BUG #1 FIX: Parse option symbol correctly to identify Calls vs Puts
+  const optionDetails = parseOptionSymbol(sym);
+  if (!optionDetails) {
+    return null;
+  }
+
+  const { ticker, strike, expiration, type, expirationDate } = optionDetails;
+  const isSweep = summary.exchanges.length >= 2;
+
+  // Sweeps are priced at their VWAP and sized at the total of all fills
+  const firstFill = fills[0];
+  const p = summary.vwap;
+  const s = summary.totalSize;
+  const t = summary.firstTimestamp;
+  const x = firstFill.exchange; // Sweeps also list every venue in `exchanges`
+  const { bid, ask } = firstFill;
+
+  // Calculate premium
+  const premium = summary.premium;
+
+  // DEFAULT PREMIUM FILTER: Hide trades with premium < $5,000
+  // This ensures only significant trades appear by default
+  if (premium < minPremium) {
+    return null; // Skip trades below $5K premium
+  }
+
+  // BUG #3 FIX: Get real-time spot price
+  const spotPrice = await getSpotPrice(ticker) || strike;
+
+  // BUG #4 FIX: Detect bid/ask side and sentiment against the NBBO when the order started
+  const { side, sentiment } = detectSide(p, bid, ask, type);
+
+  // BUG #5 FIX: Calculate IV if we have all required data
+  let iv = 'N/A';
+  if (spotPrice && strike && expirationDate && p > 0) {
+    try {
+      const T = (new Date(expirationDate).getTime() - new Date(t).getTime()) / (1000 * 60 * 60 * 24 * 365.25);
+      const r = 0.05; // Risk-free rate 5%
+      const isCall = type === 'CALL';
+      
+      // Validate inputs before calculation
+      if (T > 0 && T < 10 && p > 0 && spotPrice > 0 && strike > 0 && 
+          isFinite(T) && isFinite(p) && isFinite(spotPrice) && isFinite(strike)) {
+        const ivDecimal = calculateImpliedVolatility(p, spotPrice, strike, T, r, isCall);
+        
+        // Validate calculated IV
+        if (ivDecimal && isFinite(ivDecimal) && ivDecimal > 0 && ivDecimal < 5) {
+          iv = formatIV(ivDecimal);
+        }
+      }
+    } catch (ivError) {
+      // Silent error handling - IV calculation failed
     }
+  }
 
-  } catch (error) {
-    // Silent error handling
+  // BUG #6 FIX: Calculate OTM percentage correctly
+  const { otmPercent, otmLabel } = calculateOTM(strike, spotPrice, type);
+  const otm = `${otmPercent.toFixed(1)}%`;
+  
+  // Calculate moneyness using the same function as REST API (consistent with filter logic)
+  const moneynessData = calculateMoneyness(spotPrice, strike, type);
+
+  // BUG #7 & #8 FIX: Classify trade type correctly
+  // Multi-exchange clusters are sweeps by definition; single fills fall back to size/premium heuristics
+  const tradeType = isSweep ? 'Sweep' : classifyTradeType({
+    symbol: sym,
+    size: s,
+    premium: premium,
+    exchange: x,
+    timestamp: t,
+  }, recentTradesMap);
+
+  // BUG #12 FIX: Get direction arrow
+  const { arrow } = getDirectionArrow(type, side);
+
+  // Score the contract's day volume (last snapshot) against its cached baseline, like snapshot rows
+  const dayVolume = getSnapshotVolume(sym);
+  const baselineScore = dayVolume ? scoreCachedBaseline(sym, dayVolume, p) : null;
+
+  // BUG #15 FIX: Calculate setup score
+  const setupScoreData = calculateSetupScore({
+    volume: s,
+    openInterest: 0, // Will be updated later
+    premium: formatPremium(premium),
+    premiumRaw: premium,
+    tradeType: tradeType,
+    side: side,
+    dte: calculateDTE(expirationDate),
+    volumeZScore: baselineScore?.volumeZScore,
+  });
+
+  // Create trade object
+  const tradeData = {
+    id: isSweep ? `${sym}-${t}-sweep-${s}` : `${sym}-${t}-${s}-${Date.now()}`,
+    timestamp: new Date(t).toISOString(),
+    time: new Date(t).toLocaleTimeString('en-US', { hour12: false, hour: '2-digit', minute: '2-digit', second: '2-digit' }),
+    ticker,
+    strike,
+    expiration,
+    expirationDate: expirationDate.toISOString(), // Store for DTE calculation
+    type: type.toUpperCase(), // BUG #1 FIX: This should now correctly identify PUT vs CALL
+    price: parseFloat(p.toFixed(4)),
+    size: s,
+    premium: formatPremium(premium),
+    premiumRaw: premium, // Keep raw value for filtering
+    volume: 0, // CRITICAL FIX: Will be enriched from snapshot (NOT trade size)
+    oi: 0, // CRITICAL FIX: Will be enriched from snapshot
+    iv: iv, // BUG #5 FIX: Now calculated correctly
+    dte: calculateDTE(expirationDate),
+    otm: otm, // BUG #6 FIX: Now calculated correctly
+    otmLabel: otmLabel, // Add label for display
+    sentiment: formatSentiment(sentiment), // FIX: Correctly converts Bullish/Bearish to BULL/BEAR
+    side: side, // BUG #4 FIX: Add side field
+    directionArrow: arrow, // BUG #12 FIX: Add direction arrow
+    tradeType: tradeType.toUpperCase(), // BUG #7 & #8 FIX: Now correctly classified
+    confidence: setupScoreData.score, // BUG #15 FIX: Now calculated correctly
+    isHighProbability: setupScoreData.isHighProbability, // BUG #15 FIX
+    moneyness: moneynessData.label, // Use calculateMoneyness for consistency with REST API and filters
+    moneynessColor: moneynessData.color,
+    exchange: x,
+    conditions: isSweep ? [...new Set(fills.flatMap(fill => fill.conditions || []))] : firstFill.conditions,
+    rawSymbol: sym,
+    spot: `$${spotPrice.toFixed(2)}`, // BUG #3 FIX: Now shows actual spot price
+    bid,
+    ask,
+    ...baselineScore, // volumeZScore, premiumZScore, avgDailyVolume, ... (none until a baseline loads)
+  };
+
+  // Sweep parent row: aggregate stats plus the child fills that make it up
+  if (isSweep) {
+    Object.assign(tradeData, {
+      isSweep: true,
+      vwap: parseFloat(p.toFixed(4)),
+      exchanges: summary.exchanges,
+      fillCount: summary.fillCount,
+      sweepDurationMs: summary.lastTimestamp - summary.firstTimestamp,
+      fills: fills.map(fill => ({
+        exchange: fill.exchange,
+        price: fill.price,
+        size: fill.size,
+        premium: fill.price * fill.size * 100,
+        timestamp: new Date(fill.timestamp).toISOString(),
+        side: detectSide(fill.price, fill.bid, fill.ask, type).side,
+        conditions: fill.conditions,
+      })),
+    });
   }
+
+  return tradeData;
 }
 
 // BUG #1 FIX: parseOptionSymbol is now imported from utils/optionsCalculations.js
@@ -294,42 +433,27 @@ initMassiveWebSocket();
 console.log('📡 Scheduling initial options flow fetch...');
 setTimeout(() => {
   console.log('🚀 Starting initial options flow fetch...');
-  fetchOptionsFromREST().then(() => {
-    console.log(`✅ Initial fetch complete. Store now has ${tradesStore.size} trades.`);
+  fetchOptionsFromREST().then(async () => {
+    console.log(`✅ Initial fetch complete. Store now has ${await tradeStore.count()} trades.`);
   }).catch((err) => {
     console.error('❌ Initial fetch failed:', err.message);
   });
   
   // Periodic background refresh every 10 seconds - CONTINUOUSLY fetch new data
   let isFetching = false; // Prevent concurrent fetches
-  setInterval(() => {
+  setInterval(async () => {
     if (isFetching) {
       console.log('⏸️ Skipping refresh - fetch already in progress');
       return;
     }
-    
-    // Always refresh to get new live data, but clear old trades first if store is getting full
-    if (tradesStore.size > MAX_TRADES * 0.8) {
-      // Clear trades older than 2 minutes if store is > 80% full
-      const twoMinutesAgo = Date.now() - 120000;
-      let clearedCount = 0;
-      for (const [key, trade] of tradesStore.entries()) {
-        if (trade.timestamp && new Date(trade.timestamp).getTime() < twoMinutesAgo) {
-          tradesStore.delete(key);
-          clearedCount++;
-        }
-      }
-      if (clearedCount > 0) {
-        console.log(`🧹 Cleared ${clearedCount} old trades (store was ${tradesStore.size} trades, now ${tradesStore.size - clearedCount})`);
-      }
-    }
+    isFetching = true;
     
     // Always refresh to get new live data (removed the < 5000 condition)
-    console.log(`🔄 Live refresh triggered (store has ${tradesStore.size} trades, max: ${MAX_TRADES})...`);
-    isFetching = true;
-    fetchOptionsFromREST().then(() => {
+    // Old rows are no longer cleared here - RETENTION_POLICY keeps FLOW_RETENTION_DAYS of history
+    console.log(`🔄 Live refresh triggered (max stored trades: ${MAX_TRADES})...`);
+    fetchOptionsFromREST().then(async () => {
       isFetching = false;
-      console.log(`✅ Live refresh complete. Store now has ${tradesStore.size} trades.`);
+      console.log(`✅ Live refresh complete. Store now has ${await tradeStore.count()} trades.`);
     }).catch((err) => {
       console.error('❌ Live refresh error:', err.message);
       isFetching = false;
@@ -338,7 +462,7 @@ setTimeout(() => {
 }, 2000);
 
 // GET /api/options-flow - Get recent options flow with comprehensive filtering
-router.get('/', async (req, res) => {
+router.get('/', applyFilterPreset, async (req, res) => {
   try {
     // BUG #17 FIX: Check market status
     const marketStatus = getMarketStatus();
@@ -421,19 +545,7 @@ router.get('/', async (req, res) => {
     const offset = (pageNum - 1) * limitNum;
     
     // DEFAULT PREMIUM FILTER: Apply $5K minimum by default if not explicitly provided
-    // If minPremium is undefined, null, or 0 (and not explicitly set by user), use $5K default
-    // This allows users to override by explicitly passing minPremium=0 or a lower value
-    const defaultMinPremium = 5000;
-    const effectiveMinPremium = (minPremium === undefined || minPremium === null || minPremium === '') 
-      ? defaultMinPremium 
-      : (minPremium === '0' || parseFloat(minPremium) === 0 ? defaultMinPremium : parseFloat(minPremium));
-
-    // Helper function to check if a filter is active (handles both string 'true' and boolean true)
-    const isFilterActive = (value) => {
-      if (value === undefined || value === null || value === '') return false;
-      if (value === true || value === 'true' || value === '1') return true;
-      return false;
-    };
+    const effectiveMinPremium = getEffectiveMinPremium(minPremium);
 
     // Log filter parameters for debugging
     console.log('🔍 Filter parameters received:', {
@@ -452,16 +564,11 @@ router.get('/', async (req, res) => {
     // Only do this if ticker is provided and not empty
     if (ticker && ticker.trim() && ticker.trim().length > 0) {
       const searchTrades = await buildTradesForTickerSearch(ticker.trim().toUpperCase());
+      await annotateEarnings(searchTrades);
+      await annotateTickerInfo(searchTrades);
+      await annotateSSR(searchTrades);
       
       // Apply premium filter to ticker search results (respects user override)
-      const parsePremium = (premiumStr) => {
-        if (typeof premiumStr === 'number') return premiumStr;
-        const num = parseFloat(String(premiumStr).replace(/[^0-9.]/g, ''));
-        if (String(premiumStr).includes('M')) return num * 1000000;
-        if (String(premiumStr).includes('K')) return num * 1000;
-        return num;
-      };
-      
       const filteredSearchTrades = searchTrades.filter(trade => {
         const premiumNum = trade.premiumRaw || parsePremium(trade.premium);
         return premiumNum >= effectiveMinPremium;
@@ -480,286 +587,33 @@ router.get('/', async (req, res) => {
     }
     // If ticker is empty/undefined, continue with normal flow (all trades from store)
 
+    // Live feed shows the current trading session - past sessions are served by GET /history
+    const { from: sessionStart } = getTradingDayRange();
+    const allTradesRaw = await tradeStore.query({ from: sessionStart, minPremium: getStorePremiumFloor(req.query) });
+
     // Always fetch from REST API if store is empty or very small (initial load)
     // This ensures data is available even during pre-market/after-hours
-    if (tradesStore.size < 100) {
-      console.log(`📡 Store has ${tradesStore.size} trades, triggering background fetch...`);
+    if (allTradesRaw.length < 100) {
+      console.log(`📡 Store has ${allTradesRaw.length} trades for this session, triggering background fetch...`);
       // Trigger fetch but don't wait - return what we have immediately
       fetchOptionsFromREST().catch((err) => {
         console.error('❌ Background fetch error:', err.message);
       });
     }
-
-    // Get all trades from store
-    const allTradesRaw = Array.from(tradesStore.values());
-    console.log(`📊 GET /api/options-flow: Store has ${tradesStore.size} trades, allTradesRaw.length=${allTradesRaw.length}`);
-    
-    // Helper function to parse premium value
-    const parsePremium = (premiumStr) => {
-      if (typeof premiumStr === 'number') return premiumStr;
-      const num = parseFloat(premiumStr.replace(/[^0-9.]/g, ''));
-      if (premiumStr.includes('M')) return num * 1000000;
-      if (premiumStr.includes('K')) return num * 1000;
-      return num;
-    };
-    
-    // Helper function to parse range filters for volume
-    const parseVolumeRange = (vol, ranges) => {
-      if (!ranges) return true;
-      const selectedRanges = Array.isArray(ranges) ? ranges : ranges.split(',');
-      return selectedRanges.some(range => {
-        const num = parseFloat(vol || 0);
-        if (range === '< 1k') return num < 1000;
-        if (range === '1k to 5k') return num >= 1000 && num < 5000;
-        if (range === '5k to 25k') return num >= 5000 && num < 25000;
-        if (range === '> 25k') return num >= 25000;
-        return false;
-      });
-    };
+    console.log(`📊 GET /api/options-flow: Session has ${allTradesRaw.length} trades`);
     
-    // Helper function to check DTE
-    const checkDTE = (dteStr, selectedDTEs) => {
-      if (!selectedDTEs || selectedDTEs.length === 0) return true;
-      const dteNum = parseInt(dteStr.replace('d', '')) || 0;
-      return selectedDTEs.includes(dteNum);
-    };
-    
-    // Helper function to check stock price range
-    const checkStockPrice = (spotPrice, selectedRanges) => {
-      if (!selectedRanges || selectedRanges.length === 0) return true;
-      const price = parseFloat(spotPrice.replace(/[^0-9.]/g, '')) || 0;
-      return selectedRanges.some(range => {
-        if (range === '< $25') return price < 25;
-        if (range === '$25 - $75') return price >= 25 && price < 75;
-        if (range === '$75 - $150') return price >= 75 && price < 150;
-        if (range === '> $150') return price >= 150;
-        return false;
-      });
-    };
+    // Tag earnings, asset type/sector, SSR and repeat hits so the filters below can use them
+    await annotateFlowRows(allTradesRaw, req.query);
     
-    // Helper function to check OI range
-    const checkOIRange = (oi, selectedRanges) => {
-      if (!selectedRanges || selectedRanges.length === 0) return true;
-      return selectedRanges.some(range => {
-        if (range === '< 1k') return oi < 1000;
-        if (range === '1k to 5k') return oi >= 1000 && oi < 5000;
-        if (range === '5k to 25k') return oi >= 5000 && oi < 25000;
-        if (range === '> 25k') return oi >= 25000;
-        return false;
-      });
-    };
-    
-    // Filter trades with comprehensive filtering
-    const filteredTrades = allTradesRaw
-      .filter(trade => {
-        // Filter out arrays (grouped trades)
-        if (Array.isArray(trade)) {
-          return false;
-        }
-        
-        // Exclude symbols filter
-        if (excludeSymbols) {
-          const excluded = excludeSymbols.split(',').map(s => s.trim().toUpperCase());
-          if (excluded.includes(trade.ticker?.toUpperCase())) return false;
-        }
-        
-        // Premium filters
-        const premiumNum = trade.premiumRaw || parsePremium(trade.premium);
-        // Apply default $5K filter (or user-specified value)
-        if (premiumNum < effectiveMinPremium) return false;
-        if (maxPremium && premiumNum > parseFloat(maxPremium)) return false;
-        if (minPremiums && premiumNum < parseFloat(minPremiums)) return false;
-        if (maxPremiums && premiumNum > parseFloat(maxPremiums)) return false;
-        // Advanced Filters: filterMinPremium
-        if (filterMinPremium && premiumNum < parseFloat(filterMinPremium)) return false;
-        
-        // Strike filters
-        if (minStrike && trade.strike < parseFloat(minStrike)) return false;
-        if (maxStrike && trade.strike > parseFloat(maxStrike)) return false;
-        
-        // Bid/Ask spread filters - calculate spread from bid and ask
-        if (minBidask || maxBidask) {
-          const bid = trade.bid || 0;
-          const ask = trade.ask || 0;
-          const bidaskSpread = (bid > 0 && ask > 0) ? (ask - bid) : 0;
-          
-          if (minBidask && bidaskSpread < parseFloat(minBidask)) return false;
-          if (maxBidask && bidaskSpread > parseFloat(maxBidask)) return false;
-        }
-        
-        // Type filters (CALL/PUT) - use helper function to check if filter is active
-        // CRITICAL: Only apply CALL/PUT filter if it's explicitly set (don't show both if both are set)
-        const shouldShowCalls = isFilterActive(calls);
-        const shouldShowPuts = isFilterActive(puts);
-        const typeFilter = type ? type.toUpperCase() : null;
-        
-        // If CALL filter is active, only show CALLs
-        if (shouldShowCalls && !shouldShowPuts && trade.type !== 'CALL') return false;
-        // If PUT filter is active, only show PUTs
-        if (shouldShowPuts && !shouldShowCalls && trade.type !== 'PUT') return false;
-        // If both are active, show both (no filter)
-        // If type parameter is set, use it
-        if (typeFilter && trade.type !== typeFilter) return false;
-        
-        // Trade type filters (SWEEP/BLOCK/SPLIT) - use helper function to check if filter is active
-        // CRITICAL: Only apply trade type filter if it's explicitly set (don't show multiple types if multiple are set)
-        const shouldShowSweeps = isFilterActive(sweeps);
-        const shouldShowBlocks = isFilterActive(blocks);
-        const shouldShowSplits = isFilterActive(splits);
-        const tradeTypeFilter = tradeType ? tradeType.toUpperCase() : null;
-        
-        // Count how many trade type filters are active
-        const activeTradeTypeFilters = [shouldShowSweeps, shouldShowBlocks, shouldShowSplits].filter(Boolean).length;
-        
-        // If exactly one trade type filter is active, enforce it strictly
-        if (activeTradeTypeFilters === 1) {
-          if (shouldShowSweeps && trade.tradeType !== 'SWEEP') return false;
-          if (shouldShowBlocks && trade.tradeType !== 'BLOCK') return false;
-          if (shouldShowSplits && trade.tradeType !== 'SPLIT') return false;
-        }
-        // If multiple trade type filters are active, show trades matching any of them (OR logic)
-        else if (activeTradeTypeFilters > 1) {
-          const matchesAny = (shouldShowSweeps && trade.tradeType === 'SWEEP') ||
-                            (shouldShowBlocks && trade.tradeType === 'BLOCK') ||
-                            (shouldShowSplits && trade.tradeType === 'SPLIT');
-          if (!matchesAny) return false;
-        }
-        // If tradeType parameter is set, use it
-        if (tradeTypeFilter && trade.tradeType !== tradeTypeFilter) return false;
-        
-        // ITM/OTM/ATM filters - mutually exclusive (if any is active, trade must match that one)
-        const atm = req.query.atm;
-        const hasMoneynessFilter = isFilterActive(itm) || isFilterActive(otm) || isFilterActive(atm);
-        if (hasMoneynessFilter) {
-          // If any moneyness filter is active, trade must match at least one active filter
-          const matchesItm = isFilterActive(itm) && trade.moneyness === 'ITM';
-          const matchesOtm = isFilterActive(otm) && trade.moneyness === 'OTM';
-          const matchesAtm = isFilterActive(atm) && trade.moneyness === 'ATM';
-          if (!matchesItm && !matchesOtm && !matchesAtm) return false;
-        }
-        
-        // Volume > OI filter - use helper function to check if filter is active
-        if (isFilterActive(volGtOi) && trade.volume <= trade.oi) return false;
-        
-        // Above Ask / Below Bid filters - use helper function to check if filter is active
-        if (isFilterActive(aboveAsk) && trade.side !== 'Above Ask') return false;
-        if (isFilterActive(belowBid) && trade.side !== 'Below Bid') return false;
-        
-        // DTE filter
-        if (dte) {
-          const selectedDTEs = dte.split(',').map(d => parseInt(d.trim())).filter(d => !isNaN(d));
-          if (!checkDTE(trade.dte, selectedDTEs)) return false;
-        }
-        
-        // Short Expiry / LEAPS filter - use helper function to check if filter is active
-        const dteNum = parseInt(trade.dte?.replace('d', '')) || 0;
-        if (isFilterActive(shortExpiry) && dteNum > 30) return false;
-        if (isFilterActive(leaps) && dteNum < 365) return false;
-        
-        // Premium > $1M filter - use helper function to check if filter is active
-        if (isFilterActive(premium1m) && premiumNum < 1000000) return false;
-        
-        // Stock Price range filter
-        if (stockPrice) {
-          const selectedRanges = stockPrice.split(',');
-          if (!checkStockPrice(trade.spot, selectedRanges)) return false;
-        }
-        
-        // Open Interest range filter
-        if (openInterest) {
-          const selectedRanges = openInterest.split(',');
-          if (!checkOIRange(trade.oi || 0, selectedRanges)) return false;
-        }
-        
-        // Volume range filter
-        if (volume) {
-          const selectedRanges = volume.split(',');
-          const vol = trade.volume || trade.size || 0;
-          if (!parseVolumeRange(vol, selectedRanges)) return false;
-        }
-        
-        // Advanced Filters: minVolume
-        if (minVolume) {
-          const vol = trade.volume || trade.size || 0;
-          if (vol < parseFloat(minVolume)) return false;
-        }
-        
-        // Advanced Filters: filterMaxDte
-        if (filterMaxDte) {
-          const maxDteNum = parseInt(filterMaxDte) || 999;
-          const dteNum = parseInt(trade.dte?.replace('d', '')) || 0;
-          if (dteNum > maxDteNum) return false;
-        }
-        
-        // Advanced Filters: minConfidence
-        if (minConfidence) {
-          const conf = trade.confidence || 0;
-          if (conf < parseFloat(minConfidence)) return false;
-        }
-        
-        // Ticker filter (from header search OR Advanced Filters)
-        const tickerToFilter = ticker || filterTicker;
-        if (tickerToFilter && trade.ticker !== tickerToFilter.toUpperCase()) return false;
-        
-        return true;
-      });
+    // Filter trades with comprehensive filtering (shared with /history, see utils/flowFilters.js)
+    const filteredTrades = allTradesRaw.filter(createFlowFilter(req.query));
     
     // CRITICAL: Normalize sortBy parameter (handle both frontend and backend formats)
-    const normalizedSortBy = sortBy ? String(sortBy).toLowerCase() : 'time';
+    const normalizedSortBy = normalizeSortBy(sortBy);
     console.log(`🔍 Sorting by: "${sortBy}" (normalized: "${normalizedSortBy}")`);
     
-    // Prepare trades for sorting by ensuring all sort fields have default values
-    const tradesForSorting = filteredTrades.map(trade => ({
-      ...trade,
-      // Ensure confidence has a default value for sorting
-      confidence: trade.confidence !== undefined && trade.confidence !== null ? trade.confidence : 5,
-      // Ensure volume has a default value
-      volume: trade.volume || trade.size || 0,
-      // Ensure premiumRaw exists
-      premiumRaw: trade.premiumRaw || parsePremium(trade.premium),
-    }));
-    
     // Sort ALL filtered trades BEFORE pagination (CRITICAL FIX for sortBy filter)
-    const sortedTrades = [...tradesForSorting].sort((a, b) => {
-      switch (normalizedSortBy) {
-        case 'premium': {
-          const premiumA = a.premiumRaw || 0;
-          const premiumB = b.premiumRaw || 0;
-          return premiumB - premiumA; // Descending (high to low)
-        }
-        
-        case 'volume': {
-          const volumeA = a.volume || 0;
-          const volumeB = b.volume || 0;
-          return volumeB - volumeA; // Descending (high to low)
-        }
-        
-        case 'confidence': {
-          const confidenceA = a.confidence || 0;
-          const confidenceB = b.confidence || 0;
-          console.log(`🔍 Comparing confidence: ${confidenceA} vs ${confidenceB}`);
-          return confidenceB - confidenceA; // Descending (high to low)
-        }
-        
-        case 'iv': {
-          const parseIV = (ivStr) => {
-            if (!ivStr || ivStr === 'N/A') return 0;
-            return parseFloat(String(ivStr).replace('%', '')) || 0;
-          };
-          const ivA = parseIV(a.iv);
-          const ivB = parseIV(b.iv);
-          return ivB - ivA; // Descending (high to low)
-        }
-        
-        case 'time':
-        default: {
-          // Sort by timestamp (newest first)
-          const timestampA = a.timestamp ? new Date(a.timestamp).getTime() : 0;
-          const timestampB = b.timestamp ? new Date(b.timestamp).getTime() : 0;
-          return timestampB - timestampA; // Descending (newest first)
-        }
-      }
-    });
+    const sortedTrades = sortTrades(filteredTrades, normalizedSortBy);
     
     // Log first few sorted trades for debugging
     if (normalizedSortBy === 'confidence') {
@@ -770,10 +624,16 @@ router.get('/', async (req, res) => {
       })));
     }
 
-    // Calculate pagination (AFTER sorting)
-    const totalCount = sortedTrades.length;
-    const totalPages = Math.ceil(totalCount / limitNum);
-    const paginatedTrades = sortedTrades.slice(offset, offset + limitNum);
+    // Calculate pagination (AFTER sorting) - page/limit, or after/before/since cursors
+    const pagination = paginateFlow(sortedTrades, req.query, normalizedSortBy);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pagination',
+        message: pagination.error,
+      });
+    }
+    const { totalCount, totalPages, trades: paginatedTrades } = pagination;
 
     // Enrich trades with additional data (OI, IV, etc.)
     const enrichedTrades = await Promise.all(paginatedTrades.map(async (trade) => {
@@ -919,37 +779,27 @@ router.get('/', async (req, res) => {
     }));
 
     // BUG #14 FIX: Calculate overall flow sentiment
-    const bullishPremium = enrichedTrades
-      .filter(t => t.sentiment === 'BULL' || t.sentiment === 'BULLISH')
-      .reduce((sum, t) => sum + (t.premiumRaw || parseFloat(t.premium.replace(/[^0-9.]/g, '')) * 
-        (t.premium.includes('M') ? 1000000 : (t.premium.includes('K') ? 1000 : 1))), 0);
-    const bearishPremium = enrichedTrades
-      .filter(t => t.sentiment === 'BEAR' || t.sentiment === 'BEARISH')
-      .reduce((sum, t) => sum + (t.premiumRaw || parseFloat(t.premium.replace(/[^0-9.]/g, '')) * 
-        (t.premium.includes('M') ? 1000000 : (t.premium.includes('K') ? 1000 : 1))), 0);
-    const totalPremium = bullishPremium + bearishPremium;
-    const sentimentRatio = totalPremium > 0 ? bullishPremium / totalPremium : 0.5;
-    const overallSentiment = sentimentRatio > 0.55 ? 'Bullish' : sentimentRatio < 0.45 ? 'Bearish' : 'Neutral';
+    const overallSentiment = calculateOverallSentiment(enrichedTrades);
     
     // Always return trades array, even if empty
-    console.log(`📤 GET /api/options-flow: Returning ${enrichedTrades.length} trades (totalCount=${totalCount}, storeSize=${tradesStore.size})`);
+    console.log(`📤 GET /api/options-flow: Returning ${enrichedTrades.length} trades (totalCount=${totalCount}, storeSize=${allTradesRaw.length})`);
     res.json({
       success: true,
       count: enrichedTrades.length,
       totalCount: totalCount,
-      page: pageNum,
+      page: pagination.page,
       totalPages: totalPages,
-      limit: limitNum,
+      limit: pagination.limit,
+      nextCursor: pagination.nextCursor,
+      prevCursor: pagination.prevCursor,
+      hasMore: pagination.hasMore,
+      latestCursor: pagination.latestCursor,
       trades: enrichedTrades,
       flows: enrichedTrades, // Also include 'flows' for frontend compatibility
-      storeSize: tradesStore.size,
+      storeSize: allTradesRaw.length,
       timestamp: new Date().toISOString(),
       marketStatus: marketStatus, // BUG #17 FIX: Include market status
-      overallSentiment: { // BUG #14 FIX: Include overall sentiment
-        sentiment: overallSentiment,
-        ratio: (sentimentRatio * 100).toFixed(2) + '%',
-        netPremium: bullishPremium - bearishPremium,
-      },
+      overallSentiment, // BUG #14 FIX: Include overall sentiment
     });
   } catch (error) {
     console.error('❌ Error fetching options flow:', error);
@@ -974,41 +824,13 @@ async function fetchOptionsFromREST() {
 
     console.log('📡 Starting to fetch contracts from Massive.com API...');
     
-    // For live refresh: Clear old trades older than 2 minutes to keep data fresh and make room for new trades
-    // Only clear if store is getting full (> 50% of MAX_TRADES) to ensure we always have recent data
-    if (tradesStore.size > MAX_TRADES * 0.5) {
-      const twoMinutesAgo = Date.now() - 120000; // 2 minutes ago
-      let clearedCount = 0;
-      const initialSize = tradesStore.size;
-      for (const [key, trade] of tradesStore.entries()) {
-        if (trade.timestamp && new Date(trade.timestamp).getTime() < twoMinutesAgo) {
-          tradesStore.delete(key);
-          clearedCount++;
-        }
-      }
-      if (clearedCount > 0) {
-        console.log(`🧹 Cleared ${clearedCount} old trades (older than 2 minutes). Store: ${initialSize} → ${tradesStore.size}`);
-      }
-    }
-    
     // Fetch ALL contracts (no filters). Frontend will filter client-side.
     await fetchAllContracts(apiKey);
-    console.log(`✅ fetchAllContracts completed. Store now has ${tradesStore.size} trades.`);
+    const storeSize = await tradeStore.count();
+    console.log(`✅ fetchAllContracts completed. Store now has ${storeSize} trades.`);
 
-    // Log summary with PUT/CALL breakdown
-    if (tradesStore.size === 0) {
+    if (storeSize === 0) {
       console.warn('⚠️ No trades stored after REST fetch');
-    } else {
-      const allTrades = Array.from(tradesStore.values()).filter(t => !Array.isArray(t));
-      const callCount = allTrades.filter(t => t.type === 'CALL').length;
-      const putCount = allTrades.filter(t => t.type === 'PUT').length;
-      const totalCount = allTrades.length;
-      
-      console.log(`📊 Trade Summary: Total=${totalCount}, CALLs=${callCount}, PUTs=${putCount}, Ratio=${totalCount > 0 ? ((callCount / totalCount) * 100).toFixed(1) : 0}%`);
-      
-      if (putCount === 0 && totalCount > 10) {
-        console.warn('⚠️ No PUT options detected - check contract type parsing');
-      }
     }
   } catch (error) {
     console.error('❌ fetchOptionsFromREST error:', error.message);
@@ -1020,19 +842,23 @@ async function fetchAllContracts(apiKey) {
   try {
     console.log('📡 fetchAllContracts() started - using snapshot API for efficient fetching...');
     
-    // Major tickers to fetch options for
-    const tickers = ['SPY', 'QQQ', 'NVDA', 'AAPL', 'TSLA', 'MSFT', 'GOOGL', 'AMZN', 'META', 'AMD', 'A', 'IWM', 'DIA', 'TLT', 'SPX', 'SPXW', 'XSP', 'NDX'];
+    // Underlyings due this cycle (see utils/flowUniverse.js - high tier every refresh, lower tiers less often)
+    const dueTickers = getDueTickers(refreshCycle++);
     
-    // Adjust limits based on store size - fetch more when store is already populated
-    const contractsPerTicker = tradesStore.size > 10000 ? 500 : 200; // Fetch more contracts per ticker if store is populated
-    const maxPagesPerTicker = tradesStore.size > 10000 ? 10 : 5; // Fetch more pages if store is populated
+    // Default budget when a ticker has no maxPages - fetch more when store is already populated
+    const storeSize = await tradeStore.count();
+    const defaultContractsPerTicker = storeSize > 10000 ? 500 : 200; // Fetch more contracts per ticker if store is populated
+    const defaultMaxPagesPerTicker = storeSize > 10000 ? 10 : 5; // Fetch more pages if store is populated
     
     let allContracts = [];
     
     // Fetch snapshot data for each ticker (parallel processing)
-    console.log(`📊 Fetching snapshot data for ${tickers.length} tickers (${contractsPerTicker} contracts per ticker)...`);
+    console.log(`📊 Fetching snapshot data for ${dueTickers.length} tickers (${dueTickers.map(entry => entry.ticker).join(', ')})...`);
     
-    const tickerPromises = tickers.map(async (ticker) => {
+    const tickerPromises = dueTickers.map(async ({ ticker, maxPages }) => {
+      // Per-ticker page budget from the universe (100 contracts per page)
+      const maxPagesPerTicker = maxPages || defaultMaxPagesPerTicker;
+      const contractsPerTicker = maxPages ? maxPages * 100 : defaultContractsPerTicker;
       try {
         let tickerContracts = [];
         let currentUrl = `https://api.massive.com/v3/snapshot/options/${ticker}`;
@@ -1100,6 +926,17 @@ async function fetchAllContracts(apiKey) {
       allContracts = allContracts.concat(contracts);
     });
     
+    // Pack whole underlyings into batches so spread legs of one order are tagged together
+    const batches = [];
+    tickerResults.filter(contracts => contracts.length > 0).forEach(contracts => {
+      const last = batches[batches.length - 1];
+      if (last && last.length + contracts.length <= SNAPSHOT_BATCH_SIZE) {
+        batches.push(batches.pop().concat(contracts));
+      } else {
+        batches.push(contracts);
+      }
+    });
+    
     if (allContracts.length === 0) {
       console.warn('⚠️ No contracts fetched from snapshot API');
       return;
@@ -1112,20 +949,15 @@ async function fetchAllContracts(apiKey) {
       console.log(`🔄 Processing ${allContracts.length} contracts (snapshot data already includes volume, OI, IV)...`);
       
       // Process first batch immediately for fast display
-      const firstBatch = allContracts.slice(0, 500);
+      const [firstBatch, ...remainingBatches] = batches;
       await processContracts(firstBatch);
-      console.log(`✅ First batch processed. Store now has ${tradesStore.size} trades.`);
+      console.log(`✅ First batch processed. Store now has ${await tradeStore.count()} trades.`);
       
       // Process remaining batches in background
-      if (allContracts.length > 500) {
-        const remainingBatches = [];
-        for (let i = 500; i < allContracts.length; i += 500) {
-          remainingBatches.push(allContracts.slice(i, i + 500));
-        }
-        
+      if (remainingBatches.length > 0) {
         // Process remaining batches asynchronously (don't await)
-        Promise.all(remainingBatches.map(batch => processContracts(batch))).then(() => {
-          console.log(`✅ All batches processed. Store now has ${tradesStore.size} trades.`);
+        Promise.all(remainingBatches.map(batch => processContracts(batch))).then(async () => {
+          console.log(`✅ All batches processed. Store now has ${await tradeStore.count()} trades.`);
         }).catch(err => {
           console.error('❌ Error processing remaining batches:', err.message);
         });
@@ -1144,11 +976,12 @@ async function fetchAllContracts(apiKey) {
 // Process contracts and convert to trade format
 async function processContracts(contracts, overrideTicker = null, overrideContractType = null) {
   try {
+    const candidates = [];
+    const today = getEasternDateString();
+    const previousOIMap = await getPreviousOIMap(contracts, today);
+    // Load what earlier refreshes already emitted today so unchanged contracts are skipped
+    await ensureSnapshotState(today, () => tradeStore.query({ from: getTradingDayRange(today).from, readOnly: true }));
     for (const contract of contracts) {
-      // Stop if we hit the cap to avoid UI/CPU overload
-      if (tradesStore.size >= MAX_TRADES) {
-        break;
-      }
       try {
         // Extract contract data - snapshot API structure (primary)
         // Snapshot API: contract.details.strike_price, contract.details.expiration_date, contract.details.contract_type
@@ -1196,8 +1029,8 @@ async function processContracts(contracts, overrideTicker = null, overrideContra
         const expStr = `${(expDate.getMonth() + 1).toString().padStart(2, '0')}/${expDate.getDate().toString().padStart(2, '0')}`;
         
         // Calculate DTE
-        const today = new Date();
-        const diffTime = expDate.getTime() - today.getTime();
+        const now = new Date();
+        const diffTime = expDate.getTime() - now.getTime();
         const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
         const dte = diffDays > 0 ? `${diffDays}d` : '0d';
         
@@ -1273,40 +1106,23 @@ async function processContracts(contracts, overrideTicker = null, overrideContra
         }
         
         // CRITICAL FIX: SIZE vs VOLUME separation
-        // SIZE = Individual trade size (from last_trade.size if available, otherwise estimate)
+        // SIZE = Contracts traded since the previous snapshot (day volume delta, or the new last_trade)
         // VOLUME = Daily volume (from day.volume - NEVER use as SIZE)
         // These are DIFFERENT metrics and must NOT be confused
+        const lastTradeTimestamp = contract.last_trade?.sip_timestamp ? Math.floor(contract.last_trade.sip_timestamp / 1e6) : null;
+        const tradeSize = getSnapshotChange(tickerSymbol, {
+          volume: dayVolume,
+          lastTradeTimestamp,
+          lastTradeSize: contract.last_trade?.size || 0,
+        });
         
-        // SIZE: Get individual trade size from last_trade.size if available
-        const lastTradeSize = contract.last_trade?.size || 0;
-        let tradeSize = lastTradeSize;
-        
-        // If no last_trade.size, estimate SIZE as a small fraction of daily volume
-        // SIZE should be much smaller than VOLUME (e.g., 1-100 contracts per trade)
-        if (tradeSize === 0 && dayVolume > 0) {
-          // Estimate: SIZE is typically 1-5% of daily volume, but cap at reasonable max (100)
-          tradeSize = Math.max(1, Math.min(100, Math.floor(dayVolume / Math.max(10, Math.floor(dayVolume / 50)))));
-        }
-        
-        // If still no SIZE, estimate from OI (but this is less reliable)
-        if (tradeSize === 0 && openInterest > 0) {
-          tradeSize = Math.max(1, Math.min(100, Math.floor(openInterest * 0.01))); // 1% of OI, max 100
-        }
-        
-        // Absolute minimum SIZE (only if no other data)
+        // Nothing traded since the last refresh - the contract is already in the flow
         if (tradeSize === 0) {
-          tradeSize = 1;
+          continue;
         }
         
         const premium = avgPrice * tradeSize * 100;
         
-        // DEFAULT PREMIUM FILTER: Hide trades with premium < $5,000
-        // This ensures only significant trades from snapshot are stored
-        const minPremium = 5000;
-        if (premium < minPremium) {
-          continue; // Skip trades below $5K premium
-        }
-        
         // Detect side using actual bid/ask if available
         const { side, sentiment, aggressor } = detectSide(avgPrice, bid, ask, normalizedType);
         
@@ -1380,8 +1196,9 @@ async function processContracts(contracts, overrideTicker = null, overrideContra
         // Get direction arrow
         const { arrow, color } = getDirectionArrow(normalizedType, side);
         
-        // BUG #13 FIX: Detect opening/closing (simplified - would need previous OI data for full accuracy)
-        const openingClosing = detectOpeningClosing(dayVolume || tradeSize, openInterest, null);
+        // BUG #13 FIX: Detect opening/closing against the last stored OI snapshot (heuristics if none)
+        const previousOI = previousOIMap.get(tickerSymbol)?.oi ?? null;
+        const openingClosing = detectOpeningClosing(dayVolume || tradeSize, openInterest, previousOI);
         
         // Calculate setup score
         const setupScoreData = calculateSetupScore({
@@ -1398,7 +1215,7 @@ async function processContracts(contracts, overrideTicker = null, overrideContra
         // SIZE = Individual trade size (NOT daily volume)
         // VOLUME = Daily volume from snapshot (NOT individual trade size)
         // OI = Open interest from snapshot
-        const finalSize = tradeSize; // Individual trade size (from last_trade.size or estimated)
+        const finalSize = tradeSize; // Contracts traded since the previous snapshot
         const finalVolume = dayVolume > 0 ? dayVolume : 0; // Daily volume from snapshot (NEVER use SIZE as fallback)
         const finalOI = openInterest > 0 ? openInterest : 0; // Open interest from snapshot
         
@@ -1422,6 +1239,7 @@ async function processContracts(contracts, overrideTicker = null, overrideContra
           premiumRaw: premium,
           volume: finalVolume, // Actual volume from snapshot API - ensure it's > 0
           oi: finalOI, // Actual open interest from snapshot API
+          previousOi: previousOI, // OI from the previous stored snapshot (null if none)
           iv: iv,
           dte: dte,
           otm: otm,
@@ -1439,23 +1257,16 @@ async function processContracts(contracts, overrideTicker = null, overrideContra
           openingClosing: openingClosing, // BUG #13 FIX: Add opening/closing label
           spot: `$${spotPrice.toFixed(2)}`,
           exchange: 'N/A',
-          conditions: [],
+          conditions: contract.last_trade?.conditions || [],
+          // Last trade time (ns -> ms) lets spread detection pair legs of the same order
+          lastTradeTimestamp,
           rawSymbol: tickerSymbol,
+          source: 'snapshot', // Lets the snapshot tracker re-seed from stored rows after a restart
           bid: bid,
           ask: ask,
         };
         
-        // Store trade
-        const key = `ref-${underlying}-${strike}-${expiration}-${normalizedType}-${Date.now()}-${Math.random()}`;
-        // Store trade (respect cap)
-        if (tradesStore.size < MAX_TRADES) {
-          tradesStore.set(key, tradeData);
-        }
-        
-        // Broadcast trade update via WebSocket
-        if (global.broadcastTradeUpdate) {
-          global.broadcastTradeUpdate(tradeData);
-        }
+        candidates.push(tradeData);
       } catch (error) {
         // Log first few errors, then silent
         if (contracts.indexOf(contract) < 5) {
@@ -1463,7 +1274,61 @@ async function processContracts(contracts, overrideTicker = null, overrideContra
         }
       }
     }
-    console.log(`✅ processContracts completed. Processed ${contracts.length} contracts, store now has ${tradesStore.size} trades.`);
+    
+    // Tag multi-leg prints with their spread group before the premium cut, so small legs still pair
+    tagSpreads(candidates);
+    
+    // DEFAULT PREMIUM FILTER: Hide trades with premium < $5,000
+    // A spread leg is kept when its whole order clears the floor
+    const newTrades = candidates.filter(row => getOrderPremium(row) >= SNAPSHOT_MIN_PREMIUM);
+    
+    // Score day volume against each contract's own baseline instead of fixed cutoffs
+    await annotateVolumeBaseline(newTrades);
+    newTrades.forEach((row) => {
+      if (Number.isFinite(row.volumeZScore)) {
+        const { score, isHighProbability } = calculateSetupScore({
+          volume: row.volume || row.size,
+          openInterest: row.oi,
+          dte: row.dte,
+          volumeZScore: row.volumeZScore,
+        });
+        row.confidence = score;
+        row.isHighProbability = isHighProbability;
+      }
+    });
+    
+    // Record today's OI for these contracts so tomorrow has a previous OI even without the nightly run
+    // (once per contract per day - later refreshes carry the same OI)
+    if (recordedOI.date !== today) {
+      recordedOI.date = today;
+      recordedOI.contracts.clear();
+    }
+    const oiRows = toOIRows(contracts, today, overrideTicker).filter(row => !recordedOI.contracts.has(row.contract));
+    if (oiRows.length > 0) {
+      await oiStore.upsertMany(oiRows)
+        .then(() => oiRows.forEach(row => recordedOI.contracts.add(row.contract)))
+        .catch((err) => {
+          console.error('❌ OI snapshot write error:', err.message);
+        });
+    }
+    
+    // Write the batch through to the trade store, then enforce the retention policy (replaces the old hard cap)
+    await tradeStore.insertMany(newTrades);
+    queueNetPremiumUpdate(newTrades);
+    const removedCount = await tradeStore.applyRetention(RETENTION_POLICY);
+    if (removedCount > 0) {
+      console.log(`🧹 Retention policy removed ${removedCount} old trades (max ${MAX_TRADES} rows, ${FLOW_RETENTION_DAYS} days)`);
+    }
+    
+    // Broadcast trade updates via WebSocket
+    if (global.broadcastTradeUpdate) {
+      newTrades.forEach(tradeData => global.broadcastTradeUpdate(tradeData));
+    }
+    
+    // Alert rules deliver in the background
+    evaluateAlertRules('flow', newTrades);
+    
+    console.log(`✅ processContracts completed. Processed ${contracts.length} contracts, store now has ${await tradeStore.count()} trades.`);
   } catch (error) {
     console.error('❌ processContracts error:', error.message);
     if (error.stack) {
@@ -1473,6 +1338,106 @@ async function processContracts(contracts, overrideTicker = null, overrideContra
   }
 }
 
+/**
+ * Premium floor to push into tradeStore.query: a row below it can neither pass the
+ * minPremium filter nor count as a repeat hit in annotateFlowRows
+ */
+function getStorePremiumFloor(query) {
+  return Math.min(getEffectiveMinPremium(query.minPremium), getRepeatFlowOptions(query).minPremium);
+}
+
+/**
+ * Tag stored flow rows with everything the shared filters read (see utils/flowFilters.js)
+ */
+async function annotateFlowRows(rows, query) {
+  // Next/last earnings for preEarnings / postEarnings / expiresAfterEarnings
+  await annotateEarnings(rows);
+  // Asset type / sector for nonEtf, assetType and sector
+  await annotateTickerInfo(rows);
+  // Short sale restriction state for ssr
+  await annotateSSR(rows);
+  // Repeat hits across the whole set (before filters narrow it down)
+  annotateRepeatFlow(rows, getRepeatFlowOptions(query));
+  return rows;
+}
+
+/**
+ * Page sorted flow rows for GET / and GET /history
+ * - page/limit (default): offset pages, convenient but shifts as new rows arrive
+ * - after/before: opaque cursors (nextCursor/prevCursor from a previous response), stable under inserts
+ * - since: cursor, epoch ms or ISO time - only rows newer than it, for polling (latestCursor is the next value)
+ * Returns { error } for bad parameters, otherwise the page plus the pagination fields of the response
+ */
+function paginateFlow(sortedTrades, query, sortBy) {
+  const { page = 1, limit = 20, after, before, since } = query;
+  const pageNum = parseInt(page) || 1;
+  const limitNum = parseInt(limit) || 20;
+
+  if (after && before) {
+    return { error: 'Use either "after" or "before", not both' };
+  }
+
+  let rows = sortedTrades;
+  if (since !== undefined && since !== '') {
+    const sinceKey = parseSince(since);
+    if (!sinceKey) {
+      return { error: 'Query parameter "since" must be a cursor, epoch milliseconds or an ISO timestamp' };
+    }
+    rows = rows.filter(trade => isNewerThan(trade, sinceKey));
+  }
+
+  // Newest row in the result, so pollers can pass it straight back as ?since=
+  const newest = rows.reduce((latest, trade) => (
+    !latest || isNewerThan(trade, { t: new Date(latest.timestamp).getTime() || 0, id: String(latest.id ?? '') }) ? trade : latest
+  ), null);
+  const latestCursor = newest ? encodeCursor(newest, 'time') : (since || null);
+
+  const totalCount = rows.length;
+  const totalPages = Math.max(1, Math.ceil(totalCount / limitNum));
+
+  if (after || before) {
+    const cursor = decodeCursor(after || before);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+    if (cursor.sortBy !== sortBy) {
+      return { error: `Cursor was issued for sortBy=${cursor.sortBy}, not sortBy=${sortBy}` };
+    }
+    const result = paginateByCursor(rows, {
+      after: after ? cursor : null,
+      before: before ? cursor : null,
+      limit: limitNum,
+      sortBy,
+    });
+    return { ...result, page: null, totalPages, totalCount, limit: limitNum, latestCursor };
+  }
+
+  const offset = (pageNum - 1) * limitNum;
+  const trades = rows.slice(offset, offset + limitNum);
+  return {
+    trades,
+    nextCursor: trades.length > 0 ? encodeCursor(trades[trades.length - 1], sortBy) : null,
+    prevCursor: trades.length > 0 ? encodeCursor(trades[0], sortBy) : null,
+    hasMore: offset + trades.length < totalCount,
+    page: pageNum,
+    totalPages,
+    totalCount,
+    limit: limitNum,
+    latestCursor,
+  };
+}
+
+// Previous stored OI per contract symbol (empty map if the OI store is unavailable)
+async function getPreviousOIMap(contracts, date) {
+  try {
+    const symbols = contracts.map(contract => contract.details?.ticker || contract.ticker).filter(Boolean);
+    return await oiStore.getPreviousOI(symbols, date);
+  } catch (error) {
+    console.error('❌ Previous OI lookup error:', error.message);
+    return new Map();
+  }
+}
+
 // Helper: build trades for a single ticker search without mutating the store (using snapshot API)
 async function buildTradesForTickerSearch(ticker) {
   const apiKey = process.env.MASSIVE_API_KEY || process.env.POLYGON_API_KEY || '97a8ba5e-d46b-4bc4-8cf5-54137af51f06';
@@ -1516,6 +1481,7 @@ async function buildTradesForTickerSearch(ticker) {
 
   // Build trades (without storing) using snapshot API structure
   const trades = [];
+  const previousOIMap = await getPreviousOIMap(allContracts, getEasternDateString());
   for (const contract of allContracts) {
     try {
       // Snapshot API structure: contract.details.strike_price, contract.details.expiration_date, contract.details.contract_type
@@ -1723,7 +1689,7 @@ async function buildTradesForTickerSearch(ticker) {
           side: side,
           dte: dte,
         }).isHighProbability,
-        openingClosing: detectOpeningClosing(tradeSize, openInterest, null), // BUG #13 FIX
+        openingClosing: detectOpeningClosing(tradeSize, openInterest, previousOIMap.get(tickerSymbol)?.oi ?? null), // BUG #13 FIX
         spot: `$${spotPrice.toFixed(2)}`,
         exchange: contract.primary_exchange || 'N/A',
         conditions: [],
@@ -1742,21 +1708,148 @@ async function buildTradesForTickerSearch(ticker) {
   // sort newest (just by processing order/time)
   return trades.sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime());
 }
+// GET /api/options-flow/history?date=YYYY-MM-DD - Replay stored flow for a past session
+// Accepts the same filter/sort params as GET /api/options-flow
+router.get('/history', applyFilterPreset, async (req, res) => {
+  try {
+    const { date, sortBy } = req.query;
+
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date',
+        message: 'Query parameter "date" is required in YYYY-MM-DD format',
+      });
+    }
+
+    // Whole ET calendar day, so pre-market and after-hours prints are included
+    const { from, to } = getTradingDayRange(date);
+    const ticker = (req.query.ticker || req.query.filterTicker || '').trim().toUpperCase();
+    const sessionTrades = await tradeStore.query({
+      from,
+      to,
+      ticker: ticker || undefined,
+      minPremium: getStorePremiumFloor(req.query),
+    });
+
+    await annotateFlowRows(sessionTrades, req.query);
+    const filteredTrades = sessionTrades.filter(createFlowFilter(req.query));
+    const normalizedSortBy = normalizeSortBy(sortBy);
+    const sortedTrades = sortTrades(filteredTrades, normalizedSortBy);
+
+    const pagination = paginateFlow(sortedTrades, req.query, normalizedSortBy);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pagination',
+        message: pagination.error,
+      });
+    }
+    const { totalCount, trades: pagedTrades } = pagination;
+
+    console.log(`📜 GET /api/options-flow/history: ${date} has ${sessionTrades.length} stored trades, ${totalCount} after filters`);
+
+    res.json({
+      success: true,
+      date,
+      count: pagedTrades.length,
+      totalCount,
+      page: pagination.page,
+      totalPages: pagination.totalPages,
+      limit: pagination.limit,
+      nextCursor: pagination.nextCursor,
+      prevCursor: pagination.prevCursor,
+      hasMore: pagination.hasMore,
+      latestCursor: pagination.latestCursor,
+      trades: pagedTrades,
+      flows: pagedTrades,
+      sessionSize: sessionTrades.length,
+      timestamp: new Date().toISOString(),
+      overallSentiment: calculateOverallSentiment(sortedTrades),
+    });
+  } catch (error) {
+    console.error('❌ Error fetching options flow history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch options flow history',
+      message: error.message,
+    });
+  }
+});
+
+// GET /api/options-flow/export?format=csv|ndjson|parquet&date=YYYY-MM-DD - Download stored flow
+// Accepts the same filter/sort params as GET /api/options-flow; all matching rows, no paging
+// date defaults to the current session; columns are raw numbers (see utils/flowExport.js)
+router.get('/export', applyFilterPreset, async (req, res) => {
+  try {
+    const format = getExportFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format',
+        message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+      });
+    }
+
+    const { date } = req.query;
+    if (date && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(`${date}T00:00:00Z`).getTime()))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date',
+        message: 'Query parameter "date" must be in YYYY-MM-DD format',
+      });
+    }
+
+    const { date: sessionDate, from, to } = getTradingDayRange(date || undefined);
+    const ticker = (req.query.ticker || req.query.filterTicker || '').trim().toUpperCase();
+    const sessionTrades = (await tradeStore.query({
+      from,
+      to,
+      ticker: ticker || undefined,
+      minPremium: getStorePremiumFloor(req.query),
+    })).filter(trade => !Array.isArray(trade));
+
+    await annotateFlowRows(sessionTrades, req.query);
+    const filteredTrades = sessionTrades.filter(createFlowFilter(req.query));
+    const sortedTrades = sortTrades(filteredTrades, normalizeSortBy(req.query.sortBy));
+
+    console.log(`📤 GET /api/options-flow/export: ${sortedTrades.length} of ${sessionTrades.length} trades for ${sessionDate} as ${format}`);
+
+    await streamExport(res, {
+      format,
+      columns: FLOW_COLUMNS,
+      rows: sortedTrades,
+      filename: `options-flow-${sessionDate}`,
+    });
+  } catch (error) {
+    console.error('❌ Error exporting options flow:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export options flow',
+      message: error.message,
+    });
+  }
+});
+
 // POST /api/options-flow/refresh - Manually trigger a refresh
 router.post('/refresh', async (req, res) => {
   try {
     console.log('🔄 Manual refresh triggered...');
     // Trigger in background, return immediately
-    fetchOptionsFromREST().then(() => {
-      console.log(`✅ Manual refresh complete. Store now has ${tradesStore.size} trades.`);
+    fetchOptionsFromREST().then(async () => {
+      console.log(`✅ Manual refresh complete. Store now has ${await tradeStore.count()} trades.`);
     }).catch((err) => {
       console.error('❌ Manual refresh error:', err.message);
     });
     
+    const storeSize = await tradeStore.count();
     res.json({
       success: true,
-      message: `Refresh triggered. Current store size: ${tradesStore.size} trades.`,
-      count: tradesStore.size,
+      message: `Refresh triggered. Current store size: ${storeSize} trades.`,
+      count: storeSize,
       note: 'Fetch is running in background. Check stats endpoint in a few seconds.',
     });
   } catch (error) {
@@ -1768,23 +1861,191 @@ router.post('/refresh', async (req, res) => {
   }
 });
 
+// GET /api/options-flow/aggregate?groupBy=ticker|expiration|strike|sector&window=session|15m|4h|5d
+// Premium by call/put and bullish/bearish, trade counts per type and net premium per group
+// Accepts the same filters as GET /api/options-flow
+router.get('/aggregate', applyFilterPreset, async (req, res) => {
+  try {
+    const groupBy = String(req.query.groupBy || 'ticker').toLowerCase();
+    if (!GROUP_BY[groupBy]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid groupBy',
+        message: `groupBy must be one of: ${Object.keys(GROUP_BY).join(', ')}`,
+      });
+    }
+
+    const range = parseWindow(req.query.window);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid window',
+        message: 'window must be "session" or a duration like 15m, 4h or 5d',
+      });
+    }
+
+    const limitNum = parseInt(req.query.limit) || 50;
+    const ticker = (req.query.ticker || req.query.filterTicker || '').trim().toUpperCase();
+    const trades = (await tradeStore.query({
+      from: range.from,
+      to: range.to,
+      ticker: ticker || undefined,
+      minPremium: getStorePremiumFloor(req.query),
+    })).filter(trade => !Array.isArray(trade));
+
+    await annotateFlowRows(trades, req.query);
+    const filteredTrades = trades.filter(createFlowFilter(req.query));
+    const groups = aggregateFlow(filteredTrades, groupBy);
+
+    res.json({
+      success: true,
+      groupBy,
+      window: range.window,
+      from: new Date(range.from).toISOString(),
+      to: new Date(range.to).toISOString(),
+      tradeCount: filteredTrades.length,
+      groupCount: groups.length,
+      groups: groups.slice(0, limitNum),
+      overallSentiment: calculateOverallSentiment(filteredTrades),
+    });
+  } catch (error) {
+    console.error('❌ Error aggregating options flow:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to aggregate options flow',
+      message: error.message,
+    });
+  }
+});
+
+// GET /api/options-flow/:ticker/net-premium?interval=1m|5m|15m&date=YYYY-MM-DD
+// Cumulative net call premium minus net put premium for the session, bucketed by interval
+router.get('/:ticker/net-premium', async (req, res) => {
+  try {
+    const ticker = req.params.ticker.toUpperCase();
+    const interval = String(req.query.interval || DEFAULT_INTERVAL).toLowerCase();
+    const { date } = req.query;
+
+    if (!NET_PREMIUM_INTERVALS[interval]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid interval',
+        message: `interval must be one of: ${Object.keys(NET_PREMIUM_INTERVALS).join(', ')}`,
+      });
+    }
+    if (date && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(`${date}T00:00:00Z`).getTime()))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date',
+        message: 'Query parameter "date" must be in YYYY-MM-DD format',
+      });
+    }
+
+    const series = await getNetPremiumSeries(ticker, { interval, date });
+    res.json({
+      success: true,
+      ...series,
+      count: series.buckets.length,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('❌ Error building net premium series:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build net premium series',
+      message: error.message,
+    });
+  }
+});
+
+// Admin endpoints need "Authorization: Bearer <ADMIN_API_KEY>" and are disabled (403) while ADMIN_API_KEY is unset
+function requireAdmin(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'Admin endpoints are disabled until ADMIN_API_KEY is set',
+    });
+  }
+
+  // Compare fixed-length digests so the check takes the same time whatever the token
+  const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  if (!crypto.timingSafeEqual(digest(token), digest(adminKey))) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      message: 'A valid admin API key is required',
+    });
+  }
+  next();
+}
+
+function formatUniverse(universe) {
+  return {
+    success: true,
+    source: universe.source,
+    updatedAt: universe.updatedAt,
+    tiers: TIER_INTERVALS, // Poll every N refresh cycles (10s each)
+    count: universe.tickers.length,
+    tickers: universe.tickers,
+  };
+}
+
+// GET /api/options-flow/universe - Underlyings polled for flow, with tier and page budget
+router.get('/universe', (req, res) => {
+  try {
+    res.json(formatUniverse(getFlowUniverse()));
+  } catch (error) {
+    console.error('❌ Error reading flow universe:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read flow universe',
+      message: error.message,
+    });
+  }
+});
+
+// PUT /api/options-flow/universe - Replace the universe; the poller picks it up on the next refresh
+// Body: { "tickers": ["SPY", { "ticker": "NVDA", "tier": "high", "maxPages": 5 }] }
+router.put('/universe', requireAdmin, (req, res) => {
+  let universe;
+  try {
+    universe = setFlowUniverse(req.body?.tickers);
+  } catch (error) {
+    // File system errors carry a code (EACCES, ENOSPC...); anything else is a validation error
+    if (error.code) {
+      console.error('❌ Error saving flow universe:', error);
+    }
+    return res.status(error.code ? 500 : 400).json({
+      success: false,
+      error: error.code ? 'Failed to save flow universe' : 'Invalid universe',
+      message: error.message,
+    });
+  }
+  res.json(formatUniverse(universe));
+});
+
 // GET /api/options-flow/stats - Get flow statistics
 router.get('/stats', async (req, res) => {
   try {
     // Trigger background fetch if store is empty (don't await - return immediately)
-    if (tradesStore.size < 10) {
+    if (await tradeStore.count() < 10) {
       fetchOptionsFromREST().catch((err) => {
         console.error('❌ Background stats fetch error:', err.message);
       });
     }
     
-    const allTrades = Array.from(tradesStore.values())
+    const allTrades = (await tradeStore.query({ from: getTradingDayRange().from }))
       .filter(trade => !Array.isArray(trade));
+    await annotateTickerInfo(allTrades);
 
     const callTrades = allTrades.filter(t => t.type === 'CALL');
     const putTrades = allTrades.filter(t => t.type === 'PUT');
     const callCount = callTrades.length;
     const putCount = putTrades.length;
+    const isSweep = t => String(t.tradeType || '').toUpperCase() === 'SWEEP';
     
     const stats = {
       totalTrades: allTrades.length,
@@ -1793,15 +2054,19 @@ router.get('/stats', async (req, res) => {
           (t.premium.includes('M') ? 1000000 : (t.premium.includes('K') ? 1000 : 1));
         return sum + premium;
       }, 0),
-      callSweeps: callCount,
-      putSweeps: putCount,
+      callTrades: callCount,
+      putTrades: putCount,
+      callSweeps: callTrades.filter(isSweep).length,
+      putSweeps: putTrades.filter(isSweep).length,
       callPutRatio: allTrades.length > 0 
         ? ((callCount / allTrades.length) * 100).toFixed(0) + '%'
         : '0%',
       putVolume: allTrades.length > 0 
         ? ((putCount / allTrades.length) * 100).toFixed(0) + '%'
         : '0%',
-      unusualActivity: allTrades.filter(t => t.size > 1000).length,
+      // Unusual for the contract's own baseline; rows scored before a baseline existed use the old size cutoff
+      unusualActivity: allTrades.filter(t => (Number.isFinite(t.volumeZScore) ? t.isUnusual : t.size > 1000)).length,
+      ...aggregateByReference(allTrades), // Count and premium per asset type / sector
     };
 
     res.json({
@@ -1809,6 +2074,8 @@ router.get('/stats', async (req, res) => {
       stats: {
         ...stats,
         totalPremium: formatPremium(stats.totalPremium),
+        quotedContracts: getQuoteCacheSize(), // Contracts with a cached NBBO for side detection
+        snapshotContracts: getSnapshotStateSize(), // Contracts tracked for snapshot change detection
       },
     });
   } catch (error) {
@@ -1886,7 +2153,27 @@ function calculateMoneyness(spot, strike, type) {
   }
 }
 
-// Enhanced detectSide to return label and color
+/**
+ * Calculate overall flow sentiment (bullish vs bearish premium) for a set of trades
+ */
+function calculateOverallSentiment(trades) {
+  const premiumOf = (t) => t.premiumRaw || parsePremium(t.premium);
+  const bullishPremium = trades
+    .filter(t => t.sentiment === 'BULL' || t.sentiment === 'BULLISH')
+    .reduce((sum, t) => sum + premiumOf(t), 0);
+  const bearishPremium = trades
+    .filter(t => t.sentiment === 'BEAR' || t.sentiment === 'BEARISH')
+    .reduce((sum, t) => sum + premiumOf(t), 0);
+  const totalPremium = bullishPremium + bearishPremium;
+  const sentimentRatio = totalPremium > 0 ? bullishPremium / totalPremium : 0.5;
+
+  return {
+    sentiment: sentimentRatio > 0.55 ? 'Bullish' : sentimentRatio < 0.45 ? 'Bearish' : 'Neutral',
+    ratio: (sentimentRatio * 100).toFixed(2) + '%',
+    netPremium: bullishPremium - bearishPremium,
+  };
+}
+
 /**
  * Convert sentiment from detectSide format to frontend format
  * 'Bullish' -> 'BULL', 'Bearish' -> 'BEAR', 'Neutral' -> 'NEUTRAL'
@@ -1900,6 +2187,7 @@ function formatSentiment(sentiment) {
   return 'NEUTRAL'; // Default fallback
 }
 
+// Enhanced detectSide to return label and color
 function detectSideWithColor(tradePrice, bid, ask) {
   // If no bid/ask data
   if (!bid || !ask || bid === 0 || ask === 0) {
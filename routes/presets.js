@@ -0,0 +1,140 @@
+import express from 'express';
+import {
+  requireApiKey,
+  savePreset,
+  listPresets,
+  getPreset,
+  deletePreset,
+} from '../utils/filterPresets.js';
+
+const router = express.Router();
+
+// Every preset endpoint is scoped to the caller's API key
+router.use(requireApiKey);
+
+/**
+ * GET /api/presets
+ * List the caller's filter presets
+ */
+router.get('/', async (req, res) => {
+  try {
+    const presets = await listPresets(req.apiKey);
+    res.json({
+      success: true,
+      count: presets.length,
+      presets,
+    });
+  } catch (error) {
+    console.error('❌ Error listing presets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list presets',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/presets/:name
+ */
+router.get('/:name', async (req, res) => {
+  try {
+    const preset = await getPreset(req.apiKey, req.params.name);
+    if (!preset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Preset not found',
+        message: `No preset named "${req.params.name}" for this API key`,
+      });
+    }
+    res.json({ success: true, preset });
+  } catch (error) {
+    console.error('❌ Error reading preset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read preset',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/presets
+ * Create a preset - 409 if the name is taken
+ *
+ * Body: { "name": "big-sweeps", "description": "...", "filters": { "sweeps": true, "minPremium": 100000 } }
+ */
+router.post('/', async (req, res) => {
+  const { name, description, filters } = req.body || {};
+  try {
+    if (await getPreset(req.apiKey, name)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Preset exists',
+        message: `A preset named "${name}" already exists - use PUT to replace it`,
+      });
+    }
+    const preset = await savePreset(req.apiKey, name, { description, filters });
+    console.log(`🔖 Preset created: ${preset.name}`);
+    res.status(201).json({ success: true, preset });
+  } catch (error) {
+    if (!error.status) {
+      console.error('❌ Error creating preset:', error);
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? 'Invalid preset' : 'Failed to save preset',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/presets/:name
+ * Create or replace a preset
+ *
+ * Body: { "description": "...", "filters": { ... } }
+ */
+router.put('/:name', async (req, res) => {
+  const { description, filters } = req.body || {};
+  try {
+    const preset = await savePreset(req.apiKey, req.params.name, { description, filters });
+    console.log(`🔖 Preset saved: ${preset.name}`);
+    res.json({ success: true, preset });
+  } catch (error) {
+    if (!error.status) {
+      console.error('❌ Error saving preset:', error);
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? 'Invalid preset' : 'Failed to save preset',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/presets/:name
+ */
+router.delete('/:name', async (req, res) => {
+  try {
+    const removed = await deletePreset(req.apiKey, req.params.name);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Preset not found',
+        message: `No preset named "${req.params.name}" for this API key`,
+      });
+    }
+    res.json({ success: true, deleted: req.params.name });
+  } catch (error) {
+    console.error('❌ Error deleting preset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete preset',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
@@ -13,6 +13,17 @@ import optionsIndicatorsRouter from './routes/optionsIndicators.js';
 import optionsMetadataRouter from './routes/optionsMetadata.js';
 import gexRouter from './routes/gex.js';
 import liveScannerRouter from './routes/liveScanner.js';
+import presetsRouter from './routes/presets.js';
+import alertsRouter from './routes/alerts.js';
+import { startOISnapshotter } from './utils/oiSnapshotter.js';
+import { startGEXRefresher } from './utils/gexCache.js';
+import {
+  INTERVALS as NET_PREMIUM_INTERVALS,
+  DEFAULT_INTERVAL as DEFAULT_NET_PREMIUM_INTERVAL,
+  subscribeNetPremium,
+  unsubscribeNetPremium,
+} from './utils/netPremium.js';
+import { resolveFlowSubscription } from './utils/filterPresets.js';
 
 dotenv.config();
 
@@ -88,6 +99,8 @@ app.use('/api/options/indicators', optionsIndicatorsRouter);
 app.use('/api/options/metadata', optionsMetadataRouter);
 app.use('/api/gex', gexRouter);
 app.use('/api/live-scanner', liveScannerRouter);
+app.use('/api/presets', presetsRouter);
+app.use('/api/alerts', alertsRouter);
 
 // Options chain endpoint
 app.get('/api/options-chain/:ticker', async (req, res) => {
@@ -139,6 +152,7 @@ const wss = new WebSocketServer({
 // Store connected clients and their subscriptions
 const clients = new Set();
 const clientSubscriptions = new Map(); // Map<WebSocket, Set<ticker>>
+const clientFlowFilters = new Map(); // Map<WebSocket, { preset, filters, matches }> - per-client flow filter
 
 // BUG #16 FIX: Function to broadcast trade updates to subscribed clients
 function broadcastTradeUpdate(trade) {
@@ -153,7 +167,10 @@ function broadcastTradeUpdate(trade) {
       const subscriptions = clientSubscriptions.get(client) || new Set();
       // If no specific ticker subscription, send all trades
       // If subscribed to specific ticker, only send matching trades
-      if (subscriptions.size === 0 || subscriptions.has(trade.ticker) || subscriptions.has('*')) {
+      // If subscribed with filters, only send trades passing them
+      const flowFilter = clientFlowFilters.get(client);
+      if ((subscriptions.size === 0 || subscriptions.has(trade.ticker) || subscriptions.has('*'))
+        && (!flowFilter || flowFilter.matches(trade))) {
         try {
           client.send(message);
         } catch (error) {
@@ -198,6 +215,9 @@ wss.on('connection', (ws) => {
   console.log('✅ Client connected to WebSocket');
   clients.add(ws);
   clientSubscriptions.set(ws, new Set());
+  // Bumped by every options-flow subscribe/unsubscribe, so a filter that resolves late never
+  // replaces a newer choice
+  let flowSubscribeSeq = 0;
   
   // Send welcome message
   ws.send(JSON.stringify({
@@ -213,7 +233,37 @@ wss.on('connection', (ws) => {
       
       // BUG #16 FIX: Handle subscriptions
       if (data.type === 'subscribe') {
-        if (data.channel === 'options-flow') {
+        if (data.channel === 'options-flow' && (data.preset || data.filters !== undefined)) {
+          // Server-side filtering with the GET /api/options-flow grammar (preset and/or filters, read at subscribe time)
+          const seq = ++flowSubscribeSeq;
+          resolveFlowSubscription(data)
+            .then((subscription) => {
+              if (seq !== flowSubscribeSeq || ws.readyState !== ws.OPEN) return;
+              clientFlowFilters.set(ws, subscription);
+              ws.send(JSON.stringify({
+                type: 'subscribed',
+                channel: 'options-flow',
+                preset: subscription.preset,
+                filters: subscription.filters,
+                ignoredFilters: subscription.ignoredFilters,
+                message: 'Subscribed to filtered options flow updates',
+              }));
+            })
+            .catch((error) => {
+              if (!error.status) {
+                console.error('Error resolving options flow subscription:', error);
+              }
+              if (seq !== flowSubscribeSeq || ws.readyState !== ws.OPEN) return;
+              ws.send(JSON.stringify({
+                type: 'subscribe-error',
+                channel: 'options-flow',
+                preset: data.preset || null,
+                message: error.message,
+              }));
+            });
+        } else if (data.channel === 'options-flow') {
+          flowSubscribeSeq++;
+          clientFlowFilters.delete(ws);
           ws.send(JSON.stringify({
             type: 'subscribed',
             channel: 'options-flow',
@@ -233,11 +283,32 @@ wss.on('connection', (ws) => {
             ticker: ticker,
             message: `Subscribed to GEX updates for ${ticker}`,
           }));
+        } else if (data.channel === 'net-premium' && data.ticker) {
+          // Net premium buckets for a ticker: full session now, then changed buckets as trades arrive
+          const ticker = data.ticker.toUpperCase();
+          const interval = NET_PREMIUM_INTERVALS[data.interval] ? data.interval : DEFAULT_NET_PREMIUM_INTERVAL;
+          ws.send(JSON.stringify({
+            type: 'subscribed',
+            channel: 'net-premium',
+            ticker: ticker,
+            interval: interval,
+            message: `Subscribed to ${interval} net premium for ${ticker}`,
+          }));
+          subscribeNetPremium(ws, ticker, interval).catch((error) => {
+            console.error('Error loading net premium series:', error);
+          });
         }
       }
       
       // Handle unsubscriptions
       if (data.type === 'unsubscribe') {
+        if (data.channel === 'options-flow') {
+          flowSubscribeSeq++;
+          clientFlowFilters.delete(ws);
+        }
+        if (data.channel === 'net-premium' && data.ticker) {
+          unsubscribeNetPremium(ws, data.ticker);
+        }
         if (data.channel === 'gex' && data.ticker) {
           const ticker = data.ticker.toUpperCase();
           const subscribers = gexSubscriptions.get(ticker);
@@ -301,6 +372,8 @@ wss.on('connection', (ws) => {
     console.log('❌ Client disconnected from WebSocket');
     clients.delete(ws);
     clientSubscriptions.delete(ws);
+    clientFlowFilters.delete(ws);
+    unsubscribeNetPremium(ws);
     
     // Remove from GEX subscriptions
     gexSubscriptions.forEach((subscribers, ticker) => {
@@ -315,6 +388,7 @@ wss.on('connection', (ws) => {
     console.error('WebSocket error:', error);
     clients.delete(ws);
     clientSubscriptions.delete(ws);
+    clientFlowFilters.delete(ws);
   });
 });
 
@@ -325,6 +399,12 @@ server.listen(PORT, '0.0.0.0', () => {
   console.log(`🔑 Polygon.io API key: ${process.env.POLYGON_API_KEY ? '✅ Set' : '❌ Missing'}`);
   console.log(`🌐 Allowed origins: ${allowedOrigins.join(', ')}`);
   
+  // Nightly per-contract open interest snapshot (feeds Opening/Closing detection)
+  startOISnapshotter();
+  
+  // Keep GEX for the refresh watchlist cached (see utils/gexCache.js)
+  startGEXRefresher();
+  
   if (NODE_ENV === 'production') {
     console.log(`✅ Production mode - CORS enabled for: ${process.env.FRONTEND_URL || 'Not configured'}`);
   } else {
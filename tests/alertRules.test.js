@@ -0,0 +1,214 @@
+/**
+ * Alert Rules Engine Tests
+ *
+ * Run with: npm test
+ *
+ * Webhooks are delivered to a local HTTP stand-in receiver (allow-listed, since loopback
+ * targets are otherwise refused); rules use the in-memory store and a registered test key.
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import http from 'http';
+import crypto from 'crypto';
+import { createRule, evaluateAlertRules, getRuleHistory, testRule } from '../utils/alertRules.js';
+import { deliverWebhook, formatAlertPayload } from '../utils/webhookDelivery.js';
+import { getApiKeyError, getOwnerId } from '../utils/filterPresets.js';
+
+const SECRET = 'test-secret';
+
+const putSweep = {
+  ticker: 'SPY',
+  rawSymbol: 'O:SPY261023P00500000',
+  type: 'PUT',
+  strike: 500,
+  expiration: '2026-10-23',
+  dte: 3,
+  premium: '$1.50M',
+  premiumRaw: 1500000,
+  tradeType: 'SWEEP',
+  side: 'At Ask',
+  size: 500,
+  price: 30,
+  sentiment: 'BEAR',
+};
+
+const sampleEvent = {
+  id: 'delivery-1',
+  rule: { id: 'rule-1', name: 'SPY puts' },
+  source: 'flow',
+  triggeredAt: '2026-10-20T14:30:00.000Z',
+  data: putSweep,
+};
+
+describe('Alert rules', () => {
+  let receiver;
+  let baseUrl;
+  let requests;
+  let responses; // Status codes to answer with, in order (then 200)
+
+  beforeAll(async () => {
+    process.env.STORAGE_DRIVER = 'memory';
+    process.env.ALERT_WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+    process.env.CLIENT_API_KEY_HASHES = getOwnerId('test-alert-key');
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ path: req.url, headers: req.headers, body });
+        res.writeHead(responses.shift() || 200);
+        res.end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${receiver.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    responses = [];
+  });
+
+  describe('deliverWebhook', () => {
+    it('should sign the body with the webhook secret', async () => {
+      const result = await deliverWebhook({ url: `${baseUrl}/hook`, format: 'json', secret: SECRET }, sampleEvent);
+
+      expect(result.status).toBe('delivered');
+      expect(requests).toHaveLength(1);
+      const { headers, body } = requests[0];
+      const expected = crypto.createHmac('sha256', SECRET)
+        .update(`${headers['x-sweepalgo-timestamp']}.${body}`)
+        .digest('hex');
+      expect(headers['x-sweepalgo-signature']).toBe(`sha256=${expected}`);
+      expect(JSON.parse(body).event).toBe('alert.triggered');
+    });
+
+    it('should retry server errors until delivered', async () => {
+      responses = [503, 500];
+      const result = await deliverWebhook({ url: `${baseUrl}/hook`, format: 'json' }, sampleEvent, { retryBaseMs: 10 });
+
+      expect(result.status).toBe('delivered');
+      expect(result.attempts).toBe(3);
+      expect(requests).toHaveLength(3);
+    });
+
+    it('should not retry client errors', async () => {
+      responses = [400];
+      const result = await deliverWebhook({ url: `${baseUrl}/hook`, format: 'json' }, sampleEvent, { retryBaseMs: 10 });
+
+      expect(result.status).toBe('failed');
+      expect(result.responseStatus).toBe(400);
+      expect(requests).toHaveLength(1);
+    });
+  });
+
+  describe('formatAlertPayload', () => {
+    it('should build Discord and Slack messages', () => {
+      const discord = formatAlertPayload('discord', sampleEvent);
+      expect(discord.embeds[0].title).toContain('SPY $500 PUT');
+
+      const slack = formatAlertPayload('slack', sampleEvent);
+      expect(slack.text).toContain('SPY puts');
+      expect(Array.isArray(slack.blocks)).toBe(true);
+    });
+  });
+
+  describe('evaluateAlertRules', () => {
+    it('should deliver matching flow rows once per cooldown and record history', async () => {
+      const rule = await createRule('test-alert-key', {
+        name: 'SPY puts > $1M, DTE < 7, At Ask',
+        filters: { ticker: 'SPY', type: 'PUT', minPremium: 1000000, filterMaxDte: 6, side: 'At Ask' },
+        webhook: { url: `${baseUrl}/flow`, format: 'json', secret: SECRET },
+      });
+
+      const delivered = await evaluateAlertRules('flow', [
+        putSweep,
+        { ...putSweep, rawSymbol: 'O:SPY261106P00500000', dte: 17 },
+        { ...putSweep, rawSymbol: 'O:SPY261023P00490000', side: 'Mid' },
+      ]);
+      expect(delivered).toHaveLength(1);
+      expect(requests.map(request => request.path)).toEqual(['/flow']);
+
+      // Same contract inside the cooldown window
+      expect(await evaluateAlertRules('flow', [putSweep])).toHaveLength(0);
+
+      const history = await getRuleHistory('test-alert-key', rule.id);
+      expect(history).toHaveLength(1);
+      expect(history[0].status).toBe('delivered');
+      expect(await getRuleHistory('another-key', rule.id)).toBeNull();
+    });
+
+    it('should match scanner alerts by setup score', async () => {
+      await createRule('test-alert-key', {
+        name: 'High score scanner alerts',
+        source: 'scanner',
+        filters: { minConfidence: 8 },
+        webhook: { url: `${baseUrl}/scanner`, format: 'slack' },
+        cooldownMinutes: 0,
+      });
+
+      const alert = { symbol: 'NVDA', contract: 'O:NVDA261023C00200000', type: 'CALL', strikeRaw: 200, dteRaw: 3, premiumRaw: 50000, price: '1.00', score: 8.5 };
+      const delivered = await evaluateAlertRules('scanner', [alert, { ...alert, contract: 'O:NVDA261023C00210000', score: 6 }]);
+
+      expect(delivered).toHaveLength(1);
+      expect(requests.filter(request => request.path === '/scanner')).toHaveLength(1);
+    });
+
+    it('should send a test delivery on request', async () => {
+      const rule = await createRule('test-alert-key', {
+        name: 'Discord test',
+        webhook: { url: `${baseUrl}/discord`, format: 'discord' },
+      });
+
+      const delivery = await testRule('test-alert-key', rule.id);
+      expect(delivery.status).toBe('delivered');
+      expect(delivery.test).toBe(true);
+      expect(JSON.parse(requests[0].body).embeds).toHaveLength(1);
+    });
+
+    it('should refuse internal and plain http webhooks', async () => {
+      const create = url => createRule('test-alert-key', { name: 'Internal', webhook: { url } });
+
+      await expect(create('https://169.254.169.254/latest/meta-data')).rejects.toThrow('private or reserved');
+      await expect(create('https://[::1]:8080/hook')).rejects.toThrow('private or reserved');
+      await expect(create('https://10.0.0.5/hook')).rejects.toThrow('private or reserved');
+      await expect(create('http://example.com/hook')).rejects.toThrow('must be https');
+
+      const result = await deliverWebhook({ url: 'https://192.168.1.10/hook', format: 'json' }, sampleEvent);
+      expect(result.status).toBe('failed');
+      expect(result.responseStatus).toBeNull();
+    });
+
+    it('should only accept and fire rules of registered API keys', async () => {
+      expect(getApiKeyError('test-alert-key', { registeredOnly: true })).toBeNull();
+      expect(getApiKeyError('made-up-key').status).toBe(401);
+      expect(getApiKeyError(null).status).toBe(401);
+
+      await createRule('unlisted-key', {
+        name: 'Unlisted',
+        filters: { ticker: 'QQQ' },
+        webhook: { url: `${baseUrl}/unlisted` },
+        cooldownMinutes: 0,
+      });
+      await evaluateAlertRules('flow', [{ ...putSweep, ticker: 'QQQ', rawSymbol: 'O:QQQ261023P00400000' }]);
+      expect(requests.filter(request => request.path === '/unlisted')).toHaveLength(0);
+
+      const registered = process.env.CLIENT_API_KEY_HASHES;
+      delete process.env.CLIENT_API_KEY_HASHES;
+      expect(getApiKeyError('test-alert-key', { registeredOnly: true }).status).toBe(403);
+      expect(getApiKeyError('any-namespace')).toBeNull();
+      process.env.CLIENT_API_KEY_HASHES = registered;
+    });
+
+    it('should reject filters that need query-time tags', async () => {
+      await expect(createRule('test-alert-key', {
+        name: 'SSR only',
+        filters: { ssr: true },
+        webhook: { url: `${baseUrl}/hook` },
+      })).rejects.toThrow('not supported');
+    });
+  });
+});
@@ -1,7 +1,7 @@
 /**
  * API Tests for Massive.com Options Endpoints
  * 
- * Run with: npm test
+ * Run with: npm run test:api (against a running server)
  * 
  * Note: These tests require MASSIVE_API_KEY or POLYGON_API_KEY in environment variables
  */
@@ -173,5 +173,108 @@ describe('Options API Endpoints', () => {
       expect(response.data.success).toBe(true);
     });
   });
-});
 
+  describe('GET /api/options-flow/history', () => {
+    it('should replay a stored session', async () => {
+      const response = await axios.get(`${BASE_URL}/api/options-flow/history`, {
+        params: { date: '2025-01-17', limit: 5 },
+      });
+      
+      expect(response.status).toBe(200);
+      expect(response.data.success).toBe(true);
+      expect(response.data.date).toBe('2025-01-17');
+      expect(Array.isArray(response.data.trades)).toBe(true);
+    });
+
+    it('should reject an invalid date', async () => {
+      const response = await axios.get(`${BASE_URL}/api/options-flow/history`, {
+        params: { date: '01/17/2025' },
+        validateStatus: () => true,
+      });
+      
+      expect(response.status).toBe(400);
+      expect(response.data.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/options-flow cursor pagination', () => {
+    it('should return cursors for the next page', async () => {
+      const response = await axios.get(`${BASE_URL}/api/options-flow`, {
+        params: { limit: 5 },
+      });
+      
+      expect(response.status).toBe(200);
+      expect(response.data.success).toBe(true);
+      expect(response.data).toHaveProperty('nextCursor');
+      expect(response.data).toHaveProperty('latestCursor');
+    });
+
+    it('should reject an invalid cursor', async () => {
+      const response = await axios.get(`${BASE_URL}/api/options-flow`, {
+        params: { after: 'not-a-cursor' },
+        validateStatus: () => true,
+      });
+      
+      expect(response.status).toBe(400);
+      expect(response.data.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/options-flow/export', () => {
+    it('should stream a CSV with raw numeric columns', async () => {
+      const response = await axios.get(`${BASE_URL}/api/options-flow/export`, {
+        params: { format: 'csv', date: '2025-01-17' },
+        responseType: 'text',
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/csv');
+      const header = response.data.split('\n')[0].split(',');
+      expect(header).toEqual(expect.arrayContaining(['premiumRaw', 'spotRaw', 'iv']));
+    });
+
+    it('should reject an unknown format', async () => {
+      const response = await axios.get(`${BASE_URL}/api/options-flow/export`, {
+        params: { format: 'xlsx' },
+        validateStatus: () => true,
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.data.success).toBe(false);
+    });
+  });
+  describe('/api/presets', () => {
+    const headers = { Authorization: 'Bearer test-preset-key' };
+
+    it('should save a preset and apply it to the flow', async () => {
+      const saved = await axios.put(`${BASE_URL}/api/presets/test-calls`, {
+        filters: { calls: true, minPremium: 10000 },
+      }, { headers });
+      
+      expect(saved.status).toBe(200);
+      expect(saved.data.preset.filters.calls).toBe(true);
+
+      const response = await axios.get(`${BASE_URL}/api/options-flow`, {
+        params: { preset: 'test-calls', limit: 5 },
+        headers,
+      });
+      
+      expect(response.status).toBe(200);
+      response.data.flows.forEach(flow => expect(flow.type).toBe('CALL'));
+
+      const deleted = await axios.delete(`${BASE_URL}/api/presets/test-calls`, { headers });
+      expect(deleted.data.success).toBe(true);
+    });
+
+    it('should return 404 for an unknown preset', async () => {
+      const response = await axios.get(`${BASE_URL}/api/options-flow`, {
+        params: { preset: 'missing-preset' },
+        headers,
+        validateStatus: () => true,
+      });
+      
+      expect(response.status).toBe(404);
+      expect(response.data.success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Flow Export Tests
+ *
+ * Run with: npm test
+ *
+ * Exports are written to a temporary file (Parquet is read back with parquetjs-lite's own reader)
+ * or to a stand-in response that stops reading, like an aborted download.
+ */
+
+import { describe, it, expect, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Writable } from 'stream';
+import parquet from 'parquetjs-lite';
+import { FLOW_COLUMNS, streamExport } from '../utils/flowExport.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-export-'));
+
+const rows = [
+  { id: 'a', timestamp: '2026-10-19T14:30:00.000Z', ticker: 'SPY', rawSymbol: 'O:SPY261023P00500000', type: 'PUT', strike: 500, dte: '4d', size: 500, premiumRaw: 1500000, iv: '45.2%', isSweep: true },
+  { id: 'b', timestamp: '2026-10-19T14:31:00.000Z', ticker: 'QQQ', type: 'CALL', strike: 450, premiumRaw: 25000, spot: '$448.10' },
+];
+
+// File stream standing in for the express response
+function fileResponse(name) {
+  const file = path.join(dir, name);
+  const res = fs.createWriteStream(file);
+  res.setHeader = () => {};
+  return { file, res, closed: new Promise(resolve => res.on('close', resolve)) };
+}
+
+describe('Flow export', () => {
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should write Parquet that reads back with typed columns', async () => {
+    const { file, res, closed } = fileResponse('flow.parquet');
+    await streamExport(res, { format: 'parquet', columns: FLOW_COLUMNS, rows, filename: 'flow' });
+    await closed;
+
+    const reader = await parquet.ParquetReader.openFile(file);
+    const cursor = reader.getCursor();
+    const first = await cursor.next();
+    const second = await cursor.next();
+    await reader.close();
+
+    expect(first.timestamp).toEqual(new Date('2026-10-19T14:30:00.000Z'));
+    expect(first.premiumRaw).toBe(1500000);
+    expect(first.iv).toBeCloseTo(0.452);
+    expect(Number(first.dte)).toBe(4);
+    expect(first.isSweep).toBe(true);
+    expect(second.premiumRaw).toBe(25000);
+    expect(second.spotRaw).toBeCloseTo(448.1);
+    expect(second.iv).toBeUndefined();
+  });
+
+  it('should write CSV with a header row', async () => {
+    const { file, res, closed } = fileResponse('flow.csv');
+    await streamExport(res, { format: 'csv', columns: FLOW_COLUMNS, rows, filename: 'flow' });
+    await closed;
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+    expect(lines).toHaveLength(3);
+    expect(lines[0].startsWith('id,timestamp,ticker')).toBe(true);
+    expect(lines[1]).toContain('2026-10-19T14:30:00.000Z');
+  });
+
+  it('should settle when the client goes away mid-export', async () => {
+    // Never finishes a write, so the stream stays full until it is destroyed
+    const res = new Writable({ highWaterMark: 1, write() {} });
+    res.setHeader = () => {};
+    const many = Array.from({ length: 5000 }, (_, i) => ({ ...rows[0], id: `row-${i}` }));
+
+    const exporting = streamExport(res, { format: 'csv', columns: FLOW_COLUMNS, rows: many, filename: 'flow' });
+    setTimeout(() => res.destroy(), 20);
+
+    await expect(exporting).resolves.toBeUndefined();
+  });
+});
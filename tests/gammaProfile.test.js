@@ -0,0 +1,84 @@
+/**
+ * Gamma Profile Tests
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { calculateGammaProfile } from '../routes/gex.js';
+import { getEasternDateString } from '../utils/optionsCalculations.js';
+
+const SPOT = 100;
+const OPTIONS = { rangePercent: 10, steps: 41, excludeZeroDte: false };
+
+// ET date `days` from today (YYYY-MM-DD)
+function expiration(days) {
+  const today = new Date(`${getEasternDateString()}T12:00:00.000Z`);
+  return new Date(today.getTime() + days * 86400000).toISOString().slice(0, 10);
+}
+
+function contract(type, strike, { oi = 1000, iv = 0.25 } = {}) {
+  return {
+    details: { contract_type: type, strike_price: strike },
+    open_interest: oi,
+    implied_volatility: iv,
+  };
+}
+
+describe('calculateGammaProfile', () => {
+  it('should interpolate the zero-gamma level between the grid points around the flip', () => {
+    const chain = { [expiration(30)]: [contract('put', 95), contract('call', 105)] };
+    const { profile, zeroGamma, crossings, contracts } = calculateGammaProfile(chain, SPOT, OPTIONS);
+
+    expect(profile).toHaveLength(41);
+    expect(profile[0].spot).toBeCloseTo(90);
+    expect(profile[40].spot).toBeCloseTo(110);
+    expect(contracts.used).toBe(2);
+    expect(profile[0].netGEX).toBeLessThan(0);
+    expect(profile[40].netGEX).toBeGreaterThan(0);
+
+    expect(crossings).toHaveLength(1);
+    const i = profile.findIndex(point => point.netGEX > 0);
+    const [prev, curr] = [profile[i - 1], profile[i]];
+    expect(zeroGamma).toBeGreaterThan(prev.spot);
+    expect(zeroGamma).toBeLessThan(curr.spot);
+    expect(zeroGamma).toBeCloseTo(prev.spot + (curr.spot - prev.spot) * prev.netGEX / (prev.netGEX - curr.netGEX));
+  });
+
+  it('should return no zero-gamma level when net gamma never changes sign', () => {
+    const chain = { [expiration(30)]: [contract('call', 95), contract('call', 105)] };
+    const { profile, zeroGamma, crossings } = calculateGammaProfile(chain, SPOT, OPTIONS);
+
+    expect(profile.every(point => point.netGEX > 0 && point.putGEX === 0)).toBe(true);
+    expect(crossings).toEqual([]);
+    expect(zeroGamma).toBeNull();
+  });
+
+  it('should leave out 0DTE expirations when asked to', () => {
+    const chain = {
+      [getEasternDateString()]: [contract('put', 100, { oi: 50000 })],
+      [expiration(30)]: [contract('call', 100)],
+    };
+
+    const withZeroDte = calculateGammaProfile(chain, SPOT, OPTIONS);
+    const withoutZeroDte = calculateGammaProfile(chain, SPOT, { ...OPTIONS, excludeZeroDte: true });
+
+    expect(withZeroDte.contracts).toMatchObject({ used: 2, zeroDte: 0 });
+    expect(withoutZeroDte.contracts).toMatchObject({ used: 1, zeroDte: 1 });
+    expect(withZeroDte.profile[20].putGEX).toBeLessThan(0);
+    expect(withoutZeroDte.profile.every(point => point.putGEX === 0)).toBe(true);
+  });
+
+  it('should count contracts without open interest or IV and use the positioning signs', () => {
+    const chain = {
+      [expiration(30)]: [contract('call', 100), contract('call', 105, { oi: 0 }), contract('put', 95, { iv: 0 })],
+    };
+    const shortCalls = { getSign: () => ({ sign: -1 }) };
+
+    const classic = calculateGammaProfile(chain, SPOT, OPTIONS);
+    const positioned = calculateGammaProfile(chain, SPOT, { ...OPTIONS, positioning: shortCalls });
+
+    expect(classic.contracts).toEqual({ used: 1, zeroDte: 0, noIV: 1, noOI: 1 });
+    expect(positioned.profile[20].callGEX).toBeCloseTo(-classic.profile[20].callGEX);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Net Premium Subscription Tests
+ *
+ * Run with: npm test
+ *
+ * Rows go through the in-memory trade store and a stand-in WebSocket that records what it is sent;
+ * pushes are batched on a timer, so timers are faked (Date is left alone for the session range).
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, jest } from '@jest/globals';
+import { getTradeStore } from '../utils/tradeStore.js';
+import { subscribeNetPremium, unsubscribeNetPremium, queueNetPremiumUpdate } from '../utils/netPremium.js';
+
+function row(id, type, sentiment, premiumRaw, ticker = 'SPY') {
+  return { id, ticker, type, sentiment, premiumRaw, timestamp: new Date().toISOString() };
+}
+
+function socket() {
+  const messages = [];
+  return { readyState: 1, messages, send: message => messages.push(JSON.parse(message)) };
+}
+
+describe('Net premium subscriptions', () => {
+  let ws;
+
+  beforeAll(() => {
+    process.env.STORAGE_DRIVER = 'memory';
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['Date'] });
+    ws = socket();
+  });
+
+  afterEach(() => {
+    unsubscribeNetPremium(ws);
+    jest.useRealTimers();
+  });
+
+  it('should replace a row re-upserted with the same id instead of adding it again', async () => {
+    await getTradeStore().insertMany([row('spy-1', 'CALL', 'BULL', 100000), row('spy-2', 'PUT', 'BEAR', 40000)]);
+    await subscribeNetPremium(ws, 'spy', '1m');
+
+    const [snapshot] = ws.messages;
+    expect(snapshot.type).toBe('net-premium-snapshot');
+    expect(snapshot.data).toMatchObject({ callPremium: 100000, putPremium: 40000, netPremium: 60000 });
+
+    // The same print re-stored with its sentiment flipped
+    queueNetPremiumUpdate([row('spy-1', 'CALL', 'BEAR', 100000)]);
+    jest.advanceTimersByTime(1000);
+
+    const update = ws.messages[1];
+    expect(update.type).toBe('net-premium-update');
+    expect(update.data).toMatchObject({ callPremium: -100000, putPremium: 40000, netPremium: -140000 });
+    expect(update.data.buckets[update.data.buckets.length - 1].tradeCount).toBe(2);
+  });
+
+  it('should buffer rows stored while the session loads and count them once', async () => {
+    await getTradeStore().insertMany([row('qqq-1', 'CALL', 'BULL', 50000, 'QQQ')]);
+
+    const subscribing = subscribeNetPremium(ws, 'QQQ', '5m');
+    // Stored while the session query is in flight: one row the query already returned, one new
+    queueNetPremiumUpdate([row('qqq-1', 'CALL', 'BULL', 50000, 'QQQ'), row('qqq-2', 'PUT', 'BULL', 20000, 'QQQ')]);
+    await subscribing;
+
+    const [snapshot] = ws.messages;
+    expect(snapshot.data).toMatchObject({ callPremium: 50000, putPremium: -20000, netPremium: 70000 });
+    expect(snapshot.data.buckets.reduce((sum, bucket) => sum + bucket.tradeCount, 0)).toBe(2);
+
+    // The batched push after loading does not add the buffered rows a second time
+    jest.advanceTimersByTime(1000);
+    expect(ws.messages.slice(1).every(message => message.data.netPremium === 70000)).toBe(true);
+  });
+});
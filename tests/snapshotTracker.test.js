@@ -0,0 +1,90 @@
+/**
+ * Snapshot Tracker Tests
+ *
+ * Run with: npm test
+ *
+ * The tracker is module state, so every test starts its own session date.
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  ensureSnapshotState,
+  getSnapshotChange,
+  getSnapshotVolume,
+  getSnapshotStateSize,
+} from '../utils/snapshotTracker.js';
+import { getEasternDateString } from '../utils/optionsCalculations.js';
+
+const SYMBOL = 'O:SPY261023C00500000';
+const DAY_OPEN = Date.parse('2026-10-19T04:00:00.000Z'); // Midnight ET on 2026-10-19
+const noRows = async () => [];
+
+describe('Snapshot tracker', () => {
+  it('should only count a first sighting printed today', async () => {
+    await ensureSnapshotState('2026-10-19', noRows);
+
+    expect(getSnapshotChange(SYMBOL, { volume: 5000, lastTradeTimestamp: DAY_OPEN + 3600000, lastTradeSize: 12 })).toBe(12);
+    expect(getSnapshotChange('O:SPY261023P00490000', { volume: 800, lastTradeTimestamp: DAY_OPEN - 60000, lastTradeSize: 30 })).toBe(0);
+    expect(getSnapshotChange('O:SPY261023P00480000', { volume: 0 })).toBe(0);
+  });
+
+  it('should size later prints by the volume delta', async () => {
+    await ensureSnapshotState('2026-10-20', noRows);
+    const at = Date.parse('2026-10-20T14:00:00.000Z');
+
+    getSnapshotChange(SYMBOL, { volume: 100, lastTradeTimestamp: at, lastTradeSize: 10 });
+    expect(getSnapshotChange(SYMBOL, { volume: 100, lastTradeTimestamp: at, lastTradeSize: 10 })).toBe(0);
+    expect(getSnapshotChange(SYMBOL, { volume: 175, lastTradeTimestamp: at + 1000, lastTradeSize: 25 })).toBe(75);
+  });
+
+  it('should count a print once when the volume lags behind it', async () => {
+    await ensureSnapshotState('2026-10-21', noRows);
+    const at = Date.parse('2026-10-21T14:00:00.000Z');
+
+    getSnapshotChange(SYMBOL, { volume: 100, lastTradeTimestamp: at, lastTradeSize: 10 });
+    // New print, volume not updated yet
+    expect(getSnapshotChange(SYMBOL, { volume: 100, lastTradeTimestamp: at + 1000, lastTradeSize: 20 })).toBe(20);
+    // Volume catches up with that same print
+    expect(getSnapshotChange(SYMBOL, { volume: 120, lastTradeTimestamp: at + 1000, lastTradeSize: 20 })).toBe(0);
+    expect(getSnapshotChange(SYMBOL, { volume: 150, lastTradeTimestamp: at + 2000, lastTradeSize: 30 })).toBe(30);
+  });
+
+  it('should re-seed from the newest stored snapshot row per contract', async () => {
+    const at = Date.parse('2026-10-22T15:00:00.000Z');
+    const stored = [
+      { source: 'snapshot', rawSymbol: SYMBOL, volume: 400, lastTradeTimestamp: at },
+      { source: 'snapshot', rawSymbol: SYMBOL, volume: 300, lastTradeTimestamp: at - 60000 },
+      { source: 'websocket', rawSymbol: 'O:SPY261023P00490000', volume: 90 },
+    ];
+    await ensureSnapshotState('2026-10-22', async () => stored);
+
+    expect(getSnapshotStateSize()).toBe(1);
+    // Already stored - not replayed as new flow
+    expect(getSnapshotChange(SYMBOL, { volume: 400, lastTradeTimestamp: at, lastTradeSize: 5 })).toBe(0);
+    expect(getSnapshotChange(SYMBOL, { volume: 410, lastTradeTimestamp: at + 1000, lastTradeSize: 10 })).toBe(10);
+  });
+
+  it('should seed once per date and start empty on a new day', async () => {
+    let loads = 0;
+    const loadRows = async () => {
+      loads++;
+      return [{ source: 'snapshot', rawSymbol: SYMBOL, volume: 50 }];
+    };
+
+    await Promise.all([ensureSnapshotState('2026-10-23', loadRows), ensureSnapshotState('2026-10-23', loadRows)]);
+    expect(loads).toBe(1);
+    expect(getSnapshotStateSize()).toBe(1);
+
+    await ensureSnapshotState('2026-10-26', noRows);
+    expect(getSnapshotStateSize()).toBe(0);
+  });
+
+  it('should report day volume only for the current session', async () => {
+    await ensureSnapshotState('2000-01-03', async () => [{ source: 'snapshot', rawSymbol: SYMBOL, volume: 70 }]);
+    expect(getSnapshotVolume(SYMBOL)).toBeNull();
+
+    await ensureSnapshotState(getEasternDateString(), async () => [{ source: 'snapshot', rawSymbol: SYMBOL, volume: 70 }]);
+    expect(getSnapshotVolume(SYMBOL)).toBe(70);
+    expect(getSnapshotVolume('O:SPY261023P00490000')).toBeNull();
+  });
+});
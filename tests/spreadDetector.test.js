@@ -0,0 +1,108 @@
+/**
+ * Spread Detector Tests
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { classifyStrategy, tagSpreads } from '../utils/spreadDetector.js';
+
+const T0 = Date.parse('2026-10-19T14:30:00.000Z');
+let legId = 0;
+
+// One multi-leg print on SPY (expiration defaults to the front week)
+function leg(type, strike, side, { size = 10, expiration = '2026-10-23', at = 0, premiumRaw = 5000 } = {}) {
+  legId++;
+  return {
+    id: `leg-${legId}`,
+    ticker: 'SPY',
+    rawSymbol: `O:SPY${expiration.replace(/-/g, '').slice(2)}${type[0]}${String(strike * 1000).padStart(8, '0')}`,
+    type,
+    strike,
+    expirationDate: `${expiration}T00:00:00.000Z`,
+    side,
+    size,
+    premiumRaw,
+    conditions: [232],
+    lastTradeTimestamp: T0 + at,
+  };
+}
+
+describe('Spread detector', () => {
+  describe('classifyStrategy', () => {
+    it.each([
+      ['Vertical', [leg('CALL', 500, 'At Ask'), leg('CALL', 510, 'At Bid')]],
+      ['Straddle', [leg('CALL', 500, 'At Ask'), leg('PUT', 500, 'At Ask')]],
+      ['Strangle', [leg('CALL', 510, 'At Ask'), leg('PUT', 490, 'At Ask')]],
+      ['Risk Reversal', [leg('CALL', 510, 'At Ask'), leg('PUT', 490, 'At Bid')]],
+      ['Calendar', [leg('CALL', 500, 'At Bid'), leg('CALL', 500, 'At Ask', { expiration: '2026-11-20' })]],
+      ['Diagonal', [leg('CALL', 500, 'At Bid'), leg('CALL', 510, 'At Ask', { expiration: '2026-11-20' })]],
+      ['Butterfly', [leg('CALL', 490, 'At Ask'), leg('CALL', 500, 'At Bid', { size: 20 }), leg('CALL', 510, 'At Ask')]],
+      ['Condor', [leg('CALL', 490, 'At Ask'), leg('CALL', 500, 'At Bid'), leg('CALL', 510, 'At Bid'), leg('CALL', 520, 'At Ask')]],
+      ['Iron Condor', [leg('PUT', 480, 'At Ask'), leg('PUT', 490, 'At Bid'), leg('CALL', 510, 'At Bid'), leg('CALL', 520, 'At Ask')]],
+      ['Iron Butterfly', [leg('PUT', 490, 'At Ask'), leg('PUT', 500, 'At Bid'), leg('CALL', 500, 'At Bid'), leg('CALL', 510, 'At Ask')]],
+      ['Complex', [leg('CALL', 500, 'At Ask'), leg('PUT', 510, 'At Bid', { expiration: '2026-11-20' })]],
+    ])('should label %s', (strategy, legs) => {
+      expect(classifyStrategy(legs)).toBe(strategy);
+    });
+  });
+
+  describe('tagSpreads', () => {
+    it('should pair legs of one order and total their premium', () => {
+      const rows = [leg('PUT', 490, 'At Ask', { premiumRaw: 6000 }), leg('PUT', 480, 'At Bid', { at: 40, premiumRaw: 2000 })];
+      const spreads = tagSpreads(rows);
+
+      expect(spreads).toHaveLength(1);
+      expect(rows.every(row => row.isSpread && row.legCount === 2 && row.strategy === 'Vertical')).toBe(true);
+      expect(rows[0].legGroupId).toBe(rows[1].legGroupId);
+      expect(rows[0].spreadPremium).toBe(8000);
+    });
+
+    it('should keep two unrelated verticals inside the window apart', () => {
+      const rows = [
+        leg('CALL', 500, 'At Ask'),
+        leg('CALL', 510, 'At Bid', { at: 5 }),
+        leg('CALL', 520, 'At Ask', { at: 120 }),
+        leg('CALL', 530, 'At Bid', { at: 125 }),
+      ];
+      const spreads = tagSpreads(rows);
+
+      expect(spreads.map(legs => classifyStrategy(legs))).toEqual(['Vertical', 'Vertical']);
+      expect(rows[0].legGroupId).toBe(rows[1].legGroupId);
+      expect(rows[2].legGroupId).toBe(rows[3].legGroupId);
+      expect(rows[0].legGroupId).not.toBe(rows[2].legGroupId);
+    });
+
+    it('should split orders of different sizes inside the window', () => {
+      const rows = [
+        leg('CALL', 500, 'At Ask', { size: 10 }),
+        leg('PUT', 480, 'At Ask', { size: 25, at: 10 }),
+        leg('CALL', 510, 'At Bid', { size: 10, at: 20 }),
+        leg('PUT', 470, 'At Bid', { size: 25, at: 30 }),
+      ];
+      tagSpreads(rows);
+
+      expect(rows.map(row => row.legCount)).toEqual([2, 2, 2, 2]);
+      expect(rows[0].legGroupId).toBe(rows[2].legGroupId);
+      expect(rows[1].legGroupId).toBe(rows[3].legGroupId);
+    });
+
+    it('should not pair prints outside the window, repeated contracts or mismatched sizes', () => {
+      const outside = [leg('CALL', 500, 'At Ask'), leg('CALL', 510, 'At Bid', { at: 1000 })];
+      const first = leg('CALL', 500, 'At Ask');
+      const repeated = [first, { ...first, id: 'again', lastTradeTimestamp: T0 + 10 }];
+      const ratio = [leg('CALL', 500, 'At Ask', { size: 10 }), leg('CALL', 510, 'At Bid', { size: 30 })];
+
+      [outside, repeated, ratio].forEach((rows) => {
+        expect(tagSpreads(rows)).toHaveLength(0);
+        expect(rows.every(row => row.isComplex && !row.isSpread)).toBe(true);
+      });
+    });
+
+    it('should leave single-leg prints untagged', () => {
+      const rows = [{ ...leg('CALL', 500, 'At Ask'), conditions: [] }, { ...leg('CALL', 510, 'At Bid'), conditions: [] }];
+      expect(tagSpreads(rows)).toHaveLength(0);
+      expect(rows.some(row => row.isComplex || row.isSpread)).toBe(false);
+    });
+  });
+});
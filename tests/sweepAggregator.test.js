@@ -0,0 +1,99 @@
+/**
+ * Sweep Aggregator Tests
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { createSweepAggregator } from '../utils/sweepAggregator.js';
+
+const T0 = Date.parse('2026-10-19T14:30:00.000Z');
+const SYMBOL = 'O:SPY261023C00500000';
+
+function fill(exchange, price, size, at = 0, symbol = SYMBOL) {
+  return { symbol, exchange, price, size, timestamp: T0 + at };
+}
+
+describe('Sweep aggregator', () => {
+  let clusters;
+  let aggregator;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    clusters = [];
+    aggregator = createSweepAggregator({ windowMs: 500, onCluster: cluster => clusters.push(cluster) });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should hold a cluster open until the window has passed', () => {
+    aggregator.addFill(fill(1, 2.0, 10));
+    aggregator.addFill(fill(2, 2.1, 20, 200));
+
+    jest.advanceTimersByTime(500);
+    expect(clusters).toHaveLength(0);
+    expect(aggregator.pendingCount).toBe(1);
+
+    jest.advanceTimersByTime(100);
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].fills).toHaveLength(2);
+    expect(aggregator.pendingCount).toBe(0);
+  });
+
+  it('should summarize VWAP, premium and exchanges of a sweep', () => {
+    aggregator.addFill(fill(1, 2.0, 10));
+    aggregator.addFill(fill(2, 2.3, 30, 100));
+    aggregator.addFill(fill(2, 2.2, 10, 50));
+    jest.runOnlyPendingTimers();
+
+    const [{ summary, isSweep, fills }] = clusters;
+    expect(isSweep).toBe(true);
+    expect(fills.map(f => f.timestamp)).toEqual([T0, T0 + 50, T0 + 100]);
+    expect(summary.totalSize).toBe(50);
+    expect(summary.vwap).toBeCloseTo(2.22);
+    expect(summary.premium).toBeCloseTo(11100);
+    expect(summary.exchanges).toEqual([1, 2]);
+    expect(summary.fillCount).toBe(3);
+  });
+
+  it('should not call fills on a single exchange a sweep', () => {
+    aggregator.addFill(fill(4, 1.5, 10));
+    aggregator.addFill(fill(4, 1.5, 15, 100));
+    jest.runOnlyPendingTimers();
+
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].isSweep).toBe(false);
+    expect(clusters[0].summary.exchanges).toEqual([4]);
+  });
+
+  it('should start a new cluster for a fill outside the window', () => {
+    aggregator.addFill(fill(1, 2.0, 10));
+    aggregator.addFill(fill(2, 2.0, 10, 300));
+    aggregator.addFill(fill(3, 2.0, 10, 600));
+
+    // The third fill closes the first cluster right away
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].summary.fillCount).toBe(2);
+
+    jest.runOnlyPendingTimers();
+    expect(clusters).toHaveLength(2);
+    expect(clusters[1].summary.fillCount).toBe(1);
+    expect(clusters[1].isSweep).toBe(false);
+  });
+
+  it('should keep contracts apart and flush them all on demand', () => {
+    aggregator.addFill(fill(1, 2.0, 10));
+    aggregator.addFill(fill(2, 1.0, 10, 10, 'O:SPY261023P00490000'));
+    expect(aggregator.pendingCount).toBe(2);
+
+    aggregator.flushAll();
+    expect(clusters.map(c => c.symbol).sort()).toEqual(['O:SPY261023C00500000', 'O:SPY261023P00490000']);
+    expect(aggregator.pendingCount).toBe(0);
+
+    // Timers were cleared, so nothing closes twice
+    jest.runOnlyPendingTimers();
+    expect(clusters).toHaveLength(2);
+  });
+});
@@ -0,0 +1,359 @@
+/**
+ * Alert Rules Engine
+ * User-defined rules ("SPY puts, premium > $1M, DTE < 7, At Ask") evaluated against every new
+ * flow row (live WebSocket prints and REST snapshot rows) and every live scanner alert.
+ * Matches are delivered to the rule's webhook (see utils/webhookDelivery.js) and recorded
+ * in the rule's history.
+ *
+ * Rules use the GET /api/options-flow filter grammar, e.g.
+ *   { "ticker": "SPY", "type": "PUT", "minPremium": 1000000, "filterMaxDte": 6, "side": "At Ask" }
+ * Scanner alerts are matched with the same filters (minConfidence compares the setup score).
+ * Filters that need query-time tags (earnings, sector, SSR, repeat flow) are rejected.
+ *
+ * Rules belong to the API key that created them (stored as a hash, like filter presets); only
+ * keys listed in CLIENT_API_KEY_HASHES can manage rules, and rules of unlisted keys do not fire.
+ * A rule fires at most once per contract per cooldown window, since scans re-report contracts.
+ * At most ALERT_WEBHOOK_CONCURRENCY deliveries run at once; triggers beyond a full queue are dropped.
+ */
+
+import crypto from 'crypto';
+import { getAlertStore } from './alertStore.js';
+import { ANNOTATED_FILTER_KEYS, createFlowFilter } from './flowFilters.js';
+import { getOwnerId, invalid, isRegisteredOwner, normalizePresetFilters } from './filterPresets.js';
+import { WEBHOOK_FORMATS, checkWebhookTarget, deliverWebhook } from './webhookDelivery.js';
+
+const RULE_SOURCES = ['flow', 'scanner', 'all'];
+const DEFAULT_COOLDOWN_MINUTES = 15;
+const MAX_COOLDOWN_MINUTES = 24 * 60;
+const MAX_RULES_PER_KEY = 50;
+const MAX_RULES_TOTAL = parseInt(process.env.ALERT_MAX_RULES) || 1000; // Across every API key
+const MAX_CONCURRENT_DELIVERIES = parseInt(process.env.ALERT_WEBHOOK_CONCURRENCY) || 8;
+const MAX_QUEUED_DELIVERIES = 1000; // Triggers waiting for a delivery slot
+const HISTORY_RETENTION_DAYS = parseInt(process.env.ALERT_HISTORY_DAYS) || 30;
+const RETENTION_INTERVAL_MS = 60 * 60 * 1000;
+const SUMMARY_FIELDS = [
+  'ticker', 'symbol', 'contract', 'rawSymbol', 'type', 'strike', 'strikeRaw', 'expiration', 'expiry', 'dte', 'dteRaw',
+  'premium', 'premiumRaw', 'tradeType', 'side', 'size', 'price', 'sentiment', 'confidence', 'score', 'volume', 'oi', 'timestamp',
+];
+
+let activeRules = null; // Promise<[{ rule, matches }]> - enabled rules with compiled filters
+const lastTriggered = new Map(); // { "ruleId|contract": ms }
+let lastRetention = 0;
+let activeDeliveries = 0;
+const deliveryQueue = []; // Resolvers of triggers waiting for a delivery slot
+
+/**
+ * Validate a rule body; `existing` keeps createdAt and the webhook secret on updates
+ */
+async function normalizeRule(input = {}, existing = null) {
+  const name = String(input.name || '').trim();
+  if (!name || name.length > 100) {
+    throw invalid('"name" is required (up to 100 characters)');
+  }
+
+  const source = input.source ? String(input.source).toLowerCase() : 'flow';
+  if (!RULE_SOURCES.includes(source)) {
+    throw invalid(`"source" must be one of ${RULE_SOURCES.join(', ')}`);
+  }
+
+  const filters = normalizePresetFilters(input.filters || {});
+  const unsupported = Object.keys(filters).filter(key => ANNOTATED_FILTER_KEYS.includes(key));
+  if (unsupported.length > 0) {
+    throw invalid(`Filters not supported in alert rules: ${unsupported.join(', ')}`);
+  }
+
+  const webhook = input.webhook || {};
+  let url;
+  try {
+    ({ url } = await checkWebhookTarget(webhook.url));
+  } catch (error) {
+    throw invalid(error.message);
+  }
+  const format = webhook.format ? String(webhook.format).toLowerCase() : 'json';
+  if (!WEBHOOK_FORMATS.includes(format)) {
+    throw invalid(`"webhook.format" must be one of ${WEBHOOK_FORMATS.join(', ')}`);
+  }
+  if (webhook.secret !== undefined && webhook.secret !== null && (typeof webhook.secret !== 'string' || webhook.secret.length > 256)) {
+    throw invalid('"webhook.secret" must be a string (up to 256 characters)');
+  }
+  // Omitting the secret on update keeps the current one; null removes it
+  const secret = webhook.secret === undefined ? existing?.webhook.secret || null : webhook.secret || null;
+
+  const cooldownMinutes = input.cooldownMinutes === undefined ? DEFAULT_COOLDOWN_MINUTES : Number(input.cooldownMinutes);
+  if (!Number.isFinite(cooldownMinutes) || cooldownMinutes < 0 || cooldownMinutes > MAX_COOLDOWN_MINUTES) {
+    throw invalid(`"cooldownMinutes" must be between 0 and ${MAX_COOLDOWN_MINUTES}`);
+  }
+
+  const now = new Date().toISOString();
+  return {
+    name,
+    source,
+    filters,
+    webhook: { url: url.toString(), format, secret },
+    cooldownMinutes,
+    enabled: input.enabled === undefined ? true : input.enabled === true || input.enabled === 'true',
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Rule as returned by the API (no owner, secret replaced by hasSecret)
+ */
+function toPublicRule(rule) {
+  const { owner, webhook, ...rest } = rule;
+  const { secret, ...publicWebhook } = webhook;
+  return { ...rest, webhook: { ...publicWebhook, hasSecret: !!secret } };
+}
+
+function invalidateRules() {
+  activeRules = null;
+}
+
+async function listRules(apiKey) {
+  return (await getAlertStore().listRules(getOwnerId(apiKey))).map(toPublicRule);
+}
+
+async function getRule(apiKey, id) {
+  const rule = await getAlertStore().getRule(getOwnerId(apiKey), id);
+  return rule ? toPublicRule(rule) : null;
+}
+
+async function createRule(apiKey, input) {
+  const store = getAlertStore();
+  const owner = getOwnerId(apiKey);
+  const rule = { id: crypto.randomUUID(), owner, ...(await normalizeRule(input)) };
+  if ((await store.listRules(owner)).length >= MAX_RULES_PER_KEY) {
+    throw invalid(`At most ${MAX_RULES_PER_KEY} alert rules per API key`);
+  }
+  if ((await store.listRules()).length >= MAX_RULES_TOTAL) {
+    throw invalid(`This server holds its maximum of ${MAX_RULES_TOTAL} alert rules`);
+  }
+
+  await store.saveRule(rule);
+  invalidateRules();
+  console.log(`🔔 Alert rule created: ${rule.name} (${rule.source})`);
+  return toPublicRule(rule);
+}
+
+/**
+ * Replace a rule (null if it does not exist for this key)
+ */
+async function updateRule(apiKey, id, input) {
+  const store = getAlertStore();
+  const owner = getOwnerId(apiKey);
+  const existing = await store.getRule(owner, id);
+  if (!existing) {
+    return null;
+  }
+
+  const rule = { id, owner, ...(await normalizeRule(input, existing)) };
+  await store.saveRule(rule);
+  invalidateRules();
+  return toPublicRule(rule);
+}
+
+async function deleteRule(apiKey, id) {
+  const removed = await getAlertStore().deleteRule(getOwnerId(apiKey), id);
+  if (removed) {
+    invalidateRules();
+  }
+  return removed;
+}
+
+/**
+ * Trigger/delivery history for a rule, newest first (null if the rule does not exist for this key)
+ */
+async function getRuleHistory(apiKey, id, { limit = 50 } = {}) {
+  const store = getAlertStore();
+  if (!(await store.getRule(getOwnerId(apiKey), id))) {
+    return null;
+  }
+  return store.getHistory(id, { limit });
+}
+
+function getActiveRules() {
+  if (!activeRules) {
+    activeRules = getAlertStore().listRules()
+      .then(rules => rules
+        .filter(rule => rule.enabled)
+        .map(rule => ({ rule, matches: createFlowFilter(rule.filters) })))
+      .catch((error) => {
+        activeRules = null; // Retry on the next batch
+        throw error;
+      });
+  }
+  return activeRules;
+}
+
+// Scanner alerts use display strings for strike/DTE and a setup score instead of confidence
+function toFlowShape(source, row) {
+  if (source !== 'scanner') {
+    return row;
+  }
+  return {
+    ...row,
+    ticker: row.symbol,
+    strike: row.strikeRaw,
+    dte: row.dteRaw,
+    confidence: row.score,
+  };
+}
+
+function getContractKey(source, row) {
+  if (source === 'scanner') {
+    return row.contract || `${row.symbol}-${row.strikeRaw}-${row.type}-${row.expiry}`;
+  }
+  return row.rawSymbol || `${row.ticker}-${row.strike}-${row.type}-${row.expiration}`;
+}
+
+function summarize(row) {
+  return Object.fromEntries(SUMMARY_FIELDS.filter(key => row[key] !== undefined).map(key => [key, row[key]]));
+}
+
+function acquireDeliverySlot() {
+  if (activeDeliveries < MAX_CONCURRENT_DELIVERIES) {
+    activeDeliveries++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => deliveryQueue.push(resolve));
+}
+
+// Hand the slot straight to the next waiting trigger
+function releaseDeliverySlot() {
+  const next = deliveryQueue.shift();
+  if (next) {
+    next();
+  } else {
+    activeDeliveries--;
+  }
+}
+
+/**
+ * Record a trigger, deliver it and store the delivery result
+ */
+async function triggerRule(rule, source, row, { test = false } = {}) {
+  const store = getAlertStore();
+  const entry = {
+    id: crypto.randomUUID(),
+    ruleId: rule.id,
+    source,
+    test,
+    triggeredAt: new Date().toISOString(),
+    status: 'pending',
+    attempts: 0,
+    data: summarize(row),
+  };
+  await store.addHistory(entry);
+
+  await acquireDeliverySlot();
+  let result;
+  try {
+    result = await deliverWebhook(rule.webhook, {
+      id: entry.id,
+      rule: { id: rule.id, name: rule.name },
+      source,
+      triggeredAt: entry.triggeredAt,
+      data: row,
+    });
+  } finally {
+    releaseDeliverySlot();
+  }
+  await store.updateHistory(entry.id, result);
+  if (result.status === 'failed') {
+    console.warn(`⚠️ Alert "${rule.name}" delivery failed after ${result.attempts} attempt(s): ${result.error}`);
+  }
+  return { ...entry, ...result };
+}
+
+/**
+ * Evaluate new rows against every enabled rule and deliver the matches (runs in the background)
+ * @param {string} source - 'flow' (flow rows) or 'scanner' (live scanner alerts)
+ * @param {Array} rows
+ * @returns {Promise<Array>} history entries of the triggers, once delivered
+ */
+async function evaluateAlertRules(source, rows) {
+  try {
+    const rules = (await getActiveRules())
+      .filter(({ rule }) => (rule.source === source || rule.source === 'all') && isRegisteredOwner(rule.owner));
+    if (rules.length === 0 || rows.length === 0) {
+      return [];
+    }
+
+    const now = Date.now();
+    if (now - lastRetention > RETENTION_INTERVAL_MS) {
+      lastRetention = now;
+      getAlertStore().applyRetention({ maxAgeDays: HISTORY_RETENTION_DAYS }).catch((error) => {
+        console.error('❌ Alert history retention error:', error.message);
+      });
+    }
+
+    const deliveries = [];
+    let dropped = 0;
+    rows.forEach((row) => {
+      if (!row || Array.isArray(row)) return;
+      const candidate = toFlowShape(source, row);
+
+      rules.forEach(({ rule, matches }) => {
+        if (!matches(candidate)) return;
+
+        const cooldownKey = `${rule.id}|${getContractKey(source, row)}`;
+        if (now - (lastTriggered.get(cooldownKey) || 0) < rule.cooldownMinutes * 60 * 1000) return;
+        lastTriggered.set(cooldownKey, now);
+
+        if (deliveryQueue.length + deliveries.length >= MAX_QUEUED_DELIVERIES) {
+          dropped++;
+          return;
+        }
+        deliveries.push(triggerRule(rule, source, row).catch((error) => {
+          console.error(`❌ Alert rule "${rule.name}" error:`, error.message);
+          return null;
+        }));
+      });
+    });
+
+    if (dropped > 0) {
+      console.warn(`⚠️ Alert delivery queue full - dropped ${dropped} trigger(s)`);
+    }
+
+    // Forget cooldowns that have long expired
+    if (lastTriggered.size > 10000) {
+      lastTriggered.forEach((time, key) => {
+        if (now - time > MAX_COOLDOWN_MINUTES * 60 * 1000) lastTriggered.delete(key);
+      });
+    }
+
+    return (await Promise.all(deliveries)).filter(Boolean);
+  } catch (error) {
+    console.error('❌ Alert rule evaluation error:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Send a sample alert through a rule's webhook (recorded in its history as a test)
+ */
+async function testRule(apiKey, id) {
+  const rule = await getAlertStore().getRule(getOwnerId(apiKey), id);
+  if (!rule) {
+    return null;
+  }
+
+  const source = rule.source === 'scanner' ? 'scanner' : 'flow';
+  const sample = source === 'scanner'
+    ? { symbol: 'SPY', contract: 'O:SPY261120P00500000', strike: '$500.00', strikeRaw: 500, type: 'PUT', expiry: '2026-11-20', dte: '7d', dteRaw: 7, premium: '$1.25M', premiumRaw: 1250000, price: '25.00', volume: 5000, oi: 1200, score: 8.5 }
+    : { ticker: 'SPY', rawSymbol: 'O:SPY261120P00500000', strike: 500, type: 'PUT', expiration: '2026-11-20', dte: 7, premium: '$1.25M', premiumRaw: 1250000, tradeType: 'SWEEP', side: 'At Ask', size: 500, price: 25, sentiment: 'BEAR', confidence: 8.5, timestamp: new Date().toISOString() };
+  return triggerRule(rule, source, sample, { test: true });
+}
+
+export {
+  RULE_SOURCES,
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  getRuleHistory,
+  testRule,
+  evaluateAlertRules,
+};
@@ -0,0 +1,289 @@
+/**
+ * Alert Rule Store
+ * User-defined alert rules and their trigger/delivery history (see utils/alertRules.js).
+ *
+ * Every store implements the same async interface:
+ * - listRules(owner): rules for one owner, or every rule when owner is omitted (oldest first)
+ * - getRule(owner, id): rule or null
+ * - saveRule(rule): insert or replace by rule.id
+ * - deleteRule(owner, id): true if a rule was deleted (its history goes with it)
+ * - addHistory(entry): entries are { id, ruleId, triggeredAt, status, ... }
+ * - updateHistory(id, fields): merge delivery results into an entry
+ * - getHistory(ruleId, { limit }): newest first
+ * - applyRetention({ maxAgeDays }): delete old history, returns number removed
+ */
+
+import { getStorageDriver, getSqliteDb, getSupabaseClient } from './storage.js';
+
+const SUPABASE_RULES_TABLE = process.env.SUPABASE_ALERT_RULES_TABLE || 'alert_rules';
+const SUPABASE_HISTORY_TABLE = process.env.SUPABASE_ALERT_HISTORY_TABLE || 'alert_history';
+const MEMORY_HISTORY_PER_RULE = 500;
+
+let alertStore = null;
+
+function getCutoff(maxAgeDays) {
+  return new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * In-memory store (lost on restart)
+ */
+function createMemoryAlertStore() {
+  const rules = new Map(); // { id: rule }
+  const history = new Map(); // { ruleId: [entry] } newest first
+
+  return {
+    driver: 'memory',
+
+    async listRules(owner) {
+      return Array.from(rules.values())
+        .filter(rule => owner === undefined || rule.owner === owner)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+
+    async getRule(owner, id) {
+      const rule = rules.get(id);
+      return rule && rule.owner === owner ? rule : null;
+    },
+
+    async saveRule(rule) {
+      rules.set(rule.id, rule);
+      return rule;
+    },
+
+    async deleteRule(owner, id) {
+      if (rules.get(id)?.owner !== owner) return false;
+      rules.delete(id);
+      history.delete(id);
+      return true;
+    },
+
+    async addHistory(entry) {
+      const entries = history.get(entry.ruleId) || [];
+      entries.unshift(entry);
+      history.set(entry.ruleId, entries.slice(0, MEMORY_HISTORY_PER_RULE));
+    },
+
+    async updateHistory(id, fields) {
+      history.forEach((entries) => {
+        const entry = entries.find(item => item.id === id);
+        if (entry) Object.assign(entry, fields);
+      });
+    },
+
+    async getHistory(ruleId, { limit = 50 } = {}) {
+      return (history.get(ruleId) || []).slice(0, limit);
+    },
+
+    async applyRetention({ maxAgeDays } = {}) {
+      if (!maxAgeDays) return 0;
+      const cutoff = getCutoff(maxAgeDays);
+      let removed = 0;
+      history.forEach((entries, ruleId) => {
+        const kept = entries.filter(entry => entry.triggeredAt >= cutoff);
+        removed += entries.length - kept.length;
+        history.set(ruleId, kept);
+      });
+      return removed;
+    },
+  };
+}
+
+/**
+ * SQLite store (default)
+ */
+function createSqliteAlertStore(db = getSqliteDb()) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS alert_rules (
+      id TEXT PRIMARY KEY,
+      owner TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_alert_rules_owner ON alert_rules (owner);
+    CREATE TABLE IF NOT EXISTS alert_history (
+      id TEXT PRIMARY KEY,
+      rule_id TEXT NOT NULL,
+      triggered_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_alert_history_rule ON alert_history (rule_id, triggered_at);
+  `);
+
+  const listAllStmt = db.prepare('SELECT data FROM alert_rules ORDER BY created_at ASC');
+  const listOwnerStmt = db.prepare('SELECT data FROM alert_rules WHERE owner = ? ORDER BY created_at ASC');
+  const getRuleStmt = db.prepare('SELECT data FROM alert_rules WHERE owner = ? AND id = ?');
+  const saveRuleStmt = db.prepare('INSERT OR REPLACE INTO alert_rules (id, owner, created_at, data) VALUES (@id, @owner, @createdAt, @data)');
+  const deleteRuleStmt = db.prepare('DELETE FROM alert_rules WHERE owner = ? AND id = ?');
+  const deleteRuleHistoryStmt = db.prepare('DELETE FROM alert_history WHERE rule_id = ?');
+  const addHistoryStmt = db.prepare('INSERT INTO alert_history (id, rule_id, triggered_at, data) VALUES (@id, @ruleId, @triggeredAt, @data)');
+  const getEntryStmt = db.prepare('SELECT data FROM alert_history WHERE id = ?');
+  const updateEntryStmt = db.prepare('UPDATE alert_history SET data = ? WHERE id = ?');
+  const historyStmt = db.prepare('SELECT data FROM alert_history WHERE rule_id = ? ORDER BY triggered_at DESC LIMIT ?');
+  const deleteOlderStmt = db.prepare('DELETE FROM alert_history WHERE triggered_at < ?');
+
+  const parse = row => JSON.parse(row.data);
+
+  const deleteRule = db.transaction((owner, id) => {
+    const changes = deleteRuleStmt.run(owner, id).changes;
+    if (changes > 0) deleteRuleHistoryStmt.run(id);
+    return changes > 0;
+  });
+
+  return {
+    driver: 'sqlite',
+
+    async listRules(owner) {
+      return (owner === undefined ? listAllStmt.all() : listOwnerStmt.all(owner)).map(parse);
+    },
+
+    async getRule(owner, id) {
+      const row = getRuleStmt.get(owner, id);
+      return row ? parse(row) : null;
+    },
+
+    async saveRule(rule) {
+      saveRuleStmt.run({ id: rule.id, owner: rule.owner, createdAt: rule.createdAt, data: JSON.stringify(rule) });
+      return rule;
+    },
+
+    async deleteRule(owner, id) {
+      return deleteRule(owner, id);
+    },
+
+    async addHistory(entry) {
+      addHistoryStmt.run({ id: entry.id, ruleId: entry.ruleId, triggeredAt: entry.triggeredAt, data: JSON.stringify(entry) });
+    },
+
+    async updateHistory(id, fields) {
+      const row = getEntryStmt.get(id);
+      if (row) {
+        updateEntryStmt.run(JSON.stringify({ ...parse(row), ...fields }), id);
+      }
+    },
+
+    async getHistory(ruleId, { limit = 50 } = {}) {
+      return historyStmt.all(ruleId, limit).map(parse);
+    },
+
+    async applyRetention({ maxAgeDays } = {}) {
+      if (!maxAgeDays) return 0;
+      return deleteOlderStmt.run(getCutoff(maxAgeDays)).changes;
+    },
+  };
+}
+
+/**
+ * Supabase/Postgres store
+ * Expects tables:
+ *   create table alert_rules (id text primary key, owner text not null, created_at timestamptz not null, data jsonb not null);
+ *   create index on alert_rules (owner);
+ *   create table alert_history (id text primary key, rule_id text not null, triggered_at timestamptz not null, data jsonb not null);
+ *   create index on alert_history (rule_id, triggered_at desc);
+ */
+function createSupabaseAlertStore(client = getSupabaseClient()) {
+  const check = ({ error }, action) => {
+    if (error) {
+      throw new Error(`Supabase ${action} failed: ${error.message}`);
+    }
+  };
+
+  return {
+    driver: 'supabase',
+
+    async listRules(owner) {
+      let request = client.from(SUPABASE_RULES_TABLE).select('data').order('created_at', { ascending: true });
+      if (owner !== undefined) request = request.eq('owner', owner);
+      const result = await request;
+      check(result, 'alert rule list');
+      return (result.data || []).map(row => row.data);
+    },
+
+    async getRule(owner, id) {
+      const result = await client.from(SUPABASE_RULES_TABLE).select('data').eq('owner', owner).eq('id', id).maybeSingle();
+      check(result, 'alert rule lookup');
+      return result.data?.data || null;
+    },
+
+    async saveRule(rule) {
+      check(await client.from(SUPABASE_RULES_TABLE)
+        .upsert({ id: rule.id, owner: rule.owner, created_at: rule.createdAt, data: rule }, { onConflict: 'id' }), 'alert rule save');
+      return rule;
+    },
+
+    async deleteRule(owner, id) {
+      const result = await client.from(SUPABASE_RULES_TABLE).delete({ count: 'exact' }).eq('owner', owner).eq('id', id);
+      check(result, 'alert rule delete');
+      if ((result.count || 0) === 0) return false;
+      check(await client.from(SUPABASE_HISTORY_TABLE).delete().eq('rule_id', id), 'alert history delete');
+      return true;
+    },
+
+    async addHistory(entry) {
+      check(await client.from(SUPABASE_HISTORY_TABLE)
+        .insert({ id: entry.id, rule_id: entry.ruleId, triggered_at: entry.triggeredAt, data: entry }), 'alert history insert');
+    },
+
+    async updateHistory(id, fields) {
+      const result = await client.from(SUPABASE_HISTORY_TABLE).select('data').eq('id', id).maybeSingle();
+      check(result, 'alert history lookup');
+      if (result.data) {
+        check(await client.from(SUPABASE_HISTORY_TABLE)
+          .update({ data: { ...result.data.data, ...fields } }).eq('id', id), 'alert history update');
+      }
+    },
+
+    async getHistory(ruleId, { limit = 50 } = {}) {
+      const result = await client.from(SUPABASE_HISTORY_TABLE)
+        .select('data')
+        .eq('rule_id', ruleId)
+        .order('triggered_at', { ascending: false })
+        .limit(limit);
+      check(result, 'alert history');
+      return (result.data || []).map(row => row.data);
+    },
+
+    async applyRetention({ maxAgeDays } = {}) {
+      if (!maxAgeDays) return 0;
+      const result = await client.from(SUPABASE_HISTORY_TABLE).delete({ count: 'exact' }).lt('triggered_at', getCutoff(maxAgeDays));
+      check(result, 'alert history retention');
+      return result.count || 0;
+    },
+  };
+}
+
+/**
+ * Create an alert store for the given driver (defaults to STORAGE_DRIVER)
+ */
+function createAlertStore(driver = getStorageDriver()) {
+  try {
+    if (driver === 'supabase') {
+      return createSupabaseAlertStore();
+    }
+    if (driver === 'sqlite') {
+      return createSqliteAlertStore();
+    }
+  } catch (error) {
+    console.error(`❌ Failed to open ${driver} alert store, falling back to memory:`, error.message);
+  }
+  return createMemoryAlertStore();
+}
+
+/**
+ * Shared alert store
+ */
+function getAlertStore() {
+  if (!alertStore) {
+    alertStore = createAlertStore();
+    console.log(`💾 Alert rule store: ${alertStore.driver}`);
+  }
+  return alertStore;
+}
+
+export {
+  createAlertStore,
+  createMemoryAlertStore,
+  createSqliteAlertStore,
+  createSupabaseAlertStore,
+  getAlertStore,
+};
@@ -0,0 +1,146 @@
+/**
+ * Dealer Positioning Models
+ * Decide which way dealers hold each contract, i.e. the sign of its exposure in the GEX routes.
+ *
+ * - classic (default): customers buy puts and sell calls, so dealers are long calls (+) and short puts (-)
+ * - flow: stored flow for the underlying over `window` (default 5d) decides per contract (expiration, strike, type):
+ *   contracts customers net bought are dealer-short (-), net sold are dealer-long (+).
+ *   Buy/sell comes from `side` (At/Above Ask = bought, At/Below Bid = sold), mid prints from `sentiment`.
+ *   Contracts with no flow (or balanced flow) fall back to classic.
+ * - override: caller-supplied signs per strike, e.g. "450C:-1,440P:1,430:-1" (no C/P = both types);
+ *   strikes not listed use classic.
+ */
+
+import { getTradeStore } from './tradeStore.js';
+import { parseWindow } from './flowAggregation.js';
+import { invalid } from './filterPresets.js';
+
+const POSITIONING_MODELS = ['classic', 'flow', 'override'];
+const DEFAULT_FLOW_WINDOW = '5d';
+const BOUGHT_SIDES = ['Above Ask', 'At Ask'];
+const SOLD_SIDES = ['At Bid', 'Below Bid'];
+
+function classicSign(optionType) {
+  return optionType === 'call' ? 1 : -1;
+}
+
+function strikeKey(strike) {
+  return Number(strike).toFixed(2);
+}
+
+/**
+ * Parse "450C:-1,440P:1,430:-1" into { "450.00|call": -1, ... }
+ */
+function parseStrikeOverrides(value) {
+  const overrides = {};
+  String(value || '').split(',').map(item => item.trim()).filter(Boolean).forEach((item) => {
+    const match = item.match(/^(\d+(?:\.\d+)?)([CP])?:([+-]?1)$/i);
+    if (!match) {
+      throw invalid(`Invalid override "${item}" (expected <strike>[C|P]:<1|-1>, e.g. 450C:-1)`);
+    }
+    const [, strike, type, sign] = match;
+    const types = type ? [type.toUpperCase() === 'C' ? 'call' : 'put'] : ['call', 'put'];
+    types.forEach((optionType) => {
+      overrides[`${strikeKey(strike)}|${optionType}`] = parseInt(sign);
+    });
+  });
+  if (Object.keys(overrides).length === 0) {
+    throw invalid('"overrides" is required for the override model, e.g. overrides=450C:-1,440P:1');
+  }
+  return overrides;
+}
+
+/**
+ * +1 if the customer bought the print, -1 if they sold it, 0 if unknown
+ */
+function getCustomerDirection(trade) {
+  if (BOUGHT_SIDES.includes(trade.side)) return 1;
+  if (SOLD_SIDES.includes(trade.side)) return -1;
+
+  // Mid prints: bullish calls and bearish puts were bought
+  const sentiment = String(trade.sentiment || '').toUpperCase();
+  const bullish = sentiment === 'BULL' || sentiment === 'BULLISH';
+  const bearish = sentiment === 'BEAR' || sentiment === 'BEARISH';
+  if (!bullish && !bearish) return 0;
+  const isCall = String(trade.type).toUpperCase() === 'CALL';
+  return bullish === isCall ? 1 : -1;
+}
+
+/**
+ * Net contracts customers bought (+) or sold (-) per "expiration|strike|type" over the window
+ */
+async function getCustomerNetPositions(ticker, range) {
+  const trades = await getTradeStore().query({ from: range.from, to: range.to, ticker, readOnly: true });
+  const positions = new Map();
+  let tradeCount = 0;
+
+  trades.forEach((trade) => {
+    if (!trade || Array.isArray(trade)) return;
+    const direction = getCustomerDirection(trade);
+    const expiration = String(trade.expirationDate || trade.expiration || '').slice(0, 10);
+    if (direction === 0 || !expiration || !(trade.strike > 0)) return;
+
+    const key = `${expiration}|${strikeKey(trade.strike)}|${String(trade.type).toLowerCase()}`;
+    positions.set(key, (positions.get(key) || 0) + direction * (parseInt(trade.size) || 0));
+    tradeCount++;
+  });
+
+  return { positions, tradeCount };
+}
+
+/**
+ * Build the positioning model for a GEX request
+ * @param {Object} options - { model, ticker, window (flow), overrides (override) }
+ * @returns {Promise<{ model, getSign({ expiration, strike, optionType }), describe() }>}
+ *   getSign returns { sign, basis } with basis 'classic' | 'flow' | 'override';
+ *   describe() reports the model and how many contracts each basis decided
+ * @throws status 400 errors for an unknown model, window or override list
+ */
+async function createPositioningModel({ model, ticker, window, overrides } = {}) {
+  const name = model ? String(model).toLowerCase() : 'classic';
+  if (!POSITIONING_MODELS.includes(name)) {
+    throw invalid(`model must be one of: ${POSITIONING_MODELS.join(', ')}`);
+  }
+
+  const counts = { classic: 0, flow: 0, override: 0 };
+  const details = { model: name };
+  let lookup = () => null;
+
+  if (name === 'flow') {
+    const range = parseWindow(window || DEFAULT_FLOW_WINDOW);
+    if (!range) {
+      throw invalid('window must be "session" or a duration like 4h or 5d');
+    }
+    const { positions, tradeCount } = await getCustomerNetPositions(ticker, range);
+    Object.assign(details, { window: range.window, tradeCount, contractsWithFlow: positions.size });
+    lookup = ({ expiration, strike, optionType }) => {
+      const net = positions.get(`${expiration}|${strikeKey(strike)}|${optionType}`);
+      return net ? -Math.sign(net) : null;
+    };
+  } else if (name === 'override') {
+    const parsed = parseStrikeOverrides(overrides);
+    details.overrides = parsed;
+    lookup = ({ strike, optionType }) => parsed[`${strikeKey(strike)}|${optionType}`] ?? null;
+  }
+
+  return {
+    model: name,
+    getSign(contract) {
+      const sign = lookup(contract);
+      const basis = sign === null ? 'classic' : name;
+      counts[basis]++;
+      return { sign: sign === null ? classicSign(contract.optionType) : sign, basis };
+    },
+    describe() {
+      return { ...details, contractsByBasis: { ...counts } };
+    },
+  };
+}
+
+export {
+  POSITIONING_MODELS,
+  classicSign,
+  parseStrikeOverrides,
+  getCustomerDirection,
+  createPositioningModel,
+};
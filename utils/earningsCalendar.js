@@ -0,0 +1,239 @@
+/**
+ * Earnings Calendar Utility
+ * Pluggable source of earnings dates used to tag flow rows and power the
+ * preEarnings / postEarnings / expiresAfterEarnings filters.
+ *
+ * EARNINGS_PROVIDER:
+ * - file (default): local JSON or CSV fixture at EARNINGS_FILE, data/earnings.json unless set (works offline).
+ *   No file is shipped there: without one nothing is tagged and the earnings filters match nothing.
+ * - remote: HTTP source at EARNINGS_API_URL ("{ticker}" is replaced with the symbol)
+ * - none: no earnings data
+ *
+ * Accepted data shapes (file or remote response):
+ * - JSON array: [{ "ticker": "AAPL", "date": "2025-01-30" }, ...]
+ * - JSON object: { "AAPL": ["2025-01-30", "2025-05-01"], "NVDA": "2025-02-26" }
+ * - JSON wrapper: { "results": [...] } with either of the above inside
+ * - CSV with a header row containing "ticker" and "date" columns
+ */
+
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import { getEasternDateString } from './optionsCalculations.js';
+
+const DEFAULT_EARNINGS_FILE = path.join(process.cwd(), 'data', 'earnings.json');
+const REMOTE_CACHE_TTL = 12 * 60 * 60 * 1000; // Earnings dates rarely move intraday
+const REMOTE_FAILURE_TTL = 15 * 60 * 1000; // Failed lookups are not retried before this
+
+// Days before the next report that count as "pre-earnings" flow
+const PRE_EARNINGS_WINDOW_DAYS = parseInt(process.env.EARNINGS_PRE_WINDOW_DAYS) || 14;
+// Days after the last report that count as "post-earnings" flow
+const POST_EARNINGS_WINDOW_DAYS = parseInt(process.env.EARNINGS_POST_WINDOW_DAYS) || 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let earningsProvider = null;
+
+/**
+ * Normalize any supported data shape into { TICKER: ['YYYY-MM-DD', ...] } (sorted)
+ */
+function normalizeEarnings(data) {
+  const calendar = {};
+  const add = (ticker, date) => {
+    const day = String(date || '').slice(0, 10);
+    if (!ticker || !/^\d{4}-\d{2}-\d{2}$/.test(day)) return;
+    const key = String(ticker).trim().toUpperCase();
+    calendar[key] = calendar[key] || [];
+    if (!calendar[key].includes(day)) calendar[key].push(day);
+  };
+
+  const source = data?.results || data;
+  if (Array.isArray(source)) {
+    source.forEach(row => add(row.ticker || row.symbol, row.date || row.earnings_date || row.report_date));
+  } else if (source && typeof source === 'object') {
+    Object.entries(source).forEach(([ticker, dates]) => {
+      (Array.isArray(dates) ? dates : [dates]).forEach(date => add(ticker, date));
+    });
+  }
+
+  Object.values(calendar).forEach(dates => dates.sort());
+  return calendar;
+}
+
+/**
+ * Parse a simple CSV (header row with ticker/symbol and date columns)
+ */
+function parseEarningsCSV(text) {
+  const [header, ...lines] = text.split(/\r?\n/).filter(line => line.trim());
+  if (!header) return [];
+
+  const columns = header.split(',').map(col => col.trim().toLowerCase());
+  const tickerIndex = columns.findIndex(col => col === 'ticker' || col === 'symbol');
+  const dateIndex = columns.findIndex(col => col === 'date' || col === 'earnings_date' || col === 'report_date');
+  if (tickerIndex === -1 || dateIndex === -1) return [];
+
+  return lines.map(line => {
+    const values = line.split(',').map(value => value.trim());
+    return { ticker: values[tickerIndex], date: values[dateIndex] };
+  });
+}
+
+/**
+ * Fixture provider - reads the whole calendar from a local JSON/CSV file once
+ */
+function createFileEarningsProvider(filePath = process.env.EARNINGS_FILE || DEFAULT_EARNINGS_FILE) {
+  let calendar = {};
+
+  try {
+    if (fs.existsSync(filePath)) {
+      const text = fs.readFileSync(filePath, 'utf8');
+      const data = filePath.toLowerCase().endsWith('.csv') ? parseEarningsCSV(text) : JSON.parse(text);
+      calendar = normalizeEarnings(data);
+      console.log(`📅 Loaded earnings dates for ${Object.keys(calendar).length} tickers from ${filePath}`);
+    } else {
+      console.warn(`⚠️ Earnings file not found at ${filePath} - no rows are tagged and the preEarnings/postEarnings/expiresAfterEarnings filters will match nothing. Set EARNINGS_FILE (e.g. data/earnings.example.csv) or create ${filePath}`);
+    }
+  } catch (error) {
+    console.error(`❌ Failed to load earnings file ${filePath}:`, error.message);
+  }
+
+  return {
+    source: 'file',
+
+    async getEarningsDates(ticker) {
+      return calendar[String(ticker).toUpperCase()] || [];
+    },
+  };
+}
+
+/**
+ * Remote provider - fetches dates per ticker and caches them
+ */
+function createRemoteEarningsProvider(urlTemplate = process.env.EARNINGS_API_URL) {
+  const cache = new Map(); // { ticker: { dates, timestamp, failed } }
+  const inFlight = new Map(); // { ticker: Promise } - one request per ticker at a time
+
+  const fetchDates = async (ticker) => {
+    try {
+      const url = urlTemplate.replace('{ticker}', encodeURIComponent(ticker));
+      const response = await axios.get(url, {
+        params: process.env.EARNINGS_API_KEY ? { apiKey: process.env.EARNINGS_API_KEY } : undefined,
+        timeout: 10000,
+      });
+      const dates = normalizeEarnings(response.data)[ticker] || [];
+      cache.set(ticker, { dates, timestamp: Date.now() });
+      return dates;
+    } catch (error) {
+      console.error(`❌ Earnings lookup failed for ${ticker}:`, error.message);
+      // Keep serving stale dates if we had them, and wait REMOTE_FAILURE_TTL before asking again
+      const dates = cache.get(ticker)?.dates || [];
+      cache.set(ticker, { dates, timestamp: Date.now(), failed: true });
+      return dates;
+    } finally {
+      inFlight.delete(ticker);
+    }
+  };
+
+  return {
+    source: 'remote',
+
+    async getEarningsDates(ticker) {
+      const key = String(ticker).toUpperCase();
+      const cached = cache.get(key);
+      if (cached && Date.now() - cached.timestamp < (cached.failed ? REMOTE_FAILURE_TTL : REMOTE_CACHE_TTL)) {
+        return cached.dates;
+      }
+      if (!inFlight.has(key)) {
+        inFlight.set(key, fetchDates(key));
+      }
+      return inFlight.get(key);
+    },
+  };
+}
+
+/**
+ * Create an earnings provider (defaults to EARNINGS_PROVIDER)
+ */
+function createEarningsProvider(type = (process.env.EARNINGS_PROVIDER || 'file').trim().toLowerCase()) {
+  if (type === 'remote') {
+    if (process.env.EARNINGS_API_URL) {
+      return createRemoteEarningsProvider();
+    }
+    console.warn('⚠️ EARNINGS_PROVIDER=remote but EARNINGS_API_URL not set - falling back to file');
+  }
+  if (type === 'none') {
+    return { source: 'none', async getEarningsDates() { return []; } };
+  }
+  return createFileEarningsProvider();
+}
+
+/**
+ * Shared earnings provider
+ */
+function getEarningsProvider() {
+  if (!earningsProvider) {
+    earningsProvider = createEarningsProvider();
+  }
+  return earningsProvider;
+}
+
+/**
+ * Whole days between two YYYY-MM-DD dates (b - a)
+ */
+function daysBetween(a, b) {
+  return Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Earnings context for one row as of the day it traded
+ */
+function getEarningsContext(dates, tradeDay, expirationDay) {
+  const nextEarningsDate = dates.find(date => date >= tradeDay) || null;
+  const lastEarningsDate = [...dates].reverse().find(date => date < tradeDay) || null;
+  const daysToEarnings = nextEarningsDate ? daysBetween(tradeDay, nextEarningsDate) : null;
+  const daysSinceEarnings = lastEarningsDate ? daysBetween(lastEarningsDate, tradeDay) : null;
+
+  return {
+    nextEarningsDate,
+    daysToEarnings,
+    lastEarningsDate,
+    daysSinceEarnings,
+    // Contract is still alive on report day - it carries the earnings move
+    expiresAfterEarnings: Boolean(nextEarningsDate && expirationDay && expirationDay >= nextEarningsDate),
+    isPreEarnings: daysToEarnings !== null && daysToEarnings <= PRE_EARNINGS_WINDOW_DAYS,
+    isPostEarnings: daysSinceEarnings !== null && daysSinceEarnings <= POST_EARNINGS_WINDOW_DAYS,
+  };
+}
+
+/**
+ * Tag flow rows in place with earnings fields
+ */
+async function annotateEarnings(rows, provider = getEarningsProvider()) {
+  const tickers = [...new Set(rows.map(row => row?.ticker).filter(Boolean))];
+  const datesByTicker = new Map(await Promise.all(
+    tickers.map(async ticker => [ticker, await provider.getEarningsDates(ticker)])
+  ));
+
+  rows.forEach(row => {
+    if (!row || Array.isArray(row)) return;
+    const dates = datesByTicker.get(row.ticker) || [];
+    const tradeDay = getEasternDateString(row.timestamp || Date.now());
+    const expirationDay = row.expirationDate ? String(row.expirationDate).slice(0, 10) : null;
+    Object.assign(row, getEarningsContext(dates, tradeDay, expirationDay));
+  });
+
+  return rows;
+}
+
+export {
+  PRE_EARNINGS_WINDOW_DAYS,
+  POST_EARNINGS_WINDOW_DAYS,
+  normalizeEarnings,
+  parseEarningsCSV,
+  createFileEarningsProvider,
+  createRemoteEarningsProvider,
+  createEarningsProvider,
+  getEarningsProvider,
+  getEarningsContext,
+  annotateEarnings,
+};
@@ -0,0 +1,257 @@
+/**
+ * Filter Presets
+ * Saved sets of flow filter parameters, so clients send `preset=<name>` instead of
+ * rebuilding ~40 query parameters by hand.
+ *
+ * Presets belong to the API key that created them ("Authorization: Bearer <key>", or `apiKey`
+ * in a /ws subscribe message). Only a SHA-256 hash of the key is stored.
+ * With CLIENT_API_KEY_HASHES set, only keys whose hash is listed are accepted; without it any
+ * key works and only namespaces the presets (it is not authentication).
+ *
+ * A preset's filters are merged under the request's own parameters, so anything passed
+ * explicitly alongside `preset=` overrides the saved value.
+ */
+
+import crypto from 'crypto';
+import { getPresetStore } from './presetStore.js';
+import { ANNOTATED_FILTER_KEYS, createFlowFilter } from './flowFilters.js';
+
+const MAX_PRESETS_PER_KEY = 50;
+const MAX_FILTER_KEYS = 100;
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// Paging belongs to the request, not the preset
+const EXCLUDED_KEYS = new Set(['preset', 'apiKey', 'page', 'limit', 'after', 'before', 'since']);
+
+/**
+ * Owner id for an API key (never store the key itself) - also used for alert rules
+ */
+function getOwnerId(apiKey) {
+  return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+}
+
+function getRequestApiKey(req) {
+  return (req.get('Authorization') || '').replace(/^Bearer\s+/i, '').trim() || null;
+}
+
+/**
+ * Owner ids of the accepted API keys (CLIENT_API_KEY_HASHES: comma-separated SHA-256 hex digests)
+ */
+function getRegisteredOwners() {
+  return (process.env.CLIENT_API_KEY_HASHES || '')
+    .split(',')
+    .map(hash => hash.trim().toLowerCase())
+    .filter(hash => /^[0-9a-f]{64}$/.test(hash));
+}
+
+function isRegisteredOwner(owner) {
+  const digest = Buffer.from(String(owner), 'hex');
+  return digest.length === 32 && getRegisteredOwners().some(hash => crypto.timingSafeEqual(Buffer.from(hash, 'hex'), digest));
+}
+
+/**
+ * Why an API key is refused: { status, error, message }, or null if it is accepted
+ * Without CLIENT_API_KEY_HASHES any key is accepted as a namespace, unless `registeredOnly`
+ */
+function getApiKeyError(apiKey, { registeredOnly = false } = {}) {
+  if (!apiKey) {
+    return { status: 401, error: 'Unauthorized', message: 'An API key is required ("Authorization: Bearer <api key>")' };
+  }
+  if (getRegisteredOwners().length === 0) {
+    return registeredOnly
+      ? { status: 403, error: 'Forbidden', message: 'These endpoints are disabled until CLIENT_API_KEY_HASHES is set' }
+      : null;
+  }
+  if (!isRegisteredOwner(getOwnerId(apiKey))) {
+    return { status: 401, error: 'Unauthorized', message: 'Unknown API key' };
+  }
+  return null;
+}
+
+/**
+ * Express middleware for per-key endpoints: 401/403 unless the key is accepted, else sets req.apiKey
+ */
+function createApiKeyGuard(options = {}) {
+  return (req, res, next) => {
+    const apiKey = getRequestApiKey(req);
+    const refusal = getApiKeyError(apiKey, options);
+    if (refusal) {
+      const { status, ...body } = refusal;
+      return res.status(status).json({ success: false, ...body });
+    }
+    req.apiKey = apiKey;
+    next();
+  };
+}
+
+// Presets: any key namespaces until CLIENT_API_KEY_HASHES is set
+const requireApiKey = createApiKeyGuard();
+// Alert rules send outbound requests, so they need a registered key
+const requireRegisteredApiKey = createApiKeyGuard({ registeredOnly: true });
+
+// Validation errors carry status 400 so routes can tell them apart from storage failures
+function invalid(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function isValidPresetName(name) {
+  return typeof name === 'string' && NAME_PATTERN.test(name);
+}
+
+/**
+ * Validate a preset's filters: a flat object of query parameter values
+ * (strings, numbers, booleans or arrays of those). Throws with a readable message.
+ */
+function normalizePresetFilters(filters) {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    throw invalid('"filters" must be an object of query parameters');
+  }
+
+  const entries = Object.entries(filters).filter(([key]) => !EXCLUDED_KEYS.has(key));
+  if (entries.length > MAX_FILTER_KEYS) {
+    throw invalid(`A preset can hold at most ${MAX_FILTER_KEYS} filters`);
+  }
+
+  const isScalar = value => ['string', 'number', 'boolean'].includes(typeof value);
+  entries.forEach(([key, value]) => {
+    if (!isScalar(value) && !(Array.isArray(value) && value.every(isScalar))) {
+      throw invalid(`Filter "${key}" must be a string, number, boolean or list`);
+    }
+  });
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Create or replace a preset for an API key (enforces the per-key limit on new names)
+ */
+async function savePreset(apiKey, name, { description, filters } = {}) {
+  if (!isValidPresetName(name)) {
+    throw invalid('Preset names are 1-64 letters, digits, "-" or "_"');
+  }
+  const normalized = normalizePresetFilters(filters);
+
+  const store = getPresetStore();
+  const owner = getOwnerId(apiKey);
+  const existing = await store.list(owner);
+  if (!existing.some(preset => preset.name === name) && existing.length >= MAX_PRESETS_PER_KEY) {
+    throw invalid(`At most ${MAX_PRESETS_PER_KEY} presets per API key`);
+  }
+
+  return store.upsert(owner, {
+    name,
+    description: description ? String(description).slice(0, 500) : null,
+    filters: normalized,
+  });
+}
+
+async function listPresets(apiKey) {
+  return getPresetStore().list(getOwnerId(apiKey));
+}
+
+async function getPreset(apiKey, name) {
+  if (!apiKey || !isValidPresetName(name)) {
+    return null;
+  }
+  return getPresetStore().get(getOwnerId(apiKey), name);
+}
+
+async function deletePreset(apiKey, name) {
+  return getPresetStore().remove(getOwnerId(apiKey), name);
+}
+
+/**
+ * Express middleware: when `preset=<name>` is given, replace req.query with the preset's
+ * filters overlaid by the request's own parameters (401 without an API key, 404 if unknown)
+ */
+async function applyFilterPreset(req, res, next) {
+  const name = req.query.preset;
+  if (!name) {
+    return next();
+  }
+
+  const apiKey = getRequestApiKey(req);
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      message: 'Presets need "Authorization: Bearer <api key>"',
+    });
+  }
+  const refusal = getApiKeyError(apiKey);
+  if (refusal) {
+    const { status, ...body } = refusal;
+    return res.status(status).json({ success: false, ...body });
+  }
+
+  try {
+    const preset = await getPreset(apiKey, name);
+    if (!preset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Preset not found',
+        message: `No preset named "${name}" for this API key`,
+      });
+    }
+
+    const { preset: _preset, ...overrides } = req.query;
+    req.query = { ...preset.filters, ...overrides };
+    req.preset = preset;
+    next();
+  } catch (error) {
+    console.error('❌ Error loading filter preset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load preset',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Resolve a /ws `options-flow` subscribe message into a per-client trade predicate
+ * Message filters are overlaid on the preset's, as on the REST endpoints. Filters that need
+ * query-time tags (see ANNOTATED_FILTER_KEYS) are left out and reported as ignored.
+ * @param {Object} message - { preset, apiKey, filters }
+ * @returns {Promise<{ preset, filters, ignoredFilters, matches }>}
+ */
+async function resolveFlowSubscription({ preset: presetName, apiKey, filters } = {}) {
+  let preset = null;
+  if (presetName) {
+    const refusal = getApiKeyError(apiKey);
+    if (refusal) {
+      throw invalid(refusal.message);
+    }
+    preset = await getPreset(apiKey, presetName);
+    if (!preset) {
+      throw invalid(`No preset named "${presetName}" for this API key`);
+    }
+  }
+
+  const combined = { ...(preset?.filters || {}), ...(filters !== undefined ? normalizePresetFilters(filters) : {}) };
+  const ignoredFilters = Object.keys(combined).filter(key => ANNOTATED_FILTER_KEYS.includes(key));
+  const liveFilters = Object.fromEntries(Object.entries(combined).filter(([key]) => !ignoredFilters.includes(key)));
+
+  return {
+    preset: preset?.name || null,
+    filters: liveFilters,
+    ignoredFilters,
+    matches: createFlowFilter(liveFilters),
+  };
+}
+
+export {
+  getOwnerId,
+  getRequestApiKey,
+  getApiKeyError,
+  isRegisteredOwner,
+  requireApiKey,
+  requireRegisteredApiKey,
+  invalid,
+  normalizePresetFilters,
+  isValidPresetName,
+  savePreset,
+  listPresets,
+  getPreset,
+  deletePreset,
+  applyFilterPreset,
+  resolveFlowSubscription,
+};
@@ -0,0 +1,106 @@
+/**
+ * Flow Aggregation
+ * Rolls stored flow rows up by ticker, expiration, strike or sector for
+ * GET /api/options-flow/aggregate.
+ *
+ * Each group reports call vs put premium, bullish vs bearish premium (from `sentiment`),
+ * trade counts per trade type and net premium (bullish - bearish, same as overallSentiment).
+ */
+
+import { parsePremium } from './flowFilters.js';
+import { getTradingDayRange } from './optionsCalculations.js';
+
+const WINDOW_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Expirations and strikes only mean something per underlying, so those groups are keyed by ticker too
+const GROUP_BY = {
+  ticker: row => ({ ticker: row.ticker }),
+  expiration: row => ({ ticker: row.ticker, expiration: String(row.expirationDate || row.expiration || '').slice(0, 10) }),
+  strike: row => ({ ticker: row.ticker, strike: row.strike }),
+  sector: row => ({ sector: row.sector || 'UNKNOWN' }),
+};
+
+/**
+ * Parse `window` ("session" (default), "15m", "4h", "5d") into a { from, to } time range
+ * Returns null if the value is not understood
+ */
+function parseWindow(window, now = Date.now()) {
+  if (!window || window === 'session') {
+    const { from } = getTradingDayRange();
+    return { window: 'session', from, to: now };
+  }
+
+  const match = String(window).trim().toLowerCase().match(/^(\d+)([mhd])$/);
+  if (!match || parseInt(match[1]) <= 0) {
+    return null;
+  }
+  return { window: match[0], from: now - parseInt(match[1]) * WINDOW_UNITS[match[2]], to: now };
+}
+
+function createGroup(fields) {
+  return {
+    ...fields,
+    count: 0,
+    totalPremium: 0,
+    callPremium: 0,
+    putPremium: 0,
+    callCount: 0,
+    putCount: 0,
+    bullishPremium: 0,
+    bearishPremium: 0,
+    neutralPremium: 0,
+    netSentimentPremium: 0,
+    tradeTypes: {}, // { SWEEP: 3, BLOCK: 1, ... }
+  };
+}
+
+/**
+ * Aggregate flow rows into groups, largest total premium first
+ * @param {Array} rows - flow rows
+ * @param {string} groupBy - 'ticker' | 'expiration' | 'strike' | 'sector'
+ */
+function aggregateFlow(rows, groupBy) {
+  const fieldsOf = GROUP_BY[groupBy];
+  const groups = new Map();
+
+  rows.forEach((row) => {
+    if (!row || Array.isArray(row)) return;
+
+    const fields = fieldsOf(row);
+    const key = Object.values(fields).join('|');
+    if (!groups.has(key)) groups.set(key, createGroup(fields));
+    const group = groups.get(key);
+
+    const premium = row.premiumRaw || parsePremium(row.premium);
+    const sentiment = String(row.sentiment || '').toUpperCase();
+    const tradeType = String(row.tradeType || 'SPLIT').toUpperCase();
+
+    group.count++;
+    group.totalPremium += premium;
+    if (row.type === 'CALL') {
+      group.callPremium += premium;
+      group.callCount++;
+    } else if (row.type === 'PUT') {
+      group.putPremium += premium;
+      group.putCount++;
+    }
+    if (sentiment === 'BULL' || sentiment === 'BULLISH') {
+      group.bullishPremium += premium;
+    } else if (sentiment === 'BEAR' || sentiment === 'BEARISH') {
+      group.bearishPremium += premium;
+    } else {
+      group.neutralPremium += premium;
+    }
+    group.tradeTypes[tradeType] = (group.tradeTypes[tradeType] || 0) + 1;
+  });
+
+  return Array.from(groups.values())
+    .map(group => ({ ...group, netSentimentPremium: group.bullishPremium - group.bearishPremium }))
+    .sort((a, b) => b.totalPremium - a.totalPremium);
+}
+
+export {
+  GROUP_BY,
+  parseWindow,
+  aggregateFlow,
+};
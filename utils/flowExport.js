@@ -0,0 +1,233 @@
+/**
+ * Flow Export
+ * Streams flow rows and live scanner alerts as CSV, NDJSON or Parquet for
+ * GET /api/options-flow/export and GET /api/live-scanner/export.
+ *
+ * Columns are fixed and typed, so notebooks get the same schema on every pull:
+ * raw numbers instead of display strings (premiumRaw rather than "$1.2M", spotRaw rather
+ * than "$512.30"), percentages as decimals (iv 0.452 for "45.2%"), timestamps in UTC.
+ */
+
+import parquet from 'parquetjs-lite';
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  parquet: { contentType: 'application/vnd.apache.parquet', extension: 'parquet' },
+};
+// parquetjs-lite cannot read back its own TIMESTAMP_MILLIS statistics, so timestamps are written as micros
+const PARQUET_TYPES = { string: 'UTF8', double: 'DOUBLE', int: 'INT64', boolean: 'BOOLEAN', timestamp: 'TIMESTAMP_MICROS' };
+const CHUNK_ROWS = 500; // Rows per write for CSV/NDJSON
+const PARQUET_ROW_GROUP_SIZE = 5000;
+
+// Numbers from numeric fields or display strings ("$512.30", "1,200", "45.2%")
+function toNumber(value) {
+  if (value === null || value === undefined || value === '' || value === 'N/A') return null;
+  const num = typeof value === 'number' ? value : parseFloat(String(value).replace(/[$,%\s]/g, ''));
+  return Number.isFinite(num) ? num : null;
+}
+
+function toDecimal(percent) {
+  const num = toNumber(percent);
+  return num === null ? null : Math.round(num * 100) / 10000;
+}
+
+function toDay(value) {
+  return value ? String(value).slice(0, 10) : null;
+}
+
+function column(name, type, get = row => row[name]) {
+  return { name, type, get };
+}
+
+const FLOW_COLUMNS = [
+  column('id', 'string'),
+  column('timestamp', 'timestamp'),
+  column('ticker', 'string'),
+  column('contract', 'string', row => row.rawSymbol),
+  column('type', 'string'),
+  column('strike', 'double'),
+  column('expiration', 'string', row => toDay(row.expirationDate || row.expiration)),
+  column('dte', 'int'),
+  column('price', 'double'),
+  column('size', 'int'),
+  column('premiumRaw', 'double', row => row.premiumRaw ?? toNumber(row.premium)),
+  column('volume', 'int'),
+  column('oi', 'int'),
+  column('iv', 'double', row => toDecimal(row.iv)),
+  column('spotRaw', 'double', row => row.spotRaw ?? toNumber(row.spot)),
+  column('otm', 'double', row => toDecimal(row.otm)),
+  column('moneyness', 'string'),
+  column('bid', 'double'),
+  column('ask', 'double'),
+  column('side', 'string'),
+  column('sentiment', 'string'),
+  column('tradeType', 'string'),
+  column('confidence', 'double'),
+  column('openingClosing', 'string'),
+  column('source', 'string'),
+  column('isSweep', 'boolean'),
+  column('fillCount', 'int'),
+  column('isSpread', 'boolean'),
+  column('isComplex', 'boolean'),
+  column('strategy', 'string'),
+  column('legGroupId', 'string'),
+  column('spreadPremium', 'double'),
+  column('assetType', 'string'),
+  column('sector', 'string'),
+  column('ssr', 'boolean'),
+  column('nextEarningsDate', 'string'),
+  column('isPreEarnings', 'boolean'),
+  column('isPostEarnings', 'boolean'),
+  column('isRepeatFlow', 'boolean'),
+  column('repeatCount', 'int'),
+  column('repeatPremium', 'double'),
+  column('volumeZScore', 'double'),
+  column('premiumZScore', 'double'),
+  column('isUnusual', 'boolean'),
+];
+
+const SCANNER_COLUMNS = [
+  column('id', 'string'),
+  column('timestamp', 'timestamp'),
+  column('symbol', 'string'),
+  column('contract', 'string'),
+  column('type', 'string'),
+  column('strike', 'double', row => row.strikeRaw ?? toNumber(row.strike)),
+  column('expiry', 'string'),
+  column('dte', 'int', row => row.dteRaw ?? toNumber(row.dte)),
+  column('price', 'double', row => toNumber(row.price)),
+  column('priceChange', 'double', row => toDecimal(row.priceChange)),
+  column('premiumRaw', 'double', row => row.premiumRaw ?? toNumber(row.premium)),
+  column('volume', 'int'),
+  column('oi', 'int'),
+  column('volOiRatio', 'double'),
+  column('volumeLevel', 'string'),
+  column('volOiLevel', 'string'),
+  column('gexPosition', 'string'),
+  column('gammaWall', 'double', row => toNumber(row.gammaWall)),
+  column('score', 'double'),
+  column('scoreLevel', 'string'),
+  column('confidence', 'string'),
+  column('hasAlert', 'boolean'),
+  column('volumeZScore', 'double'),
+  column('premiumZScore', 'double'),
+  column('avgDailyVolume', 'double'),
+  column('isUnusual', 'boolean'),
+  column('assetType', 'string'),
+  column('sector', 'string'),
+  column('ssr', 'boolean'),
+];
+
+/**
+ * Typed value for a column (null when missing or not convertible)
+ */
+function getValue(col, row) {
+  const value = col.get(row);
+  if (value === null || value === undefined || value === '') return null;
+
+  switch (col.type) {
+    case 'double':
+      return toNumber(value);
+    case 'int': {
+      const num = toNumber(value);
+      return num === null ? null : Math.round(num);
+    }
+    case 'boolean':
+      return Boolean(value);
+    case 'timestamp': {
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? null : date;
+    }
+    default:
+      return String(value);
+  }
+}
+
+function toCsvField(value) {
+  if (value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvLine(columns, row) {
+  return `${columns.map(col => toCsvField(getValue(col, row))).join(',')}\n`;
+}
+
+function toNdjsonLine(columns, row) {
+  const record = {};
+  columns.forEach((col) => {
+    const value = getValue(col, row);
+    record[col.name] = value instanceof Date ? value.toISOString() : value;
+  });
+  return `${JSON.stringify(record)}\n`;
+}
+
+function getExportFormat(format) {
+  const name = String(format || 'csv').toLowerCase();
+  return EXPORT_FORMATS[name] ? name : null;
+}
+
+// Wait for drain, or for the client to go away (a closed response never drains)
+async function writeChunk(res, chunk) {
+  if (res.write(chunk) || res.destroyed) {
+    return;
+  }
+  await new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Stream rows to an HTTP response as an attachment
+ * @param {Object} res - express response
+ * @param {Object} options - { format: 'csv'|'ndjson'|'parquet', columns, rows, filename (without extension) }
+ */
+async function streamExport(res, { format, columns, rows, filename }) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+  res.setHeader('X-Row-Count', String(rows.length));
+
+  if (format === 'parquet') {
+    const schema = new parquet.ParquetSchema(Object.fromEntries(
+      columns.map(col => [col.name, { type: PARQUET_TYPES[col.type], optional: true }])
+    ));
+    const writer = await parquet.ParquetWriter.openStream(schema, res, { rowGroupSize: PARQUET_ROW_GROUP_SIZE });
+    for (const row of rows) {
+      if (res.destroyed) return;
+      const record = {};
+      columns.forEach((col) => {
+        const value = getValue(col, row);
+        if (value !== null) record[col.name] = value;
+      });
+      await writer.appendRow(record);
+    }
+    await writer.close(); // Writes the footer and ends the response
+    return;
+  }
+
+  const toLine = format === 'csv' ? toCsvLine : toNdjsonLine;
+  if (format === 'csv') {
+    await writeChunk(res, `${columns.map(col => col.name).join(',')}\n`);
+  }
+  for (let i = 0; i < rows.length; i += CHUNK_ROWS) {
+    if (res.destroyed) return;
+    await writeChunk(res, rows.slice(i, i + CHUNK_ROWS).map(row => toLine(columns, row)).join(''));
+  }
+  res.end();
+}
+
+export {
+  EXPORT_FORMATS,
+  FLOW_COLUMNS,
+  SCANNER_COLUMNS,
+  getExportFormat,
+  streamExport,
+};
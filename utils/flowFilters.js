@@ -0,0 +1,504 @@
+/**
+ * Options Flow Filters Utility
+ * Shared filter grammar for GET /api/options-flow, the history replay endpoint
+ * and anything else that needs to evaluate flow rows against the same query parameters
+ */
+
+// DEFAULT PREMIUM FILTER: $5K minimum unless the caller explicitly overrides it
+const DEFAULT_MIN_PREMIUM = 5000;
+
+// Filters that read tags added at query time (annotateFlowRows) rather than fields stored on the row,
+// so they cannot be evaluated against rows as they are broadcast over /ws
+const ANNOTATED_FILTER_KEYS = [
+  'preEarnings', 'postEarnings', 'expiresAfterEarnings',
+  'nonEtf', 'assetType', 'sector',
+  'ssr',
+  'repeatFlow', 'repeatBy', 'repeatWindow', 'repeatMinPremium',
+];
+
+/**
+ * Check if a filter is active (handles both string 'true' and boolean true)
+ */
+function isFilterActive(value) {
+  if (value === undefined || value === null || value === '') return false;
+  if (value === true || value === 'true' || value === '1' || value === 1) return true;
+  return false;
+}
+
+/**
+ * Parse a premium value ("$1.25M", "$50K", 5000) into a number
+ */
+function parsePremium(premiumStr) {
+  if (typeof premiumStr === 'number') return premiumStr;
+  if (!premiumStr) return 0;
+  const num = parseFloat(String(premiumStr).replace(/[^0-9.]/g, ''));
+  if (String(premiumStr).includes('M')) return num * 1000000;
+  if (String(premiumStr).includes('K')) return num * 1000;
+  return num;
+}
+
+/**
+ * Normalize a comma-separated string or array parameter into a trimmed list
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(item => item.length > 0);
+}
+
+/**
+ * Resolve the effective minimum premium
+ * If minPremium is undefined, null, or 0 (and not explicitly set by user), use $5K default
+ * This allows users to override by explicitly passing a lower value
+ */
+function getEffectiveMinPremium(minPremium) {
+  if (minPremium === undefined || minPremium === null || minPremium === '') {
+    return DEFAULT_MIN_PREMIUM;
+  }
+  return (minPremium === '0' || parseFloat(minPremium) === 0) ? DEFAULT_MIN_PREMIUM : parseFloat(minPremium);
+}
+
+/**
+ * Parse "30d" / 30 into a number of days
+ */
+function parseDTE(dte) {
+  if (typeof dte === 'number') return dte;
+  return parseInt(String(dte || '').replace('d', '')) || 0;
+}
+
+// Range helpers (labels match the frontend filter chips)
+const checkVolumeRange = (vol, selectedRanges) => {
+  if (selectedRanges.length === 0) return true;
+  const num = parseFloat(vol || 0);
+  return selectedRanges.some(range => {
+    if (range === '< 1k') return num < 1000;
+    if (range === '1k to 5k') return num >= 1000 && num < 5000;
+    if (range === '5k to 25k') return num >= 5000 && num < 25000;
+    if (range === '> 25k') return num >= 25000;
+    return false;
+  });
+};
+
+const checkStockPrice = (spotPrice, selectedRanges) => {
+  if (selectedRanges.length === 0) return true;
+  const price = typeof spotPrice === 'number' ? spotPrice : (parseFloat(String(spotPrice || '').replace(/[^0-9.]/g, '')) || 0);
+  return selectedRanges.some(range => {
+    if (range === '< $25') return price < 25;
+    if (range === '$25 - $75') return price >= 25 && price < 75;
+    if (range === '$75 - $150') return price >= 75 && price < 150;
+    if (range === '> $150') return price >= 150;
+    return false;
+  });
+};
+
+const checkOIRange = (oi, selectedRanges) => {
+  if (selectedRanges.length === 0) return true;
+  return selectedRanges.some(range => {
+    if (range === '< 1k') return oi < 1000;
+    if (range === '1k to 5k') return oi >= 1000 && oi < 5000;
+    if (range === '5k to 25k') return oi >= 5000 && oi < 25000;
+    if (range === '> 25k') return oi >= 25000;
+    return false;
+  });
+};
+
+/**
+ * Build a predicate for flow rows from GET /api/options-flow query parameters
+ * Values may be query strings ("true", "0,1,7") or already-typed values (true, [0, 1, 7])
+ */
+function createFlowFilter(query = {}) {
+  const {
+    ticker,
+    type, // 'CALL' or 'PUT'
+    tradeType, // 'SWEEP', 'BLOCK', 'SPLIT', etc.
+    minPremium,
+    maxPremium,
+    minPremiums,
+    maxPremiums,
+    minStrike,
+    maxStrike,
+    minBidask,
+    maxBidask,
+    calls,
+    puts,
+    sweeps,
+    splits,
+    blocks,
+    aboveAsk,
+    belowBid,
+    side, // Comma-separated: "At Ask,Above Ask" (Above Ask, At Ask, Mid, At Bid, Below Bid)
+    itm,
+    otm,
+    atm,
+    moneyness, // Comma-separated: "ITM,OTM,ATM" (same as itm/otm/atm)
+    volGtOi,
+    shortExpiry,
+    leaps,
+    premium1m,
+    complex, // Any multi-leg / stock-tied print
+    spreads, // Prints matched into a spread (see utils/spreadDetector.js)
+    nonSpreads, // Single-leg prints only
+    openingSpread, // Spreads where every leg is opening
+    preEarnings, // Next earnings report is coming up (see utils/earningsCalendar.js)
+    postEarnings, // Earnings were just reported
+    expiresAfterEarnings, // Contract expires on/after the next report
+    nonEtf, // Single names only - excludes ETFs and index options (see utils/tickerReference.js)
+    assetType, // Comma-separated: "CS,ADR,ETF,INDEX"
+    sector, // Comma-separated sector names
+    repeatFlow, // Contracts hit repeatedly by large orders (see utils/repeatFlow.js)
+    repeatBy, // 'contract' (default) or 'bucket' (underlying + call/put + buy/sell + expiry)
+    ssr, // Underlying is under the short sale restriction (see utils/ssrTracker.js)
+    dte, // Comma-separated: "0,1,3,7,15,30,60,90"
+    stockPrice, // Comma-separated: "< $25,$25 - $75,$75 - $150,> $150"
+    openInterest, // Comma-separated: "< 1k,1k to 5k,5k to 25k,> 25k"
+    volume, // Comma-separated: "< 1k,1k to 5k,5k to 25k,> 25k"
+    filterTicker,
+    filterMinPremium,
+    minVolume,
+    filterMaxDte,
+    minConfidence,
+    excludeSymbols, // Comma-separated list
+  } = query;
+
+  // Parse everything once - the predicate runs for every stored row
+  const effectiveMinPremium = getEffectiveMinPremium(minPremium);
+  const excluded = toList(excludeSymbols).map(s => s.toUpperCase());
+  const typeFilters = toList(type).map(t => t.toUpperCase());
+  const tradeTypeFilters = toList(tradeType).map(t => t.toUpperCase());
+  const selectedDTEs = toList(dte).map(d => parseInt(d)).filter(d => !isNaN(d));
+  const stockPriceRanges = toList(stockPrice);
+  const openInterestRanges = toList(openInterest);
+  const volumeRanges = toList(volume);
+  const assetTypeFilters = toList(assetType).map(t => t.toUpperCase());
+  const sectorFilters = toList(sector).map(s => s.toLowerCase());
+  const tickerToFilter = (ticker || filterTicker) ? String(ticker || filterTicker).trim().toUpperCase() : null;
+
+  const shouldShowCalls = isFilterActive(calls);
+  const shouldShowPuts = isFilterActive(puts);
+  const shouldShowSweeps = isFilterActive(sweeps);
+  const shouldShowBlocks = isFilterActive(blocks);
+  const shouldShowSplits = isFilterActive(splits);
+  const activeTradeTypeFilters = [shouldShowSweeps, shouldShowBlocks, shouldShowSplits].filter(Boolean).length;
+  const sideFilters = toList(side).map(s => s.toLowerCase());
+  const moneynessFilters = toList(moneyness).map(m => m.toUpperCase());
+  if (isFilterActive(itm)) moneynessFilters.push('ITM');
+  if (isFilterActive(otm)) moneynessFilters.push('OTM');
+  if (isFilterActive(atm)) moneynessFilters.push('ATM');
+
+  return (trade) => {
+    // Filter out arrays (grouped trades)
+    if (!trade || Array.isArray(trade)) {
+      return false;
+    }
+
+    // Exclude symbols filter
+    if (excluded.length > 0 && excluded.includes(trade.ticker?.toUpperCase())) return false;
+
+    // Premium filters
+    const premiumNum = trade.premiumRaw || parsePremium(trade.premium);
+    // Apply default $5K filter (or user-specified value)
+    // Spread legs are judged on the whole order so small legs stay with their group
+    const orderPremium = trade.isSpread ? Math.max(premiumNum, trade.spreadPremium || 0) : premiumNum;
+    if (orderPremium < effectiveMinPremium) return false;
+    if (maxPremium && premiumNum > parseFloat(maxPremium)) return false;
+    if (minPremiums && premiumNum < parseFloat(minPremiums)) return false;
+    if (maxPremiums && premiumNum > parseFloat(maxPremiums)) return false;
+    // Advanced Filters: filterMinPremium
+    if (filterMinPremium && premiumNum < parseFloat(filterMinPremium)) return false;
+
+    // Strike filters
+    if (minStrike && trade.strike < parseFloat(minStrike)) return false;
+    if (maxStrike && trade.strike > parseFloat(maxStrike)) return false;
+
+    // Bid/Ask spread filters - calculate spread from bid and ask
+    if (minBidask || maxBidask) {
+      const bid = trade.bid || 0;
+      const ask = trade.ask || 0;
+      const bidaskSpread = (bid > 0 && ask > 0) ? (ask - bid) : 0;
+
+      if (minBidask && bidaskSpread < parseFloat(minBidask)) return false;
+      if (maxBidask && bidaskSpread > parseFloat(maxBidask)) return false;
+    }
+
+    // Type filters (CALL/PUT)
+    // CRITICAL: Only apply CALL/PUT filter if it's explicitly set (don't show both if both are set)
+    if (shouldShowCalls && !shouldShowPuts && trade.type !== 'CALL') return false;
+    if (shouldShowPuts && !shouldShowCalls && trade.type !== 'PUT') return false;
+    // If type parameter is set, use it
+    if (typeFilters.length > 0 && !typeFilters.includes(trade.type)) return false;
+
+    // Trade type filters (SWEEP/BLOCK/SPLIT)
+    // If exactly one trade type filter is active, enforce it strictly
+    if (activeTradeTypeFilters === 1) {
+      if (shouldShowSweeps && trade.tradeType !== 'SWEEP') return false;
+      if (shouldShowBlocks && trade.tradeType !== 'BLOCK') return false;
+      if (shouldShowSplits && trade.tradeType !== 'SPLIT') return false;
+    }
+    // If multiple trade type filters are active, show trades matching any of them (OR logic)
+    else if (activeTradeTypeFilters > 1) {
+      const matchesAny = (shouldShowSweeps && trade.tradeType === 'SWEEP') ||
+                        (shouldShowBlocks && trade.tradeType === 'BLOCK') ||
+                        (shouldShowSplits && trade.tradeType === 'SPLIT');
+      if (!matchesAny) return false;
+    }
+    // If tradeType parameter is set, use it
+    if (tradeTypeFilters.length > 0 && !tradeTypeFilters.includes(trade.tradeType)) return false;
+
+    // ITM/OTM/ATM filters - if any is active, trade must match at least one active filter
+    if (moneynessFilters.length > 0 && !moneynessFilters.includes(trade.moneyness)) return false;
+
+    // Multi-leg filters
+    if (isFilterActive(complex) && !trade.isComplex && !trade.isSpread) return false;
+    if (isFilterActive(spreads) && !trade.isSpread) return false;
+    if (isFilterActive(nonSpreads) && (trade.isSpread || trade.isComplex)) return false;
+    if (isFilterActive(openingSpread) && !(trade.isSpread && trade.spreadOpeningClosing === 'Opening')) return false;
+
+    // Earnings filters (rows are tagged by annotateEarnings before filtering)
+    if (isFilterActive(preEarnings) && !trade.isPreEarnings) return false;
+    if (isFilterActive(postEarnings) && !trade.isPostEarnings) return false;
+    if (isFilterActive(expiresAfterEarnings) && !trade.expiresAfterEarnings) return false;
+
+    // Reference filters (rows are tagged by annotateTickerInfo before filtering)
+    if (isFilterActive(nonEtf) && (trade.assetType === 'ETF' || trade.assetType === 'INDEX')) return false;
+    if (assetTypeFilters.length > 0 && !assetTypeFilters.includes(trade.assetType)) return false;
+    if (sectorFilters.length > 0 && !sectorFilters.includes(String(trade.sector).toLowerCase())) return false;
+
+    // SSR filter (rows are tagged by annotateSSR before filtering)
+    if (isFilterActive(ssr) && !trade.ssr) return false;
+
+    // Repeat flow filter (rows are tagged by annotateRepeatFlow before filtering)
+    if (isFilterActive(repeatFlow)) {
+      const isRepeat = String(repeatBy).toLowerCase() === 'bucket' ? trade.isBucketRepeatFlow : trade.isRepeatFlow;
+      if (!isRepeat) return false;
+    }
+
+    // Volume > OI filter
+    if (isFilterActive(volGtOi) && trade.volume <= trade.oi) return false;
+
+    // Above Ask / Below Bid filters
+    if (isFilterActive(aboveAsk) && trade.side !== 'Above Ask') return false;
+    if (isFilterActive(belowBid) && trade.side !== 'Below Bid') return false;
+    if (sideFilters.length > 0 && !sideFilters.includes(String(trade.side).toLowerCase())) return false;
+
+    // DTE filter
+    const dteNum = parseDTE(trade.dte);
+    if (selectedDTEs.length > 0 && !selectedDTEs.includes(dteNum)) return false;
+
+    // Short Expiry / LEAPS filter
+    if (isFilterActive(shortExpiry) && dteNum > 30) return false;
+    if (isFilterActive(leaps) && dteNum < 365) return false;
+
+    // Premium > $1M filter
+    if (isFilterActive(premium1m) && premiumNum < 1000000) return false;
+
+    // Stock Price range filter
+    if (!checkStockPrice(trade.spotRaw || trade.spot, stockPriceRanges)) return false;
+
+    // Open Interest range filter
+    if (!checkOIRange(trade.oi || 0, openInterestRanges)) return false;
+
+    // Volume range filter
+    if (!checkVolumeRange(trade.volume || trade.size || 0, volumeRanges)) return false;
+
+    // Advanced Filters: minVolume
+    if (minVolume) {
+      const vol = trade.volume || trade.size || 0;
+      if (vol < parseFloat(minVolume)) return false;
+    }
+
+    // Advanced Filters: filterMaxDte
+    if (filterMaxDte) {
+      const maxDteNum = parseInt(filterMaxDte) || 999;
+      if (dteNum > maxDteNum) return false;
+    }
+
+    // Advanced Filters: minConfidence
+    if (minConfidence) {
+      const conf = trade.confidence || 0;
+      if (conf < parseFloat(minConfidence)) return false;
+    }
+
+    // Ticker filter (from header search OR Advanced Filters)
+    if (tickerToFilter && trade.ticker !== tickerToFilter) return false;
+
+    return true;
+  };
+}
+
+const SORT_FIELDS = ['time', 'premium', 'volume', 'confidence', 'iv'];
+
+function normalizeSortBy(sortBy) {
+  const normalized = sortBy ? String(sortBy).toLowerCase() : 'time';
+  return SORT_FIELDS.includes(normalized) ? normalized : 'time';
+}
+
+function parseIV(ivStr) {
+  if (!ivStr || ivStr === 'N/A') return 0;
+  return parseFloat(String(ivStr).replace('%', '')) || 0;
+}
+
+function getTimestampValue(trade) {
+  return trade.timestamp ? new Date(trade.timestamp).getTime() || 0 : 0;
+}
+
+/**
+ * Value a row is ordered by for the given sort field
+ */
+function getSortValue(trade, sortBy) {
+  switch (sortBy) {
+    case 'premium':
+      return trade.premiumRaw || parsePremium(trade.premium) || 0;
+    case 'volume':
+      return trade.volume || trade.size || 0;
+    case 'confidence':
+      // Rows without a score sort as the default 5
+      return trade.confidence !== undefined && trade.confidence !== null ? trade.confidence : 5;
+    case 'iv':
+      return parseIV(trade.iv);
+    case 'time':
+    default:
+      return getTimestampValue(trade);
+  }
+}
+
+/**
+ * Order two sort keys ({ v, t, id }): sort value desc, then newest first, then id desc.
+ * The timestamp/id tie-break makes the order total, so a cursor always lands in the same place.
+ */
+function compareSortKeys(a, b) {
+  if (a.v !== b.v) return b.v - a.v;
+  if (a.t !== b.t) return b.t - a.t;
+  if (a.id === b.id) return 0;
+  return a.id < b.id ? 1 : -1;
+}
+
+function getSortKey(trade, sortBy) {
+  return { v: getSortValue(trade, sortBy), t: getTimestampValue(trade), id: String(trade.id ?? '') };
+}
+
+/**
+ * Sort flow rows by 'time' (default), 'premium', 'volume', 'confidence' or 'iv' - all descending
+ * Ensures all sort fields have default values before comparing
+ */
+function sortTrades(trades, sortBy) {
+  const normalizedSortBy = normalizeSortBy(sortBy);
+
+  return trades
+    .map(trade => ({
+      ...trade,
+      // Ensure confidence has a default value for sorting
+      confidence: trade.confidence !== undefined && trade.confidence !== null ? trade.confidence : 5,
+      // Ensure volume has a default value
+      volume: trade.volume || trade.size || 0,
+      // Ensure premiumRaw exists
+      premiumRaw: trade.premiumRaw || parsePremium(trade.premium),
+    }))
+    .map(trade => ({ trade, key: getSortKey(trade, normalizedSortBy) }))
+    .sort((a, b) => compareSortKeys(a.key, b.key))
+    .map(({ trade }) => trade);
+}
+
+/**
+ * Opaque cursor for a row's position in a sort order (base64url JSON)
+ */
+function encodeCursor(trade, sortBy) {
+  const normalizedSortBy = normalizeSortBy(sortBy);
+  const { v, t, id } = getSortKey(trade, normalizedSortBy);
+  return Buffer.from(JSON.stringify({ s: normalizedSortBy, v, t, id })).toString('base64url');
+}
+
+/**
+ * Decode a cursor from encodeCursor - returns null if it is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const { s, v, t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!SORT_FIELDS.includes(s) || !Number.isFinite(v) || !Number.isFinite(t) || typeof id !== 'string') {
+      return null;
+    }
+    return { sortBy: s, v, t, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse `since` as a cursor, epoch milliseconds or an ISO date - returns a time-order key or null
+ */
+function parseSince(since) {
+  if (since === undefined || since === null || since === '') return null;
+  if (/^\d+$/.test(String(since))) {
+    return { t: parseInt(since), id: null };
+  }
+  const time = new Date(since).getTime();
+  if (!isNaN(time) && /^\d{4}-\d{2}-\d{2}/.test(String(since))) {
+    return { t: time, id: null };
+  }
+  const cursor = decodeCursor(since);
+  return cursor ? { t: cursor.t, id: cursor.id } : null;
+}
+
+/**
+ * Keep rows newer than a `since` key (strictly later timestamp, or same timestamp and higher id)
+ */
+function isNewerThan(trade, since) {
+  const t = getTimestampValue(trade);
+  if (t !== since.t) return t > since.t;
+  return since.id !== null && String(trade.id ?? '') > since.id;
+}
+
+/**
+ * Take one page of already-sorted rows around a cursor
+ * - after: the `limit` rows that follow the cursor (next page)
+ * - before: the `limit` rows that precede it (previous page)
+ * Returns { trades, nextCursor, prevCursor, hasMore } where hasMore says whether rows remain
+ * past the page in the direction of travel.
+ */
+function paginateByCursor(sortedTrades, { after, before, limit, sortBy }) {
+  const cursor = after || before;
+  // First row at (inclusive) or past (exclusive) the cursor position
+  const positionOf = (inclusive) => {
+    const index = sortedTrades.findIndex((trade) => {
+      const order = compareSortKeys(getSortKey(trade, cursor.sortBy), cursor);
+      return inclusive ? order >= 0 : order > 0;
+    });
+    return index === -1 ? sortedTrades.length : index;
+  };
+
+  let start;
+  let end;
+  if (after) {
+    start = positionOf(false);
+    end = Math.min(sortedTrades.length, start + limit);
+  } else {
+    // The cursor row itself belongs to the page it came from, not the previous one
+    end = positionOf(true);
+    start = Math.max(0, end - limit);
+  }
+
+  const trades = sortedTrades.slice(start, end);
+  return {
+    trades,
+    nextCursor: trades.length > 0 ? encodeCursor(trades[trades.length - 1], sortBy) : null,
+    prevCursor: trades.length > 0 ? encodeCursor(trades[0], sortBy) : null,
+    hasMore: after ? end < sortedTrades.length : start > 0,
+  };
+}
+
+export {
+  ANNOTATED_FILTER_KEYS,
+  DEFAULT_MIN_PREMIUM,
+  isFilterActive,
+  parsePremium,
+  toList,
+  getEffectiveMinPremium,
+  parseDTE,
+  createFlowFilter,
+  normalizeSortBy,
+  sortTrades,
+  encodeCursor,
+  decodeCursor,
+  parseSince,
+  isNewerThan,
+  paginateByCursor,
+};
@@ -0,0 +1,163 @@
+/**
+ * Flow Universe
+ * Which underlyings the REST snapshot poller (fetchAllContracts) and the nightly OI
+ * snapshot cover, with a page budget and a priority tier per ticker.
+ *
+ * Sources, first match wins:
+ * - file: FLOW_UNIVERSE_FILE (default data/universe.json), written by PUT /api/options-flow/universe
+ * - env: FLOW_UNIVERSE="SPY:high:10,QQQ,NVDA:normal" (ticker[:tier[:maxPages]])
+ * - default: the built-in list below
+ *
+ * The file is re-read whenever it changes on disk, so edits apply on the next poll without a restart.
+ *
+ * Tiers set how often a ticker is polled: high every refresh, normal every 3rd, low every 6th.
+ * maxPages (100 contracts per page) caps the snapshot pages per poll; when unset the poller
+ * picks a budget from the store size.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_UNIVERSE_FILE = path.join(process.cwd(), 'data', 'universe.json');
+const DEFAULT_TICKERS = ['SPY', 'QQQ', 'NVDA', 'AAPL', 'TSLA', 'MSFT', 'GOOGL', 'AMZN', 'META', 'AMD', 'A', 'IWM', 'DIA', 'TLT', 'SPX', 'SPXW', 'XSP', 'NDX'];
+const TIER_INTERVALS = { high: 1, normal: 3, low: 6 }; // Poll every N refresh cycles
+const DEFAULT_TIER = 'high';
+const MAX_PAGES_LIMIT = 100;
+
+let cachedUniverse = null; // { source, updatedAt, tickers, fileMtime }
+
+function getUniverseFile() {
+  return process.env.FLOW_UNIVERSE_FILE || DEFAULT_UNIVERSE_FILE;
+}
+
+/**
+ * Validate and normalize universe entries ("SPY" or { ticker, tier, maxPages })
+ * Throws with a readable message on the first bad entry
+ */
+function normalizeUniverse(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('"tickers" must be a non-empty array');
+  }
+
+  const seen = new Set();
+  return entries.map((entry) => {
+    const raw = typeof entry === 'string' ? { ticker: entry } : entry || {};
+    const ticker = String(raw.ticker || '').trim().toUpperCase().replace(/^I:/, '');
+    if (!/^[A-Z][A-Z0-9.]{0,9}$/.test(ticker)) {
+      throw new Error(`Invalid ticker "${raw.ticker}"`);
+    }
+    if (seen.has(ticker)) {
+      throw new Error(`Duplicate ticker "${ticker}"`);
+    }
+    seen.add(ticker);
+
+    const tier = raw.tier ? String(raw.tier).toLowerCase() : DEFAULT_TIER;
+    if (!TIER_INTERVALS[tier]) {
+      throw new Error(`Invalid tier "${raw.tier}" for ${ticker} (use ${Object.keys(TIER_INTERVALS).join(', ')})`);
+    }
+
+    let maxPages = null;
+    if (raw.maxPages !== undefined && raw.maxPages !== null && raw.maxPages !== '') {
+      maxPages = parseInt(raw.maxPages);
+      if (!Number.isInteger(maxPages) || maxPages < 1 || maxPages > MAX_PAGES_LIMIT) {
+        throw new Error(`Invalid maxPages "${raw.maxPages}" for ${ticker} (1-${MAX_PAGES_LIMIT})`);
+      }
+    }
+
+    return { ticker, tier, maxPages };
+  });
+}
+
+/**
+ * Parse FLOW_UNIVERSE ("SPY:high:10,QQQ,NVDA:normal")
+ */
+function parseUniverseEnv(value) {
+  return value
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map((item) => {
+      const [ticker, tier, maxPages] = item.split(':');
+      return { ticker, tier: tier || undefined, maxPages: maxPages || undefined };
+    });
+}
+
+function loadUniverse() {
+  const filePath = getUniverseFile();
+  let mtimeMs = null;
+  try {
+    if (fs.existsSync(filePath)) {
+      mtimeMs = fs.statSync(filePath).mtimeMs;
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const tickers = normalizeUniverse(data.tickers || data);
+      console.log(`🌐 Loaded flow universe (${tickers.length} tickers) from ${filePath}`);
+      return { source: 'file', updatedAt: data.updatedAt || new Date(mtimeMs).toISOString(), tickers, fileMtime: mtimeMs };
+    }
+  } catch (error) {
+    // Keep polling the previous universe rather than stopping on a bad edit
+    console.error(`❌ Failed to load flow universe from ${filePath}:`, error.message);
+    if (cachedUniverse) {
+      return { ...cachedUniverse, fileMtime: mtimeMs };
+    }
+  }
+
+  if (process.env.FLOW_UNIVERSE) {
+    try {
+      return { source: 'env', updatedAt: null, tickers: normalizeUniverse(parseUniverseEnv(process.env.FLOW_UNIVERSE)), fileMtime: null };
+    } catch (error) {
+      console.error('❌ Invalid FLOW_UNIVERSE, using the default universe:', error.message);
+    }
+  }
+
+  return { source: 'default', updatedAt: null, tickers: normalizeUniverse(DEFAULT_TICKERS), fileMtime: null };
+}
+
+/**
+ * Current universe (reloads when the file appeared, changed or went away)
+ * @returns {{ source: string, updatedAt: string|null, tickers: Array<{ ticker, tier, maxPages }> }}
+ */
+function getFlowUniverse() {
+  let fileMtime = null;
+  try {
+    fileMtime = fs.statSync(getUniverseFile()).mtimeMs;
+  } catch (error) {
+    // No file - env/default universe
+  }
+
+  if (!cachedUniverse || cachedUniverse.fileMtime !== fileMtime) {
+    cachedUniverse = loadUniverse();
+  }
+
+  const { source, updatedAt, tickers } = cachedUniverse;
+  return { source, updatedAt, tickers };
+}
+
+/**
+ * Replace the universe and persist it to the universe file
+ */
+function setFlowUniverse(entries) {
+  const tickers = normalizeUniverse(entries);
+  const updatedAt = new Date().toISOString();
+  const filePath = getUniverseFile();
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify({ updatedAt, tickers }, null, 2)}\n`);
+
+  cachedUniverse = { source: 'file', updatedAt, tickers, fileMtime: fs.statSync(filePath).mtimeMs };
+  console.log(`🌐 Flow universe updated: ${tickers.map(entry => entry.ticker).join(', ')}`);
+  return getFlowUniverse();
+}
+
+/**
+ * Entries due on a given refresh cycle (high tier every cycle, lower tiers less often)
+ */
+function getDueTickers(cycle, universe = getFlowUniverse()) {
+  return universe.tickers.filter(entry => cycle % TIER_INTERVALS[entry.tier] === 0);
+}
+
+export {
+  TIER_INTERVALS,
+  getFlowUniverse,
+  setFlowUniverse,
+  getDueTickers,
+};
@@ -0,0 +1,168 @@
+/**
+ * GEX Cache
+ * Per-ticker cache of the options chain behind /api/gex (the slow part: up to 10 contract
+ * pages and 100 snapshot pages per fetch) and of the classic-model GEX result built from it.
+ *
+ * - Entries live for GEX_CACHE_TTL_MS (default 60s); concurrent callers share one in-flight fetch.
+ * - The classic result is computed once per fetched chain; other positioning models reuse the chain.
+ * - startGEXRefresher() keeps GEX_REFRESH_TICKERS (default SPY,QQQ) warm in the background.
+ * - Other modules call getGEX() in-process instead of requesting /api/gex over HTTP.
+ *
+ * routes/gex.js registers how to fetch a chain and build GEX from it (configureGEXCache).
+ */
+
+const CACHE_TTL_MS = parseInt(process.env.GEX_CACHE_TTL_MS) || 60 * 1000;
+const REFRESH_INTERVAL_MS = parseInt(process.env.GEX_REFRESH_INTERVAL_MS) || CACHE_TTL_MS;
+const MAX_CACHED_TICKERS = 50;
+
+let fetchChain = null; // async (ticker) => contracts
+let buildGEX = null; // async (ticker, contracts, positioning|null) => GEX response data
+const entries = new Map(); // ticker -> { chain, fetchedAt, classic: Promise|null }
+const inFlight = new Map(); // ticker -> Promise<entry>
+let refresherTimer = null;
+let isRefreshing = false;
+
+function configureGEXCache(options) {
+  fetchChain = options.fetchChain;
+  buildGEX = options.buildGEX;
+}
+
+function getRefreshTickers() {
+  return (process.env.GEX_REFRESH_TICKERS ?? 'SPY,QQQ')
+    .split(',')
+    .map(t => t.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+// Drop the oldest entries beyond MAX_CACHED_TICKERS
+function evictOldest() {
+  if (entries.size <= MAX_CACHED_TICKERS) return;
+  const oldest = [...entries.entries()].sort((a, b) => a[1].fetchedAt - b[1].fetchedAt);
+  oldest.slice(0, entries.size - MAX_CACHED_TICKERS).forEach(([ticker]) => entries.delete(ticker));
+}
+
+/**
+ * Fetch a ticker's chain now, joining a fetch that is already running
+ */
+function refreshChain(ticker) {
+  if (!fetchChain) {
+    return Promise.reject(new Error('GEX cache is not configured'));
+  }
+  if (!inFlight.has(ticker)) {
+    const promise = fetchChain(ticker)
+      .then((chain) => {
+        const entry = { chain, fetchedAt: Date.now(), classic: null };
+        entries.set(ticker, entry);
+        evictOldest();
+        return entry;
+      })
+      .finally(() => inFlight.delete(ticker));
+    inFlight.set(ticker, promise);
+  }
+  return inFlight.get(ticker);
+}
+
+async function getEntry(ticker) {
+  const entry = entries.get(ticker);
+  if (entry && Date.now() - entry.fetchedAt < CACHE_TTL_MS) {
+    return entry;
+  }
+  return refreshChain(ticker);
+}
+
+/**
+ * Options chain for a ticker (cached)
+ * @returns {Promise<{ chain, fetchedAt }>}
+ */
+async function getOptionsChain(ticker) {
+  const { chain, fetchedAt } = await getEntry(ticker.toUpperCase());
+  return { chain, fetchedAt };
+}
+
+/**
+ * GEX data for a ticker, from the cached chain
+ * @param {string} ticker
+ * @param {Object} options - { positioning }: a non-classic positioning model is computed per call
+ * @returns {Promise<Object>} the /api/gex/:ticker response body plus cache: { fetchedAt, ageMs }
+ */
+async function getGEX(ticker, { positioning = null } = {}) {
+  const symbol = ticker.toUpperCase();
+  const entry = await getEntry(symbol);
+
+  let data;
+  if (!positioning || positioning.model === 'classic') {
+    if (!entry.classic) {
+      entry.classic = buildGEX(symbol, entry.chain, positioning).catch((error) => {
+        entry.classic = null; // Retry on the next call
+        throw error;
+      });
+    }
+    data = await entry.classic;
+  } else {
+    data = await buildGEX(symbol, entry.chain, positioning);
+  }
+
+  return {
+    ...data,
+    cache: { fetchedAt: new Date(entry.fetchedAt).toISOString(), ageMs: Date.now() - entry.fetchedAt },
+  };
+}
+
+/**
+ * Refresh the watchlist one ticker at a time (skipped if the previous run is still going)
+ */
+async function refreshWatchlist() {
+  if (isRefreshing) return;
+  isRefreshing = true;
+  try {
+    for (const ticker of getRefreshTickers()) {
+      try {
+        await refreshChain(ticker);
+        await getGEX(ticker); // Builds and broadcasts the classic result
+      } catch (error) {
+        console.error(`❌ GEX refresh failed for ${ticker}:`, error.message);
+      }
+    }
+  } finally {
+    isRefreshing = false;
+  }
+}
+
+/**
+ * Start the background refresher (no-op without refresh tickers or before configureGEXCache)
+ */
+function startGEXRefresher() {
+  const tickers = getRefreshTickers();
+  if (refresherTimer || !fetchChain || tickers.length === 0) {
+    return;
+  }
+
+  refresherTimer = setInterval(() => {
+    refreshWatchlist().catch(error => console.error('❌ GEX refresher error:', error.message));
+  }, REFRESH_INTERVAL_MS);
+  refreshWatchlist().catch(error => console.error('❌ GEX refresher error:', error.message));
+
+  console.log(`🧲 GEX refresher: ${tickers.join(', ')} every ${Math.round(REFRESH_INTERVAL_MS / 1000)}s`);
+}
+
+function getGEXCacheStats() {
+  return {
+    ttlMs: CACHE_TTL_MS,
+    refreshIntervalMs: REFRESH_INTERVAL_MS,
+    refreshTickers: getRefreshTickers(),
+    inFlight: [...inFlight.keys()],
+    tickers: [...entries.entries()].map(([ticker, entry]) => ({
+      ticker,
+      contracts: entry.chain.length,
+      ageMs: Date.now() - entry.fetchedAt,
+    })),
+  };
+}
+
+export {
+  configureGEXCache,
+  getOptionsChain,
+  getGEX,
+  startGEXRefresher,
+  getGEXCacheStats,
+};
@@ -0,0 +1,312 @@
+/**
+ * Net Premium Time Series
+ * The intraday "net call premium minus net put premium" line per underlying, for
+ * GET /api/options-flow/:ticker/net-premium and the `net-premium` WebSocket channel.
+ *
+ * Net call premium adds bought calls (BULL) and subtracts sold calls (BEAR); net put premium
+ * adds bought puts (BEAR) and subtracts sold puts (BULL). Neutral prints are left out.
+ * Buckets carry their own values and the session cumulative up to the end of the bucket.
+ *
+ * WebSocket subscribers are served from running buckets per ticker and interval: the session
+ * is read from the trade store once, then every stored row is added as it arrives.
+ */
+
+import { getTradeStore } from './tradeStore.js';
+import { parsePremium } from './flowFilters.js';
+import { getTradingDayRange } from './optionsCalculations.js';
+
+const INTERVALS = { '1m': 60 * 1000, '5m': 5 * 60 * 1000, '15m': 15 * 60 * 1000 };
+const DEFAULT_INTERVAL = '5m';
+const PUSH_DELAY_MS = 1000; // New trades for a ticker are batched into one push per second
+
+const subscriptions = new Map(); // { TICKER: Map<WebSocket, interval> }
+const pendingPushes = new Map(); // { TICKER: { since } } - oldest new trade time in the batch
+const bucketStates = new Map(); // { 'TICKER:interval': running session buckets, see getBucketState }
+
+/**
+ * Signed premium contribution of one flow row: { call, put }
+ */
+function getNetContribution(row) {
+  const premium = row.premiumRaw || parsePremium(row.premium);
+  const sentiment = String(row.sentiment || '').toUpperCase();
+  const bought = row.type === 'CALL'
+    ? sentiment === 'BULL' || sentiment === 'BULLISH'
+    : sentiment === 'BEAR' || sentiment === 'BEARISH';
+  const sold = row.type === 'CALL'
+    ? sentiment === 'BEAR' || sentiment === 'BEARISH'
+    : sentiment === 'BULL' || sentiment === 'BULLISH';
+  const signed = bought ? premium : sold ? -premium : 0;
+
+  return {
+    call: row.type === 'CALL' ? signed : 0,
+    put: row.type === 'PUT' ? signed : 0,
+  };
+}
+
+function getBucketStart(row, intervalMs) {
+  const time = new Date(row.timestamp).getTime();
+  return isFinite(time) ? Math.floor(time / intervalMs) * intervalMs : null;
+}
+
+/**
+ * Add (sign 1) or remove (sign -1) one row's contribution to its bucket
+ */
+function applyContribution(buckets, { start, call, put }, sign = 1) {
+  if (!buckets.has(start)) {
+    buckets.set(start, { callPremium: 0, putPremium: 0, tradeCount: 0 });
+  }
+  const bucket = buckets.get(start);
+  bucket.callPremium += sign * call;
+  bucket.putPremium += sign * put;
+  bucket.tradeCount += sign;
+  if (bucket.tradeCount <= 0) {
+    buckets.delete(start);
+  }
+}
+
+/**
+ * Turn raw buckets into the cumulative series (oldest bucket first)
+ */
+function toSeriesBuckets(buckets) {
+  let cumulativeCall = 0;
+  let cumulativePut = 0;
+  return Array.from(buckets.entries())
+    .sort(([a], [b]) => a - b)
+    .map(([start, bucket]) => {
+      cumulativeCall += bucket.callPremium;
+      cumulativePut += bucket.putPremium;
+      return {
+        time: new Date(start).toISOString(),
+        timestamp: start,
+        callPremium: bucket.callPremium,
+        putPremium: bucket.putPremium,
+        netPremium: bucket.callPremium - bucket.putPremium,
+        cumulativeCallPremium: cumulativeCall,
+        cumulativePutPremium: cumulativePut,
+        cumulativeNetPremium: cumulativeCall - cumulativePut,
+        tradeCount: bucket.tradeCount,
+      };
+    });
+}
+
+/**
+ * Bucket flow rows into a cumulative series (oldest bucket first)
+ */
+function buildNetPremiumSeries(rows, interval = DEFAULT_INTERVAL) {
+  const intervalMs = INTERVALS[interval];
+  const buckets = new Map();
+
+  rows.forEach((row) => {
+    if (!row || Array.isArray(row)) return;
+    const start = getBucketStart(row, intervalMs);
+    if (start === null) return;
+    applyContribution(buckets, { start, ...getNetContribution(row) });
+  });
+
+  return toSeriesBuckets(buckets);
+}
+
+function summarizeSeries(ticker, date, interval, buckets) {
+  const last = buckets[buckets.length - 1];
+  return {
+    ticker,
+    date,
+    interval,
+    callPremium: last?.cumulativeCallPremium || 0,
+    putPremium: last?.cumulativePutPremium || 0,
+    netPremium: last?.cumulativeNetPremium || 0,
+    buckets,
+  };
+}
+
+/**
+ * Net premium series for an underlying's session from the trade store
+ * @param {string} ticker - underlying
+ * @param {Object} options - { interval: '1m'|'5m'|'15m', date: 'YYYY-MM-DD' (default today ET) }
+ */
+async function getNetPremiumSeries(ticker, { interval = DEFAULT_INTERVAL, date } = {}) {
+  const { date: sessionDate, from, to } = getTradingDayRange(date);
+  const rows = await getTradeStore().query({ from, to, ticker, readOnly: true });
+  return summarizeSeries(ticker, sessionDate, interval, buildNetPremiumSeries(rows, interval));
+}
+
+/**
+ * Add a stored row to running buckets, replacing the earlier version of the same row
+ * (the store upserts by id)
+ */
+function applyRow(state, row) {
+  if (!row || Array.isArray(row)) return;
+  const time = new Date(row.timestamp).getTime();
+  if (!isFinite(time) || time < state.from || time > state.to) return;
+
+  const previous = row.id ? state.contributions.get(row.id) : null;
+  if (previous) {
+    applyContribution(state.buckets, previous, -1);
+  }
+  const contribution = { start: getBucketStart(row, state.intervalMs), ...getNetContribution(row) };
+  applyContribution(state.buckets, contribution);
+  if (row.id) {
+    state.contributions.set(row.id, contribution);
+  }
+}
+
+/**
+ * Running buckets for a subscribed ticker/interval in the current session
+ * Loaded from the store once; queueNetPremiumUpdate adds rows as they are stored
+ */
+function getBucketState(symbol, interval) {
+  const key = `${symbol}:${interval}`;
+  const { date, from, to } = getTradingDayRange();
+  const existing = bucketStates.get(key);
+  if (existing && existing.date === date) return existing;
+
+  const state = {
+    date,
+    from,
+    to,
+    intervalMs: INTERVALS[interval],
+    buckets: new Map(),
+    contributions: new Map(), // { rowId: { start, call, put } }
+    buffered: [], // Rows stored while the session is loading (null once loaded)
+  };
+  state.ready = getTradeStore().query({ from, to, ticker: symbol, readOnly: true }).then((rows) => {
+    rows.forEach(row => applyRow(state, row));
+    state.buffered.forEach(row => applyRow(state, row));
+    state.buffered = null;
+  });
+  state.ready.catch(() => {
+    // Load again on the next subscribe
+    if (bucketStates.get(key) === state) bucketStates.delete(key);
+  });
+  bucketStates.set(key, state);
+  return state;
+}
+
+function send(ws, message) {
+  if (ws.readyState === 1) { // WebSocket.OPEN
+    try {
+      ws.send(JSON.stringify(message));
+    } catch (error) {
+      console.error('Error sending net premium WebSocket message:', error);
+    }
+  }
+}
+
+/**
+ * Subscribe a WebSocket client to a ticker's series - sends the full session right away
+ */
+async function subscribeNetPremium(ws, ticker, interval = DEFAULT_INTERVAL) {
+  const symbol = String(ticker).toUpperCase();
+  if (!subscriptions.has(symbol)) {
+    subscriptions.set(symbol, new Map());
+  }
+  subscriptions.get(symbol).set(ws, interval);
+
+  const state = getBucketState(symbol, interval);
+  await state.ready;
+  send(ws, {
+    type: 'net-premium-snapshot',
+    ticker: symbol,
+    interval,
+    data: summarizeSeries(symbol, state.date, interval, toSeriesBuckets(state.buckets)),
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * Remove a client from one ticker (or from every ticker when none is given)
+ */
+function unsubscribeNetPremium(ws, ticker) {
+  const symbols = ticker ? [String(ticker).toUpperCase()] : Array.from(subscriptions.keys());
+  symbols.forEach((symbol) => {
+    const subscribers = subscriptions.get(symbol);
+    if (!subscribers) return;
+    subscribers.delete(ws);
+    if (subscribers.size === 0) {
+      subscriptions.delete(symbol);
+    }
+
+    // Drop running buckets no client is subscribed to any more
+    const intervals = new Set(subscribers.values());
+    Object.keys(INTERVALS).forEach((interval) => {
+      if (!intervals.has(interval)) bucketStates.delete(`${symbol}:${interval}`);
+    });
+  });
+}
+
+/**
+ * Push changed buckets to a ticker's subscribers (from the oldest new trade onwards)
+ */
+function pushNetPremium(symbol, since) {
+  const subscribers = subscriptions.get(symbol);
+  if (!subscribers) return;
+
+  const intervals = new Set(subscribers.values());
+  intervals.forEach((interval) => {
+    const state = bucketStates.get(`${symbol}:${interval}`);
+    // Still loading: the snapshot sent once it loads already includes these trades
+    if (!state || state.buffered) return;
+
+    const series = summarizeSeries(symbol, state.date, interval, toSeriesBuckets(state.buckets));
+    const bucketStart = Math.floor(since / state.intervalMs) * state.intervalMs;
+    const message = {
+      type: 'net-premium-update',
+      ticker: symbol,
+      interval,
+      data: {
+        callPremium: series.callPremium,
+        putPremium: series.putPremium,
+        netPremium: series.netPremium,
+        buckets: series.buckets.filter(bucket => bucket.timestamp >= bucketStart),
+      },
+      timestamp: new Date().toISOString(),
+    };
+    subscribers.forEach((subscribedInterval, ws) => {
+      if (subscribedInterval === interval) send(ws, message);
+    });
+  });
+}
+
+/**
+ * Add newly stored flow rows to the running buckets and queue a push
+ * (only tickers with subscribers)
+ */
+function queueNetPremiumUpdate(rows) {
+  rows.forEach((row) => {
+    const symbol = String(row?.ticker || '').toUpperCase();
+    const subscribers = subscriptions.get(symbol);
+    if (!subscribers) return;
+
+    new Set(subscribers.values()).forEach((interval) => {
+      const state = getBucketState(symbol, interval);
+      if (state.buffered) {
+        state.buffered.push(row);
+      } else {
+        applyRow(state, row);
+      }
+    });
+
+    const time = new Date(row.timestamp).getTime() || Date.now();
+    const pending = pendingPushes.get(symbol);
+    if (pending) {
+      pending.since = Math.min(pending.since, time);
+      return;
+    }
+
+    const entry = { since: time };
+    pendingPushes.set(symbol, entry);
+    setTimeout(() => {
+      pendingPushes.delete(symbol);
+      pushNetPremium(symbol, entry.since);
+    }, PUSH_DELAY_MS);
+  });
+}
+
+export {
+  INTERVALS,
+  DEFAULT_INTERVAL,
+  getNetPremiumSeries,
+  subscribeNetPremium,
+  unsubscribeNetPremium,
+  queueNetPremiumUpdate,
+};
@@ -0,0 +1,153 @@
+/**
+ * Nightly Open Interest Snapshotter
+ * Stores every contract's open interest once per trading day so the next session
+ * can compare volume against real previous OI (see detectOpeningClosing).
+ */
+
+import axios from 'axios';
+import { getOIStore } from './oiStore.js';
+import { getEasternDateString } from './optionsCalculations.js';
+import { getFlowUniverse } from './flowUniverse.js';
+
+const MASSIVE_API_BASE = 'https://api.massive.com';
+const CHECK_INTERVAL = 10 * 60 * 1000; // How often the scheduler checks whether today's snapshot is due
+const MAX_PAGES_PER_TICKER = parseInt(process.env.OI_SNAPSHOT_MAX_PAGES) || 40; // 250 contracts per page
+const OI_RETENTION_DAYS = parseInt(process.env.OI_RETENTION_DAYS) || 90;
+
+let lastSnapshotDate = null;
+let isSnapshotRunning = false;
+let schedulerTimer = null;
+
+function getApiKey() {
+  return process.env.MASSIVE_API_KEY || process.env.POLYGON_API_KEY;
+}
+
+function getSnapshotTickers() {
+  const configured = (process.env.OI_SNAPSHOT_TICKERS || '')
+    .split(',')
+    .map(t => t.trim().toUpperCase())
+    .filter(Boolean);
+  // Default to every underlying the flow poller covers, whatever its tier
+  return configured.length > 0 ? configured : getFlowUniverse().tickers.map(entry => entry.ticker);
+}
+
+/**
+ * Turn snapshot API contracts into OI rows for the store
+ */
+function toOIRows(contracts, date, underlying) {
+  return contracts
+    .map(contract => ({
+      contract: contract.details?.ticker || contract.ticker,
+      date,
+      oi: contract.open_interest,
+      underlying: (contract.underlying_asset?.ticker || underlying || '').replace(/^I:/, '') || null,
+    }))
+    .filter(row => row.contract && Number.isFinite(row.oi));
+}
+
+/**
+ * Fetch every contract's open interest for one underlying
+ */
+async function fetchTickerOI(ticker, date, apiKey) {
+  const rows = [];
+  let url = `${MASSIVE_API_BASE}/v3/snapshot/options/${ticker}`;
+  let params = { limit: 250, apiKey };
+  let retries = 0;
+
+  for (let page = 0; page < MAX_PAGES_PER_TICKER && url; page++) {
+    try {
+      const response = await axios.get(url, { params, timeout: 15000 });
+      rows.push(...toOIRows(response.data?.results || [], date, ticker));
+      url = response.data?.next_url || null;
+      params = { apiKey };
+      retries = 0;
+    } catch (error) {
+      if (error.response?.status === 429 && retries < 3) {
+        retries++;
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        page--; // Retry the same page
+        continue;
+      }
+      console.error(`❌ OI snapshot failed for ${ticker} page ${page + 1}:`, error.message);
+      break;
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Take today's OI snapshot for the given underlyings
+ */
+async function runOISnapshot(tickers = getSnapshotTickers(), date = getEasternDateString()) {
+  const apiKey = getApiKey();
+  if (!apiKey) {
+    console.warn('⚠️ OI snapshot skipped - MASSIVE_API_KEY / POLYGON_API_KEY not set');
+    return 0;
+  }
+  if (isSnapshotRunning) {
+    return 0;
+  }
+
+  isSnapshotRunning = true;
+  const store = getOIStore();
+  let total = 0;
+
+  try {
+    console.log(`📸 Taking OI snapshot for ${tickers.length} underlyings (${date})...`);
+    // One underlying at a time keeps us well under the API rate limit
+    for (const ticker of tickers) {
+      const rows = await fetchTickerOI(ticker, date, apiKey);
+      await store.upsertMany(rows);
+      total += rows.length;
+    }
+
+    const removed = await store.applyRetention({ maxAgeDays: OI_RETENTION_DAYS });
+    lastSnapshotDate = date;
+    console.log(`✅ OI snapshot stored ${total} contracts for ${date}${removed ? ` (${removed} old rows removed)` : ''}`);
+  } catch (error) {
+    console.error('❌ OI snapshot error:', error.message);
+  } finally {
+    isSnapshotRunning = false;
+  }
+
+  return total;
+}
+
+/**
+ * Is today's snapshot due? Weekdays after OI_SNAPSHOT_TIME (ET, default 17:15)
+ */
+function isSnapshotDue(now = new Date()) {
+  const etTime = new Date(now.toLocaleString('en-US', { timeZone: 'America/New_York' }));
+  const day = etTime.getDay();
+  if (day === 0 || day === 6) {
+    return false;
+  }
+
+  const [hours, minutes] = (process.env.OI_SNAPSHOT_TIME || '17:15').split(':').map(n => parseInt(n) || 0);
+  const minutesNow = etTime.getHours() * 60 + etTime.getMinutes();
+  return minutesNow >= hours * 60 + minutes && lastSnapshotDate !== getEasternDateString(now);
+}
+
+/**
+ * Start the nightly scheduler (no-op if OI_SNAPSHOT_ENABLED=false)
+ */
+function startOISnapshotter() {
+  if (schedulerTimer || process.env.OI_SNAPSHOT_ENABLED === 'false') {
+    return;
+  }
+
+  schedulerTimer = setInterval(() => {
+    if (isSnapshotDue()) {
+      runOISnapshot().catch(error => console.error('❌ OI snapshot error:', error.message));
+    }
+  }, CHECK_INTERVAL);
+
+  console.log(`📸 OI snapshotter scheduled daily after ${process.env.OI_SNAPSHOT_TIME || '17:15'} ET`);
+}
+
+export {
+  toOIRows,
+  runOISnapshot,
+  startOISnapshotter,
+};
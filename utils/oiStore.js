@@ -0,0 +1,259 @@
+/**
+ * Open Interest Store
+ * Per-contract open interest by date, used for day-over-day Opening/Closing detection
+ * and GET /api/options/contracts/:contractId/oi-history.
+ *
+ * Every store implements the same async interface:
+ * - upsertMany(rows): rows are { contract, date (YYYY-MM-DD), oi, underlying }
+ * - getHistory(contract, { from, to }): [{ date, oi }] oldest first
+ * - getPreviousOI(contracts, beforeDate): Map<contract, { date, oi }> from the latest snapshot before the date
+ * - applyRetention({ maxAgeDays }): delete old snapshots, returns number removed
+ */
+
+import { getStorageDriver, getSqliteDb, getSupabaseClient } from './storage.js';
+import { getEasternDateString } from './optionsCalculations.js';
+
+const SUPABASE_TABLE = process.env.SUPABASE_OI_TABLE || 'options_oi';
+const SUPABASE_PAGE_SIZE = 1000;
+const LOOKUP_CHUNK_SIZE = 500; // Contracts per IN (...) lookup
+const PREVIOUS_OI_LOOKBACK_DAYS = 10; // Covers weekends and holidays
+
+let oiStore = null;
+
+function shiftDate(date, days) {
+  const d = new Date(`${date}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// Snapshot dates are ET trading days, so the cutoff is counted from today's ET date
+function getRetentionCutoff(maxAgeDays) {
+  return shiftDate(getEasternDateString(), -maxAgeDays);
+}
+
+function chunk(list, size) {
+  const chunks = [];
+  for (let i = 0; i < list.length; i += size) {
+    chunks.push(list.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * In-memory store (lost on restart)
+ */
+function createMemoryOIStore() {
+  const snapshots = new Map(); // { contract: Map<date, { oi, underlying }> }
+
+  return {
+    driver: 'memory',
+
+    async upsertMany(rows) {
+      rows.forEach(({ contract, date, oi, underlying }) => {
+        if (!snapshots.has(contract)) snapshots.set(contract, new Map());
+        snapshots.get(contract).set(date, { oi, underlying });
+      });
+    },
+
+    async getHistory(contract, { from, to } = {}) {
+      const byDate = snapshots.get(contract) || new Map();
+      return Array.from(byDate.entries())
+        .filter(([date]) => (!from || date >= from) && (!to || date <= to))
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([date, { oi }]) => ({ date, oi }));
+    },
+
+    async getPreviousOI(contracts, beforeDate) {
+      const result = new Map();
+      contracts.forEach(contract => {
+        const dates = Array.from((snapshots.get(contract) || new Map()).keys())
+          .filter(date => date < beforeDate)
+          .sort();
+        const date = dates[dates.length - 1];
+        if (date) {
+          result.set(contract, { date, oi: snapshots.get(contract).get(date).oi });
+        }
+      });
+      return result;
+    },
+
+    async applyRetention({ maxAgeDays } = {}) {
+      if (!maxAgeDays) return 0;
+      const cutoff = getRetentionCutoff(maxAgeDays);
+      let removed = 0;
+      snapshots.forEach((byDate, contract) => {
+        byDate.forEach((_, date) => {
+          if (date < cutoff) {
+            byDate.delete(date);
+            removed++;
+          }
+        });
+        if (byDate.size === 0) snapshots.delete(contract);
+      });
+      return removed;
+    },
+  };
+}
+
+/**
+ * SQLite store (default)
+ */
+function createSqliteOIStore(db = getSqliteDb()) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS options_oi (
+      contract TEXT NOT NULL,
+      date TEXT NOT NULL,
+      oi INTEGER NOT NULL,
+      underlying TEXT,
+      PRIMARY KEY (contract, date)
+    );
+    CREATE INDEX IF NOT EXISTS idx_options_oi_date ON options_oi (date);
+  `);
+
+  const upsertStmt = db.prepare('INSERT OR REPLACE INTO options_oi (contract, date, oi, underlying) VALUES (@contract, @date, @oi, @underlying)');
+  const deleteOlderStmt = db.prepare('DELETE FROM options_oi WHERE date < ?');
+
+  const upsertMany = db.transaction((rows) => {
+    rows.forEach(row => upsertStmt.run({ ...row, underlying: row.underlying || null }));
+  });
+
+  return {
+    driver: 'sqlite',
+
+    async upsertMany(rows) {
+      if (rows.length > 0) {
+        upsertMany(rows);
+      }
+    },
+
+    async getHistory(contract, { from, to } = {}) {
+      const conditions = ['contract = ?'];
+      const params = [contract];
+      if (from) {
+        conditions.push('date >= ?');
+        params.push(from);
+      }
+      if (to) {
+        conditions.push('date <= ?');
+        params.push(to);
+      }
+      return db.prepare(`SELECT date, oi FROM options_oi WHERE ${conditions.join(' AND ')} ORDER BY date ASC`).all(...params);
+    },
+
+    async getPreviousOI(contracts, beforeDate) {
+      const result = new Map();
+      chunk(contracts, LOOKUP_CHUNK_SIZE).forEach(list => {
+        // SQLite returns the row holding MAX(date) for the bare "oi" column
+        const rows = db.prepare(`
+          SELECT contract, oi, MAX(date) AS date FROM options_oi
+          WHERE date < ? AND date >= ? AND contract IN (${list.map(() => '?').join(',')})
+          GROUP BY contract
+        `).all(beforeDate, shiftDate(beforeDate, -PREVIOUS_OI_LOOKBACK_DAYS), ...list);
+        rows.forEach(row => result.set(row.contract, { date: row.date, oi: row.oi }));
+      });
+      return result;
+    },
+
+    async applyRetention({ maxAgeDays } = {}) {
+      if (!maxAgeDays) return 0;
+      return deleteOlderStmt.run(getRetentionCutoff(maxAgeDays)).changes;
+    },
+  };
+}
+
+/**
+ * Supabase/Postgres store
+ * Expects a table:
+ *   create table options_oi (contract text not null, date date not null, oi integer not null, underlying text, primary key (contract, date));
+ *   create index on options_oi (date);
+ */
+function createSupabaseOIStore(client = getSupabaseClient(), table = SUPABASE_TABLE) {
+  const check = ({ error }, action) => {
+    if (error) {
+      throw new Error(`Supabase ${action} failed: ${error.message}`);
+    }
+  };
+
+  return {
+    driver: 'supabase',
+
+    async upsertMany(rows) {
+      for (const list of chunk(rows, SUPABASE_PAGE_SIZE)) {
+        check(await client.from(table).upsert(list, { onConflict: 'contract,date' }), 'OI upsert');
+      }
+    },
+
+    async getHistory(contract, { from, to } = {}) {
+      let request = client.from(table).select('date, oi').eq('contract', contract).order('date', { ascending: true });
+      if (from) request = request.gte('date', from);
+      if (to) request = request.lte('date', to);
+      const result = await request;
+      check(result, 'OI history');
+      return result.data || [];
+    },
+
+    async getPreviousOI(contracts, beforeDate) {
+      const result = new Map();
+      for (const list of chunk(contracts, 100)) {
+        const response = await client.from(table)
+          .select('contract, date, oi')
+          .in('contract', list)
+          .lt('date', beforeDate)
+          .gte('date', shiftDate(beforeDate, -PREVIOUS_OI_LOOKBACK_DAYS))
+          .order('date', { ascending: false });
+        check(response, 'previous OI');
+        // Newest first - keep the first row seen per contract
+        (response.data || []).forEach(row => {
+          if (!result.has(row.contract)) {
+            result.set(row.contract, { date: row.date, oi: row.oi });
+          }
+        });
+      }
+      return result;
+    },
+
+    async applyRetention({ maxAgeDays } = {}) {
+      if (!maxAgeDays) return 0;
+      const result = await client.from(table).delete({ count: 'exact' })
+        .lt('date', getRetentionCutoff(maxAgeDays));
+      check(result, 'OI retention');
+      return result.count || 0;
+    },
+  };
+}
+
+/**
+ * Create an OI store for the given driver (defaults to STORAGE_DRIVER)
+ */
+function createOIStore(driver = getStorageDriver()) {
+  try {
+    if (driver === 'supabase') {
+      return createSupabaseOIStore();
+    }
+    if (driver === 'sqlite') {
+      return createSqliteOIStore();
+    }
+  } catch (error) {
+    console.error(`❌ Failed to open ${driver} OI store, falling back to memory:`, error.message);
+  }
+  return createMemoryOIStore();
+}
+
+/**
+ * Shared OI store
+ */
+function getOIStore() {
+  if (!oiStore) {
+    oiStore = createOIStore();
+    console.log(`💾 Open interest store: ${oiStore.driver}`);
+  }
+  return oiStore;
+}
+
+export {
+  createOIStore,
+  createMemoryOIStore,
+  createSqliteOIStore,
+  createSupabaseOIStore,
+  getOIStore,
+};
@@ -375,8 +375,18 @@ function classifyTradeType(trade, recentTrades) {
 
 /**
  * BUG #9 FIX: Classify volume correctly
+ * With a volume z-score (see utils/volumeBaseline.js) the label is relative to the contract's
+ * own average day; without one it falls back to absolute contract counts.
  */
-function classifyVolume(volume) {
+function classifyVolume(volume, volumeZScore = null) {
+  if (Number.isFinite(volumeZScore)) {
+    if (volumeZScore >= 4) return { label: 'Massive', isGood: true, score: 10 };
+    if (volumeZScore >= 3) return { label: 'High', isGood: true, score: 8 };
+    if (volumeZScore >= 2) return { label: 'Elevated', isGood: true, score: 6 };
+    if (volumeZScore >= 0) return { label: 'Normal', isGood: true, score: 4 };
+    if (volumeZScore >= -1) return { label: 'Low', isGood: false, score: 2 };
+    return { label: 'Tiny', isGood: false, score: 0 };
+  }
   if (volume >= 5000) {
     return { label: 'Massive', isGood: true, score: 10 };
   }
@@ -493,8 +503,29 @@ function calculateSetupScore(trade) {
   const gexPosition = trade.gexPosition || 'unknown';
   
   // 1. VOLUME SCORE (0-3 points)
-  // Scale: 0 → 0pts, 5000 → 1.5pts, 10000 → 2.5pts, 15000+ → 3pts
-  if (volume >= 15000) {
+  // Relative to the contract's baseline when trade.volumeZScore is known: z 1 → 0.75pts, 2 → 1.5pts, 3 → 2.5pts, 4+ → 3pts
+  // Otherwise absolute: 0 → 0pts, 5000 → 1.5pts, 10000 → 2.5pts, 15000+ → 3pts
+  const volumeZScore = trade.volumeZScore;
+  if (Number.isFinite(volumeZScore)) {
+    if (volumeZScore >= 4) {
+      score += 3.0;
+      reasons.push(`Massive volume for this contract (z ${volumeZScore.toFixed(1)})`);
+    } else if (volumeZScore >= 3) {
+      score += 2.5;
+      reasons.push(`Very high volume for this contract (z ${volumeZScore.toFixed(1)})`);
+    } else if (volumeZScore >= 2) {
+      score += 1.5;
+      reasons.push(`High volume for this contract (z ${volumeZScore.toFixed(1)})`);
+    } else if (volumeZScore >= 1) {
+      score += 0.75;
+      reasons.push(`Above-average volume (z ${volumeZScore.toFixed(1)})`);
+    } else if (volumeZScore > 0) {
+      score += volumeZScore * 0.75;
+      reasons.push(`Volume z-score: ${volumeZScore.toFixed(1)}`);
+    } else {
+      reasons.push(`Volume at or below average (z ${volumeZScore.toFixed(1)})`);
+    }
+  } else if (volume >= 15000) {
     score += 3.0;
     reasons.push('Massive volume (15K+)');
   } else if (volume >= 10000) {
@@ -657,6 +688,43 @@ function getMarketStatus() {
   };
 }
 
+// en-CA formats as YYYY-MM-DD (reused - building a formatter per call is slow on large batches)
+const easternDateFormatter = new Intl.DateTimeFormat('en-CA', {
+  timeZone: 'America/New_York',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+});
+
+/**
+ * Get a date (YYYY-MM-DD) in Eastern Time (defaults to today)
+ */
+function getEasternDateString(when = new Date()) {
+  return easternDateFormatter.format(new Date(when));
+}
+
+/**
+ * Get the epoch-ms range covering one trading day in Eastern Time
+ * @param {string} date - YYYY-MM-DD (defaults to today in ET)
+ * @returns {{ date: string, from: number, to: number }}
+ */
+function getTradingDayRange(date = getEasternDateString()) {
+  const [year, month, day] = date.split('-').map(n => parseInt(n));
+
+  // UTC offset of New York at noon that day (handles EST/EDT switch)
+  const noon = new Date(Date.UTC(year, month - 1, day, 12));
+  const etNoon = new Date(noon.toLocaleString('en-US', { timeZone: 'America/New_York' }));
+  const utcNoon = new Date(noon.toLocaleString('en-US', { timeZone: 'UTC' }));
+  const offsetMs = utcNoon.getTime() - etNoon.getTime();
+
+  const from = Date.UTC(year, month - 1, day) + offsetMs;
+  return {
+    date,
+    from,
+    to: from + 24 * 60 * 60 * 1000 - 1,
+  };
+}
+
 export {
   parseOptionSymbol,
   getSpotPrice,
@@ -670,6 +738,9 @@ export {
   detectOpeningClosing,
   calculateSetupScore,
   getMarketStatus,
+  getEasternDateString,
+  getTradingDayRange,
   recentTradesMap,
+  SWEEP_WINDOW_MS,
 };
 
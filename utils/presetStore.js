@@ -0,0 +1,197 @@
+/**
+ * Filter Preset Store
+ * Named flow filter presets per owner (a hash of the caller's API key), used by
+ * /api/presets, `preset=<name>` on the flow and live scanner endpoints and /ws subscriptions.
+ *
+ * Every store implements the same async interface:
+ * - list(owner): [{ name, description, filters, createdAt, updatedAt }] sorted by name
+ * - get(owner, name): preset or null
+ * - upsert(owner, { name, description, filters }): saved preset (createdAt kept on update)
+ * - remove(owner, name): true if a preset was deleted
+ */
+
+import { getStorageDriver, getSqliteDb, getSupabaseClient } from './storage.js';
+
+const SUPABASE_TABLE = process.env.SUPABASE_PRESETS_TABLE || 'filter_presets';
+
+let presetStore = null;
+
+/**
+ * In-memory store (lost on restart)
+ */
+function createMemoryPresetStore() {
+  const presets = new Map(); // { owner: Map<name, preset> }
+
+  return {
+    driver: 'memory',
+
+    async list(owner) {
+      return Array.from((presets.get(owner) || new Map()).values())
+        .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    async get(owner, name) {
+      return presets.get(owner)?.get(name) || null;
+    },
+
+    async upsert(owner, { name, description = null, filters }) {
+      if (!presets.has(owner)) presets.set(owner, new Map());
+      const now = new Date().toISOString();
+      const existing = presets.get(owner).get(name);
+      const preset = { name, description, filters, createdAt: existing?.createdAt || now, updatedAt: now };
+      presets.get(owner).set(name, preset);
+      return preset;
+    },
+
+    async remove(owner, name) {
+      return presets.get(owner)?.delete(name) || false;
+    },
+  };
+}
+
+/**
+ * SQLite store (default)
+ */
+function createSqlitePresetStore(db = getSqliteDb()) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS filter_presets (
+      owner TEXT NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT,
+      filters TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (owner, name)
+    );
+  `);
+
+  const listStmt = db.prepare('SELECT * FROM filter_presets WHERE owner = ? ORDER BY name ASC');
+  const getStmt = db.prepare('SELECT * FROM filter_presets WHERE owner = ? AND name = ?');
+  const upsertStmt = db.prepare(`
+    INSERT INTO filter_presets (owner, name, description, filters, created_at, updated_at)
+    VALUES (@owner, @name, @description, @filters, @now, @now)
+    ON CONFLICT (owner, name) DO UPDATE SET
+      description = excluded.description, filters = excluded.filters, updated_at = excluded.updated_at
+  `);
+  const deleteStmt = db.prepare('DELETE FROM filter_presets WHERE owner = ? AND name = ?');
+
+  const fromRow = row => ({
+    name: row.name,
+    description: row.description,
+    filters: JSON.parse(row.filters),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  });
+
+  return {
+    driver: 'sqlite',
+
+    async list(owner) {
+      return listStmt.all(owner).map(fromRow);
+    },
+
+    async get(owner, name) {
+      const row = getStmt.get(owner, name);
+      return row ? fromRow(row) : null;
+    },
+
+    async upsert(owner, { name, description = null, filters }) {
+      upsertStmt.run({ owner, name, description, filters: JSON.stringify(filters), now: new Date().toISOString() });
+      return fromRow(getStmt.get(owner, name));
+    },
+
+    async remove(owner, name) {
+      return deleteStmt.run(owner, name).changes > 0;
+    },
+  };
+}
+
+/**
+ * Supabase/Postgres store
+ * Expects a table:
+ *   create table filter_presets (owner text not null, name text not null, description text, filters jsonb not null,
+ *     created_at timestamptz not null default now(), updated_at timestamptz not null default now(), primary key (owner, name));
+ */
+function createSupabasePresetStore(client = getSupabaseClient(), table = SUPABASE_TABLE) {
+  const check = ({ error }, action) => {
+    if (error) {
+      throw new Error(`Supabase ${action} failed: ${error.message}`);
+    }
+  };
+
+  const fromRow = row => ({
+    name: row.name,
+    description: row.description,
+    filters: row.filters,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  });
+
+  return {
+    driver: 'supabase',
+
+    async list(owner) {
+      const result = await client.from(table).select('*').eq('owner', owner).order('name', { ascending: true });
+      check(result, 'preset list');
+      return (result.data || []).map(fromRow);
+    },
+
+    async get(owner, name) {
+      const result = await client.from(table).select('*').eq('owner', owner).eq('name', name).maybeSingle();
+      check(result, 'preset lookup');
+      return result.data ? fromRow(result.data) : null;
+    },
+
+    async upsert(owner, { name, description = null, filters }) {
+      // created_at is left to the column default so updates keep the original value
+      const result = await client.from(table)
+        .upsert({ owner, name, description, filters, updated_at: new Date().toISOString() }, { onConflict: 'owner,name' })
+        .select()
+        .single();
+      check(result, 'preset upsert');
+      return fromRow(result.data);
+    },
+
+    async remove(owner, name) {
+      const result = await client.from(table).delete({ count: 'exact' }).eq('owner', owner).eq('name', name);
+      check(result, 'preset delete');
+      return (result.count || 0) > 0;
+    },
+  };
+}
+
+/**
+ * Create a preset store for the given driver (defaults to STORAGE_DRIVER)
+ */
+function createPresetStore(driver = getStorageDriver()) {
+  try {
+    if (driver === 'supabase') {
+      return createSupabasePresetStore();
+    }
+    if (driver === 'sqlite') {
+      return createSqlitePresetStore();
+    }
+  } catch (error) {
+    console.error(`❌ Failed to open ${driver} preset store, falling back to memory:`, error.message);
+  }
+  return createMemoryPresetStore();
+}
+
+/**
+ * Shared preset store
+ */
+function getPresetStore() {
+  if (!presetStore) {
+    presetStore = createPresetStore();
+    console.log(`💾 Filter preset store: ${presetStore.driver}`);
+  }
+  return presetStore;
+}
+
+export {
+  createPresetStore,
+  createMemoryPresetStore,
+  createSqlitePresetStore,
+  createSupabasePresetStore,
+  getPresetStore,
+};
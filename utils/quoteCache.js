@@ -0,0 +1,110 @@
+/**
+ * NBBO Quote Cache
+ * Keeps recent option quotes from the Q.O:* WebSocket feed so trades can be
+ * classified against the bid/ask that was live when they printed.
+ *
+ * Quotes are keyed by option symbol (e.g. "O:SPY241115C00585000") and each
+ * symbol keeps a short, time-ordered history of NBBO updates.
+ */
+
+// Max option symbols tracked at once (least recently quoted are evicted first)
+const MAX_SYMBOLS = parseInt(process.env.QUOTE_CACHE_MAX_SYMBOLS) || 50000;
+// Quote updates kept per symbol (enough to look back a few seconds on active contracts)
+const HISTORY_PER_SYMBOL = parseInt(process.env.QUOTE_CACHE_HISTORY) || 20;
+// A quote older than this relative to the trade is considered stale
+const MAX_QUOTE_AGE_MS = parseInt(process.env.QUOTE_MAX_AGE_MS) || 60000;
+
+const quoteCache = new Map(); // { symbol: [{ bid, ask, bidSize, askSize, timestamp }] } oldest first
+
+/**
+ * Normalize a quote timestamp to epoch ms (feed may send ms or ns)
+ */
+function toMillis(t) {
+  const value = Number(t);
+  if (!isFinite(value) || value <= 0) {
+    return Date.now();
+  }
+  // Nanosecond timestamps are ~1e18, millisecond timestamps ~1e12
+  return value > 1e15 ? Math.floor(value / 1e6) : value;
+}
+
+/**
+ * Record a quote event from the options WebSocket
+ * Massive.com quote fields: sym, bp (bid), ap (ask), bs/as (sizes), t (timestamp)
+ */
+function recordQuote(message) {
+  const symbol = message?.sym;
+  const bid = Number(message?.bp);
+  const ask = Number(message?.ap);
+
+  // Ignore one-sided or crossed quotes - they would misclassify trades
+  if (!symbol || !(bid > 0) || !(ask > 0) || bid > ask) {
+    return;
+  }
+
+  const quote = {
+    bid,
+    ask,
+    bidSize: message.bs || 0,
+    askSize: message.as || 0,
+    timestamp: toMillis(message.t),
+  };
+
+  let history = quoteCache.get(symbol);
+  if (history) {
+    // Re-insert so Map order tracks recency for eviction
+    quoteCache.delete(symbol);
+  } else {
+    history = [];
+    if (quoteCache.size >= MAX_SYMBOLS) {
+      quoteCache.delete(quoteCache.keys().next().value);
+    }
+  }
+
+  // Quotes usually arrive in order; keep the list sorted if one arrives late
+  let index = history.length;
+  while (index > 0 && history[index - 1].timestamp > quote.timestamp) {
+    index--;
+  }
+  history.splice(index, 0, quote);
+  if (history.length > HISTORY_PER_SYMBOL) {
+    history.shift();
+  }
+
+  quoteCache.set(symbol, history);
+}
+
+/**
+ * Get the NBBO that was in effect for a symbol at a given time
+ * Returns the latest quote at or before the timestamp, or null if none is fresh enough
+ */
+function getQuoteAt(symbol, timestamp = Date.now()) {
+  const history = quoteCache.get(symbol);
+  if (!history || history.length === 0) {
+    return null;
+  }
+
+  const at = toMillis(timestamp);
+  for (let i = history.length - 1; i >= 0; i--) {
+    const quote = history[i];
+    if (quote.timestamp <= at) {
+      return at - quote.timestamp <= MAX_QUOTE_AGE_MS ? quote : null;
+    }
+  }
+
+  // Trade printed before every cached quote - nothing reliable to compare against
+  return null;
+}
+
+/**
+ * Number of symbols currently cached (for stats/debugging)
+ */
+function getQuoteCacheSize() {
+  return quoteCache.size;
+}
+
+export {
+  recordQuote,
+  getQuoteAt,
+  getQuoteCacheSize,
+};
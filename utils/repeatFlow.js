@@ -0,0 +1,119 @@
+/**
+ * Repeat Flow Detection
+ * Finds contracts (and underlying/side/expiry buckets) that keep getting hit with
+ * large orders inside a time window, for the `repeatFlow` filter.
+ *
+ * Tagged rows get:
+ * - repeatCount / repeatPremium: large orders on the same contract in the window up to this row (inclusive)
+ * - bucketRepeatCount / bucketRepeatPremium: same, for underlying + call/put + buy/sell + expiration
+ * - isRepeatFlow / isBucketRepeatFlow: another large order landed within the window before or after
+ */
+
+import { parsePremium } from './flowFilters.js';
+
+// Window in which repeated orders count as the same campaign
+const REPEAT_FLOW_WINDOW_MINUTES = parseInt(process.env.REPEAT_FLOW_WINDOW_MINUTES) || 30;
+// Only orders at least this large count as hits
+const REPEAT_FLOW_MIN_PREMIUM = parseInt(process.env.REPEAT_FLOW_MIN_PREMIUM) || 25000;
+
+function getAggressor(row) {
+  const side = String(row.side || '');
+  if (side.includes('Ask')) return 'BUY';
+  if (side.includes('Bid')) return 'SELL';
+  return 'MID';
+}
+
+function getContractKey(row) {
+  return row.rawSymbol || `${row.ticker}-${row.expiration}-${row.strike}-${row.type}`;
+}
+
+function getBucketKey(row) {
+  const expiration = String(row.expirationDate || row.expiration).slice(0, 10);
+  return `${row.ticker}|${row.type}|${getAggressor(row)}|${expiration}`;
+}
+
+/**
+ * Read repeat-flow options from query parameters (falls back to env defaults)
+ */
+function getRepeatFlowOptions(query = {}) {
+  const windowMinutes = parseFloat(query.repeatWindow) || REPEAT_FLOW_WINDOW_MINUTES;
+  const minPremium = parseFloat(query.repeatMinPremium) || REPEAT_FLOW_MIN_PREMIUM;
+  return {
+    windowMs: windowMinutes * 60 * 1000,
+    minPremium,
+  };
+}
+
+/**
+ * Tag each row with trailing count / cumulative premium for its group
+ */
+function tagGroups(hits, keyOf, windowMs, fields) {
+  const groups = new Map();
+  hits.forEach(hit => {
+    const key = keyOf(hit.row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(hit);
+  });
+
+  groups.forEach((group) => {
+    let start = 0;
+    let windowPremium = 0;
+
+    group.forEach((hit, index) => {
+      windowPremium += hit.premium;
+      while (hit.time - group[start].time > windowMs) {
+        windowPremium -= group[start].premium;
+        start++;
+      }
+
+      const previous = group[index - 1];
+      const next = group[index + 1];
+      hit.row[fields.count] = index - start + 1;
+      hit.row[fields.premium] = windowPremium;
+      hit.row[fields.flag] = Boolean(
+        (previous && hit.time - previous.time <= windowMs) ||
+        (next && next.time - hit.time <= windowMs)
+      );
+    });
+  });
+}
+
+/**
+ * Tag flow rows in place with repeat-flow fields
+ * @param {Array} rows - flow rows (any order)
+ * @param {Object} options - { windowMs, minPremium }
+ */
+function annotateRepeatFlow(rows, { windowMs, minPremium } = getRepeatFlowOptions()) {
+  const hits = [];
+
+  rows.forEach(row => {
+    if (!row || Array.isArray(row)) return;
+    const premium = row.premiumRaw || parsePremium(row.premium);
+    Object.assign(row, {
+      repeatCount: 0,
+      repeatPremium: 0,
+      isRepeatFlow: false,
+      bucketRepeatCount: 0,
+      bucketRepeatPremium: 0,
+      isBucketRepeatFlow: false,
+    });
+    if (premium >= minPremium) {
+      hits.push({ row, premium, time: new Date(row.timestamp).getTime() || 0 });
+    }
+  });
+
+  // Oldest first so counts accumulate through the session
+  hits.sort((a, b) => a.time - b.time);
+
+  tagGroups(hits, getContractKey, windowMs, { count: 'repeatCount', premium: 'repeatPremium', flag: 'isRepeatFlow' });
+  tagGroups(hits, getBucketKey, windowMs, { count: 'bucketRepeatCount', premium: 'bucketRepeatPremium', flag: 'isBucketRepeatFlow' });
+
+  return rows;
+}
+
+export {
+  REPEAT_FLOW_WINDOW_MINUTES,
+  REPEAT_FLOW_MIN_PREMIUM,
+  getRepeatFlowOptions,
+  annotateRepeatFlow,
+};
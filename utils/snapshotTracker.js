@@ -0,0 +1,96 @@
+/**
+ * Snapshot Change Tracker
+ * The REST snapshot returns cumulative day volume and the last print for every contract on
+ * every refresh. This remembers what was last seen per contract so processContracts only
+ * emits a flow row when something actually traded, sized by the volume delta.
+ *
+ * State is kept per ET trading day and seeded from the rows already stored for the session,
+ * so a restart does not replay the whole day as new flow.
+ */
+
+import { getEasternDateString, getTradingDayRange } from './optionsCalculations.js';
+
+const snapshotState = new Map(); // { symbol: { volume, lastTradeTimestamp } }
+let stateDate = null;
+let seeding = null; // Promise while today's state is being loaded from the store
+
+/**
+ * Make sure the tracker holds state for the given ET date
+ * @param {string} date - YYYY-MM-DD
+ * @param {Function} loadRows - async () => flow rows stored for that session
+ */
+async function ensureSnapshotState(date, loadRows) {
+  if (stateDate === date) {
+    return seeding;
+  }
+
+  stateDate = date;
+  snapshotState.clear();
+  seeding = loadRows()
+    .then((rows) => {
+      // Newest first from the store - keep the first snapshot row seen per contract
+      rows.forEach((row) => {
+        if (row?.source !== 'snapshot' || !row.rawSymbol || snapshotState.has(row.rawSymbol)) return;
+        snapshotState.set(row.rawSymbol, {
+          volume: row.volume || 0,
+          lastTradeTimestamp: row.lastTradeTimestamp || null,
+        });
+      });
+      console.log(`🔁 Snapshot tracker seeded ${snapshotState.size} contracts for ${date}`);
+    })
+    .catch((error) => {
+      console.error('❌ Snapshot tracker seed error:', error.message);
+    });
+
+  return seeding;
+}
+
+/**
+ * Compare a contract's snapshot with the previous one and remember it
+ * @param {string} symbol - option symbol (e.g. "O:SPY251219C00150000")
+ * @param {Object} snapshot - { volume, lastTradeTimestamp (ms), lastTradeSize }
+ * @returns {number} contracts traded since the previous snapshot (0 = unchanged, skip)
+ */
+function getSnapshotChange(symbol, { volume = 0, lastTradeTimestamp = null, lastTradeSize = 0 }) {
+  const previous = snapshotState.get(symbol);
+  let size = 0;
+  let accountedVolume = volume;
+
+  if (!previous) {
+    // First sighting: the day volume is cumulative, so only today's last print counts as new
+    const printedToday = lastTradeTimestamp && stateDate && lastTradeTimestamp >= getTradingDayRange(stateDate).from;
+    size = printedToday ? lastTradeSize || 0 : 0;
+  } else if (volume > previous.volume) {
+    size = volume - previous.volume;
+  } else if (lastTradeTimestamp && lastTradeTimestamp !== previous.lastTradeTimestamp) {
+    // New print but the volume field has not caught up yet - count it now, not again when it does
+    size = lastTradeSize || 0;
+    accountedVolume = previous.volume + size;
+  } else {
+    accountedVolume = previous.volume;
+  }
+
+  snapshotState.set(symbol, { volume: accountedVolume, lastTradeTimestamp });
+  return size;
+}
+
+/**
+ * Day volume of a contract as of the last snapshot today (null if it has not been seen today)
+ */
+function getSnapshotVolume(symbol) {
+  if (stateDate !== getEasternDateString()) {
+    return null;
+  }
+  return snapshotState.get(symbol)?.volume ?? null;
+}
+
+function getSnapshotStateSize() {
+  return snapshotState.size;
+}
+
+export {
+  ensureSnapshotState,
+  getSnapshotChange,
+  getSnapshotVolume,
+  getSnapshotStateSize,
+};
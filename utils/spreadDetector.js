@@ -0,0 +1,257 @@
+/**
+ * Multi-Leg / Spread Detector
+ * Pairs option prints on the same underlying that were reported as parts of one
+ * multi-leg order (OPRA condition codes) and labels the strategy they form.
+ *
+ * Tagged rows get:
+ * - isComplex: print carries a multi-leg / stock-tied condition code
+ * - isSpread, legGroupId, legCount, strategy: print was matched with its other legs
+ * - spreadPremium, spreadOpeningClosing: totals for the whole group
+ */
+
+// Multi-leg condition codes (auto-electronic, auction, cross, floor, against single legs, proprietary)
+const MULTI_LEG_CONDITIONS = new Set([232, 233, 234, 235, 236, 238, 239, 246]);
+// Stock-tied option legs (option traded together with the underlying)
+const STOCK_TIED_CONDITIONS = new Set([237, 240, 241, 242, 243, 244, 245]);
+
+// Legs of one order are reported together; allow a little feed jitter
+const SPREAD_WINDOW_MS = parseInt(process.env.SPREAD_WINDOW_MS) || 250;
+
+/**
+ * Check whether a print was reported as part of a multi-leg order
+ */
+function isMultiLegPrint(row) {
+  const conditions = Array.isArray(row?.conditions) ? row.conditions : [];
+  return conditions.some(code => MULTI_LEG_CONDITIONS.has(Number(code)) || STOCK_TIED_CONDITIONS.has(Number(code)));
+}
+
+/**
+ * Time the leg printed (REST rows carry the snapshot's last trade time)
+ */
+function getLegTime(row) {
+  return row.lastTradeTimestamp || new Date(row.timestamp).getTime();
+}
+
+function getLegExpiration(row) {
+  return String(row.expirationDate || row.expiration).slice(0, 10);
+}
+
+function getLegAggressor(row) {
+  const side = String(row.side || '');
+  if (side.includes('Ask')) return 'buyer';
+  if (side.includes('Bid')) return 'seller';
+  return 'neutral';
+}
+
+/**
+ * Legs of one order trade in small whole ratios (1:1, 1:2:1)
+ */
+function hasMatchingSizes(legs) {
+  const sizes = legs.map(leg => Number(leg.size) || 0);
+  const base = Math.min(...sizes);
+  return base > 0 && sizes.every(size => size % base === 0 && size / base <= 2);
+}
+
+/**
+ * Label the strategy formed by a set of legs
+ */
+function classifyStrategy(legs) {
+  const sorted = [...legs].sort((a, b) => a.strike - b.strike);
+  const types = new Set(sorted.map(leg => leg.type));
+  const expirations = new Set(sorted.map(getLegExpiration));
+  const strikes = sorted.map(leg => Number(leg.strike));
+  const sameExpiration = expirations.size === 1;
+
+  if (sorted.length === 2) {
+    const [low, high] = sorted;
+
+    if (!sameExpiration) {
+      if (low.type !== high.type) return 'Complex';
+      return strikes[0] === strikes[1] ? 'Calendar' : 'Diagonal';
+    }
+    if (low.type === high.type) {
+      return strikes[0] !== strikes[1] ? 'Vertical' : 'Complex';
+    }
+    if (strikes[0] === strikes[1]) {
+      return 'Straddle';
+    }
+    // Call and put at different strikes: bought one / sold the other is a risk reversal
+    const aggressors = new Set(sorted.map(getLegAggressor));
+    return aggressors.has('buyer') && aggressors.has('seller') ? 'Risk Reversal' : 'Strangle';
+  }
+
+  if (sorted.length === 3 && sameExpiration && types.size === 1) {
+    const [low, mid, high] = sorted;
+    const evenlySpaced = mid.strike - low.strike === high.strike - mid.strike && mid.strike > low.strike;
+    if (evenlySpaced && mid.size === low.size * 2 && low.size === high.size) {
+      return 'Butterfly';
+    }
+  }
+
+  if (sorted.length === 4 && sameExpiration) {
+    if (types.size === 2) {
+      return strikes[1] === strikes[2] ? 'Iron Butterfly' : 'Iron Condor';
+    }
+    return 'Condor';
+  }
+
+  return 'Complex';
+}
+
+/**
+ * Split multi-leg prints into order groups
+ * Prints on the same underlying within SPREAD_WINDOW_MS of the first leg, one per contract
+ */
+function groupLegs(rows, windowMs = SPREAD_WINDOW_MS) {
+  const byTicker = new Map();
+  rows.filter(isMultiLegPrint).forEach(row => {
+    if (!byTicker.has(row.ticker)) byTicker.set(row.ticker, []);
+    byTicker.get(row.ticker).push(row);
+  });
+
+  const groups = [];
+  byTicker.forEach((tickerRows) => {
+    tickerRows.sort((a, b) => getLegTime(a) - getLegTime(b));
+
+    let current = [];
+    const close = () => {
+      if (current.length > 0) groups.push(current);
+      current = [];
+    };
+
+    tickerRows.forEach(row => {
+      const start = current.length > 0 ? getLegTime(current[0]) : null;
+      const sameContract = current.some(leg => leg.rawSymbol === row.rawSymbol);
+      if (start !== null && (getLegTime(row) - start > windowMs || sameContract)) {
+        close();
+      }
+      current.push(row);
+    });
+    close();
+  });
+
+  return groups;
+}
+
+/**
+ * Four same-expiration legs of one order (condor, iron condor, iron butterfly) buy the outer
+ * strikes and sell the inner ones, or the reverse. Legs without a known side are not checked.
+ */
+function hasOrderShape(legs) {
+  if (legs.length !== 4 || new Set(legs.map(getLegExpiration)).size !== 1) return true;
+  const sides = [...legs].sort((a, b) => a.strike - b.strike).map(getLegAggressor);
+  if (sides.includes('neutral')) return true;
+  return sides[0] === sides[3] && sides[1] === sides[2] && sides[0] !== sides[1];
+}
+
+/**
+ * Split a window group that holds more than one order: legs whose sizes are not in a small
+ * whole ratio of each other belong to different orders, and four legs without an order shape
+ * are two 2-leg orders (split in print order)
+ */
+function splitOrders(legs) {
+  const sizeOf = leg => Number(leg.size) || 0;
+  const orders = [];
+  let rest = legs;
+  while (rest.length > 0) {
+    const base = Math.min(...rest.map(sizeOf));
+    const fits = leg => (base > 0 ? sizeOf(leg) % base === 0 && sizeOf(leg) / base <= 2 : sizeOf(leg) === 0);
+    orders.push(rest.filter(fits));
+    rest = rest.filter(leg => !fits(leg));
+  }
+
+  return orders.flatMap(order => (hasOrderShape(order) ? [order] : [order.slice(0, 2), order.slice(2)]));
+}
+
+/**
+ * Tag rows in place with complex/spread fields
+ * Returns the groups that were matched as spreads
+ */
+function tagSpreads(rows, windowMs = SPREAD_WINDOW_MS) {
+  rows.forEach(row => {
+    row.isComplex = isMultiLegPrint(row);
+    row.isSpread = false;
+  });
+
+  const spreads = groupLegs(rows, windowMs)
+    .flatMap(splitOrders)
+    .filter(legs => legs.length >= 2 && hasMatchingSizes(legs));
+
+  spreads.forEach(legs => {
+    const first = legs[0];
+    const legGroupId = `LEG-${first.ticker}-${getLegTime(first)}-${legs.length}`;
+    const strategy = classifyStrategy(legs);
+    const spreadPremium = legs.reduce((sum, leg) => sum + (leg.premiumRaw || 0), 0);
+    // Opening spread only if every leg is opening new positions
+    const spreadOpeningClosing = legs.every(leg => leg.openingClosing === 'Opening') ? 'Opening' : '';
+
+    legs.forEach(leg => {
+      Object.assign(leg, {
+        isSpread: true,
+        legGroupId,
+        legCount: legs.length,
+        strategy,
+        spreadPremium,
+        spreadOpeningClosing,
+      });
+    });
+  });
+
+  return spreads;
+}
+
+/**
+ * Streaming detector for live prints
+ * Multi-leg prints are held for the spread window so their other legs can arrive,
+ * then released (tagged) through onRows. Other prints pass straight through.
+ */
+function createSpreadDetector({ windowMs = SPREAD_WINDOW_MS, onRows }) {
+  const pending = new Map(); // { ticker: { rows: [], timer } }
+
+  const flush = (ticker) => {
+    const entry = pending.get(ticker);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    pending.delete(ticker);
+
+    tagSpreads(entry.rows, windowMs);
+    Promise.resolve(onRows(entry.rows)).catch((error) => {
+      console.error('❌ Spread detector callback error:', error.message);
+    });
+  };
+
+  return {
+    add(row) {
+      if (!isMultiLegPrint(row)) {
+        tagSpreads([row], windowMs);
+        return Promise.resolve(onRows([row]));
+      }
+
+      const entry = pending.get(row.ticker);
+      if (entry) {
+        entry.rows.push(row);
+      } else {
+        pending.set(row.ticker, {
+          rows: [row],
+          timer: setTimeout(() => flush(row.ticker), windowMs + 100),
+        });
+      }
+      return Promise.resolve();
+    },
+
+    flushAll() {
+      Array.from(pending.keys()).forEach(flush);
+    },
+  };
+}
+
+export {
+  MULTI_LEG_CONDITIONS,
+  STOCK_TIED_CONDITIONS,
+  isMultiLegPrint,
+  classifyStrategy,
+  groupLegs,
+  splitOrders,
+  tagSpreads,
+  createSpreadDetector,
+};
@@ -0,0 +1,182 @@
+/**
+ * Short Sale Restriction (SSR) Tracker
+ * Rule 201: once a stock trades 10% or more below the prior day's close, SSR is on
+ * for the rest of that day and the whole next trading day.
+ *
+ * Status is derived from Massive.com daily bars (/v2/aggs, same source as getSpotPrice):
+ * - triggered: today's low is at or below 90% of the prior close
+ * - carryover: the rule was triggered on the previous trading day
+ * - none: not restricted
+ * - n/a: index underlyings (no short sale rule)
+ * - unknown: no bar data (yet)
+ */
+
+import axios from 'axios';
+import { getEasternDateString } from './optionsCalculations.js';
+import { getTickerInfo } from './tickerReference.js';
+
+const MASSIVE_API_BASE = 'https://api.massive.com';
+const SSR_DROP_THRESHOLD = 0.10; // 10% below prior close
+const TODAY_TTL = 5 * 60 * 1000; // Intraday low keeps moving - refresh today's status every 5 minutes
+const LOOKBACK_DAYS = 10; // Calendar days of bars fetched (covers weekends and holidays)
+const FETCHES_PER_CALL = 25; // Lookups awaited per annotate call, the rest load in background
+
+const ssrCache = new Map(); // { "TICKER|YYYY-MM-DD": { state, timestamp } }
+const pendingLookups = new Map(); // { "TICKER|YYYY-MM-DD": Promise }
+
+function getApiKey() {
+  return process.env.MASSIVE_API_KEY || process.env.POLYGON_API_KEY;
+}
+
+function shiftDate(date, days) {
+  const d = new Date(`${date}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Work out SSR state for a date from daily bars ({ date, c, l } oldest first)
+ */
+function computeSSRState(ticker, date, bars) {
+  const index = bars.findIndex(bar => bar.date === date);
+  const base = { ticker, date, ssr: false, status: 'unknown', priorClose: null, low: null, threshold: null, dropPercent: null };
+
+  // No bar for the date yet (pre-market / holiday): only carryover can apply
+  const dayIndex = index === -1 ? bars.filter(bar => bar.date < date).length : index;
+  const triggeredOn = (i) => i >= 1 && bars[i].l <= bars[i - 1].c * (1 - SSR_DROP_THRESHOLD);
+
+  if (dayIndex >= 1) {
+    const priorClose = bars[dayIndex - 1].c;
+    base.priorClose = priorClose;
+    base.threshold = parseFloat((priorClose * (1 - SSR_DROP_THRESHOLD)).toFixed(4));
+    base.status = 'none';
+  }
+
+  if (index >= 1) {
+    const low = bars[index].l;
+    base.low = low;
+    base.dropPercent = parseFloat((((low - base.priorClose) / base.priorClose) * 100).toFixed(2));
+    if (triggeredOn(index)) {
+      return { ...base, ssr: true, status: 'triggered' };
+    }
+  }
+
+  if (triggeredOn(dayIndex - 1)) {
+    return { ...base, ssr: true, status: 'carryover', triggeredOn: bars[dayIndex - 1].date };
+  }
+
+  return base;
+}
+
+/**
+ * Fetch daily bars and compute SSR state for one ticker/date
+ */
+async function loadSSRState(ticker, date) {
+  const key = `${ticker}|${date}`;
+  if (pendingLookups.has(key)) {
+    return pendingLookups.get(key);
+  }
+
+  const request = axios.get(
+    `${MASSIVE_API_BASE}/v2/aggs/ticker/${encodeURIComponent(ticker)}/range/1/day/${shiftDate(date, -LOOKBACK_DAYS)}/${date}`,
+    {
+      params: { adjusted: true, sort: 'asc', limit: 50, apiKey: getApiKey() },
+      timeout: 10000,
+    }
+  )
+    .then((response) => {
+      const bars = (response.data?.results || []).map(bar => ({
+        date: getEasternDateString(bar.t),
+        c: bar.c,
+        l: bar.l,
+      }));
+      const state = computeSSRState(ticker, date, bars);
+      ssrCache.set(key, { state, timestamp: Date.now() });
+      return state;
+    })
+    .catch((error) => {
+      if (error.response?.status !== 429 && error.response?.status !== 404) {
+        console.error(`❌ SSR lookup failed for ${ticker}:`, error.message);
+      }
+      // Keep serving the last known state if we have one
+      return ssrCache.get(key)?.state || computeSSRState(ticker, date, []);
+    })
+    .finally(() => {
+      pendingLookups.delete(key);
+    });
+
+  pendingLookups.set(key, request);
+  return request;
+}
+
+/**
+ * Get SSR state for a ticker on a date (defaults to today in ET)
+ */
+async function getSSRState(ticker, date = getEasternDateString()) {
+  const symbol = String(ticker || '').replace(/^I:/, '').toUpperCase();
+  if (getTickerInfo(symbol).assetType === 'INDEX') {
+    return { ticker: symbol, date, ssr: false, status: 'n/a' };
+  }
+
+  const cached = ssrCache.get(`${symbol}|${date}`);
+  const isPastDate = date < getEasternDateString();
+  if (cached && (isPastDate || Date.now() - cached.timestamp < TODAY_TTL)) {
+    return cached.state;
+  }
+  if (!getApiKey()) {
+    return computeSSRState(symbol, date, []);
+  }
+  return loadSSRState(symbol, date);
+}
+
+/**
+ * Tag rows in place with ssr / ssrStatus for the day each row traded
+ * @param {Array} rows - flow rows (ticker) or scanner alerts (symbol)
+ */
+async function annotateSSR(rows) {
+  const list = rows.filter(row => row && !Array.isArray(row));
+  const today = getEasternDateString();
+  const keyOf = (row) => `${String(row.ticker || row.symbol).toUpperCase()}|${row.timestamp ? getEasternDateString(row.timestamp) : today}`;
+
+  const keys = [...new Set(list.map(keyOf))];
+  const states = new Map();
+
+  // Serve cached states right away; wait for a bounded number of fresh lookups
+  const toLoad = [];
+  keys.forEach(key => {
+    const [ticker, date] = key.split('|');
+    const cached = ssrCache.get(key);
+    if (cached) {
+      states.set(key, cached.state);
+      if (date === today && Date.now() - cached.timestamp >= TODAY_TTL && getApiKey()) {
+        loadSSRState(ticker, date); // Refresh in background
+      }
+    } else {
+      toLoad.push(key);
+    }
+  });
+
+  await Promise.all(toLoad.slice(0, FETCHES_PER_CALL).map(async (key) => {
+    const [ticker, date] = key.split('|');
+    states.set(key, await getSSRState(ticker, date));
+  }));
+  toLoad.slice(FETCHES_PER_CALL).forEach(key => {
+    const [ticker, date] = key.split('|');
+    getSSRState(ticker, date);
+  });
+
+  list.forEach(row => {
+    const state = states.get(keyOf(row));
+    row.ssr = Boolean(state?.ssr);
+    row.ssrStatus = state?.status || 'unknown';
+  });
+
+  return rows;
+}
+
+export {
+  SSR_DROP_THRESHOLD,
+  computeSSRState,
+  getSSRState,
+  annotateSSR,
+};
@@ -0,0 +1,92 @@
+/**
+ * Storage Backend Utility
+ * Shared connections for persisted data (options flow, etc.)
+ *
+ * STORAGE_DRIVER:
+ * - sqlite (default): local file at SQLITE_PATH (default: data/sweepalgo.db)
+ * - supabase: Postgres via Supabase (requires SUPABASE_URL + SUPABASE_SERVICE_ROLE_KEY)
+ * - memory: in-process only (data is lost on restart)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { createClient } from '@supabase/supabase-js';
+
+const DEFAULT_SQLITE_PATH = path.join(process.cwd(), 'data', 'sweepalgo.db');
+
+let sqliteDb = null;
+let supabaseClient = null;
+
+/**
+ * Resolve which storage driver to use from environment
+ * Falls back to sqlite if supabase is requested but not configured
+ */
+function getStorageDriver() {
+  const driver = (process.env.STORAGE_DRIVER || 'sqlite').trim().toLowerCase();
+
+  if (driver === 'supabase') {
+    if (!process.env.SUPABASE_URL || !getSupabaseKey()) {
+      console.warn('⚠️ STORAGE_DRIVER=supabase but SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY not set - falling back to sqlite');
+      return 'sqlite';
+    }
+    return 'supabase';
+  }
+
+  if (driver === 'memory') {
+    return 'memory';
+  }
+
+  if (driver !== 'sqlite') {
+    console.warn(`⚠️ Unknown STORAGE_DRIVER "${driver}" - falling back to sqlite`);
+  }
+  return 'sqlite';
+}
+
+function getSupabaseKey() {
+  return process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_KEY;
+}
+
+/**
+ * Get (or open) the shared SQLite database
+ */
+function getSqliteDb() {
+  if (sqliteDb) {
+    return sqliteDb;
+  }
+
+  const filePath = process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH;
+  if (filePath !== ':memory:') {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  sqliteDb = new Database(filePath);
+  // WAL keeps readers (GET /api/options-flow) from blocking the writer (live feed)
+  sqliteDb.pragma('journal_mode = WAL');
+  sqliteDb.pragma('synchronous = NORMAL');
+
+  console.log(`💾 SQLite storage opened at ${filePath}`);
+  return sqliteDb;
+}
+
+/**
+ * Get (or create) the shared Supabase client
+ */
+function getSupabaseClient() {
+  if (supabaseClient) {
+    return supabaseClient;
+  }
+
+  supabaseClient = createClient(process.env.SUPABASE_URL, getSupabaseKey(), {
+    auth: { persistSession: false },
+  });
+
+  console.log(`💾 Supabase storage configured for ${process.env.SUPABASE_URL}`);
+  return supabaseClient;
+}
+
+export {
+  getStorageDriver,
+  getSqliteDb,
+  getSupabaseClient,
+};
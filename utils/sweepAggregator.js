@@ -0,0 +1,98 @@
+/**
+ * Sweep Aggregator
+ * Clusters fills of the same option contract that print within SWEEP_WINDOW_MS
+ * so a sweep across several exchanges becomes one parent row with its child fills.
+ */
+
+import { SWEEP_WINDOW_MS } from './optionsCalculations.js';
+
+/**
+ * Summarize a list of fills (total size, VWAP, premium, exchanges hit)
+ */
+function summarizeFills(fills) {
+  const totalSize = fills.reduce((sum, fill) => sum + fill.size, 0);
+  const notional = fills.reduce((sum, fill) => sum + fill.price * fill.size, 0);
+  const exchanges = [...new Set(fills.map(fill => fill.exchange).filter(x => x !== undefined && x !== null))];
+
+  return {
+    totalSize,
+    vwap: totalSize > 0 ? notional / totalSize : 0,
+    premium: notional * 100, // Price * Contracts * 100
+    exchanges,
+    fillCount: fills.length,
+    firstTimestamp: fills[0].timestamp,
+    lastTimestamp: fills[fills.length - 1].timestamp,
+  };
+}
+
+/**
+ * Create a sweep aggregator
+ * @param {Object} options
+ * @param {number} options.windowMs - Max time between the first and last fill of a cluster
+ * @param {Function} options.onCluster - Called with { symbol, fills, summary, isSweep } when a cluster closes
+ */
+function createSweepAggregator({ windowMs = SWEEP_WINDOW_MS, onCluster }) {
+  const openClusters = new Map(); // { symbol: { fills: [], timer } }
+
+  const flush = (symbol) => {
+    const cluster = openClusters.get(symbol);
+    if (!cluster) {
+      return;
+    }
+    clearTimeout(cluster.timer);
+    openClusters.delete(symbol);
+
+    const fills = cluster.fills.sort((a, b) => a.timestamp - b.timestamp);
+    const summary = summarizeFills(fills);
+
+    // A sweep is the same contract taken across 2+ exchanges inside the window
+    const isSweep = summary.exchanges.length >= 2;
+
+    try {
+      onCluster({ symbol, fills, summary, isSweep });
+    } catch (error) {
+      console.error('❌ Sweep aggregator callback error:', error.message);
+    }
+  };
+
+  return {
+    /**
+     * Add a fill: { symbol, exchange, price, size, timestamp, ... }
+     */
+    addFill(fill) {
+      const cluster = openClusters.get(fill.symbol);
+
+      // Fill falls outside the open cluster's window - close it and start a new one
+      if (cluster && Math.abs(fill.timestamp - cluster.fills[0].timestamp) > windowMs) {
+        flush(fill.symbol);
+      }
+
+      if (openClusters.has(fill.symbol)) {
+        openClusters.get(fill.symbol).fills.push(fill);
+        return;
+      }
+
+      // Wait out the window (plus a little feed latency) before deciding what the cluster is
+      openClusters.set(fill.symbol, {
+        fills: [fill],
+        timer: setTimeout(() => flush(fill.symbol), windowMs + 100),
+      });
+    },
+
+    /**
+     * Close every open cluster immediately
+     */
+    flushAll() {
+      Array.from(openClusters.keys()).forEach(flush);
+    },
+
+    get pendingCount() {
+      return openClusters.size;
+    },
+  };
+}
+
+export {
+  createSweepAggregator,
+  summarizeFills,
+};
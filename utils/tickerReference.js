@@ -0,0 +1,374 @@
+/**
+ * Ticker Reference Utility
+ * Asset type (ETF, INDEX, CS, ADR) and sector for underlyings, used to tag flow rows
+ * and scanner alerts so they can be filtered (nonEtf, assetType, sector) and aggregated.
+ *
+ * Sources, in order:
+ * 1. Bundled fallback list below (major ETFs, indices and large caps - works offline)
+ * 2. Massive.com reference tickers, bulk-loaded by type (ETF/ETN/ADR lists)
+ * 3. Massive.com ticker details per symbol (SIC code -> sector), cached
+ */
+
+import axios from 'axios';
+
+const MASSIVE_API_BASE = 'https://api.massive.com';
+const REFERENCE_TTL = 24 * 60 * 60 * 1000; // Reference data changes rarely
+const MAX_TYPE_PAGES = 10; // 1000 tickers per page
+const DETAILS_PER_CALL = 25; // Per-symbol lookups awaited per annotate call, the rest load in background
+
+// Massive.com reference types -> our asset types
+const TYPE_MAP = {
+  ETF: 'ETF',
+  ETN: 'ETF',
+  ETV: 'ETF',
+  ETS: 'ETF',
+  CS: 'CS',
+  ADRC: 'ADR',
+  ADRP: 'ADR',
+  ADRR: 'ADR',
+  ADRW: 'ADR',
+};
+
+// Bundled fallback: { ticker: [assetType, sector] }
+const FALLBACK_REFERENCE = {
+  // Index options
+  SPX: ['INDEX', 'Broad Market'],
+  SPXW: ['INDEX', 'Broad Market'],
+  XSP: ['INDEX', 'Broad Market'],
+  NDX: ['INDEX', 'Broad Market'],
+  NDXP: ['INDEX', 'Broad Market'],
+  RUT: ['INDEX', 'Broad Market'],
+  DJX: ['INDEX', 'Broad Market'],
+  VIX: ['INDEX', 'Volatility'],
+  // Broad market / volatility ETFs
+  SPY: ['ETF', 'Broad Market'],
+  QQQ: ['ETF', 'Broad Market'],
+  IWM: ['ETF', 'Broad Market'],
+  DIA: ['ETF', 'Broad Market'],
+  VOO: ['ETF', 'Broad Market'],
+  IVV: ['ETF', 'Broad Market'],
+  VTI: ['ETF', 'Broad Market'],
+  RSP: ['ETF', 'Broad Market'],
+  TQQQ: ['ETF', 'Broad Market'],
+  SQQQ: ['ETF', 'Broad Market'],
+  SPXL: ['ETF', 'Broad Market'],
+  SPXS: ['ETF', 'Broad Market'],
+  UVXY: ['ETF', 'Volatility'],
+  VXX: ['ETF', 'Volatility'],
+  SVXY: ['ETF', 'Volatility'],
+  // International
+  EEM: ['ETF', 'International'],
+  EFA: ['ETF', 'International'],
+  FXI: ['ETF', 'International'],
+  KWEB: ['ETF', 'International'],
+  EWZ: ['ETF', 'International'],
+  EWJ: ['ETF', 'International'],
+  // Bonds
+  TLT: ['ETF', 'Bonds'],
+  IEF: ['ETF', 'Bonds'],
+  SHY: ['ETF', 'Bonds'],
+  HYG: ['ETF', 'Bonds'],
+  LQD: ['ETF', 'Bonds'],
+  TMF: ['ETF', 'Bonds'],
+  // Commodities / currencies / crypto
+  GLD: ['ETF', 'Commodities'],
+  SLV: ['ETF', 'Commodities'],
+  GDX: ['ETF', 'Materials'],
+  USO: ['ETF', 'Commodities'],
+  UNG: ['ETF', 'Commodities'],
+  UUP: ['ETF', 'Currencies'],
+  IBIT: ['ETF', 'Crypto'],
+  // Sector ETFs
+  XLK: ['ETF', 'Technology'],
+  SMH: ['ETF', 'Technology'],
+  SOXX: ['ETF', 'Technology'],
+  SOXL: ['ETF', 'Technology'],
+  ARKK: ['ETF', 'Technology'],
+  XLF: ['ETF', 'Financials'],
+  KRE: ['ETF', 'Financials'],
+  XLE: ['ETF', 'Energy'],
+  XOP: ['ETF', 'Energy'],
+  XLV: ['ETF', 'Health Care'],
+  XBI: ['ETF', 'Health Care'],
+  XLI: ['ETF', 'Industrials'],
+  XLY: ['ETF', 'Consumer Discretionary'],
+  XRT: ['ETF', 'Consumer Discretionary'],
+  XLP: ['ETF', 'Consumer Staples'],
+  XLU: ['ETF', 'Utilities'],
+  XLB: ['ETF', 'Materials'],
+  XLRE: ['ETF', 'Real Estate'],
+  XLC: ['ETF', 'Communication Services'],
+  XHB: ['ETF', 'Consumer Discretionary'],
+  // Large caps
+  AAPL: ['CS', 'Technology'],
+  MSFT: ['CS', 'Technology'],
+  NVDA: ['CS', 'Technology'],
+  AMD: ['CS', 'Technology'],
+  AVGO: ['CS', 'Technology'],
+  INTC: ['CS', 'Technology'],
+  MU: ['CS', 'Technology'],
+  ORCL: ['CS', 'Technology'],
+  CRM: ['CS', 'Technology'],
+  ADBE: ['CS', 'Technology'],
+  PLTR: ['CS', 'Technology'],
+  SMCI: ['CS', 'Technology'],
+  GOOGL: ['CS', 'Communication Services'],
+  GOOG: ['CS', 'Communication Services'],
+  META: ['CS', 'Communication Services'],
+  NFLX: ['CS', 'Communication Services'],
+  DIS: ['CS', 'Communication Services'],
+  AMZN: ['CS', 'Consumer Discretionary'],
+  TSLA: ['CS', 'Consumer Discretionary'],
+  HD: ['CS', 'Consumer Discretionary'],
+  NKE: ['CS', 'Consumer Discretionary'],
+  WMT: ['CS', 'Consumer Staples'],
+  COST: ['CS', 'Consumer Staples'],
+  KO: ['CS', 'Consumer Staples'],
+  JPM: ['CS', 'Financials'],
+  BAC: ['CS', 'Financials'],
+  GS: ['CS', 'Financials'],
+  V: ['CS', 'Financials'],
+  COIN: ['CS', 'Financials'],
+  HOOD: ['CS', 'Financials'],
+  XOM: ['CS', 'Energy'],
+  CVX: ['CS', 'Energy'],
+  UNH: ['CS', 'Health Care'],
+  LLY: ['CS', 'Health Care'],
+  PFE: ['CS', 'Health Care'],
+  BA: ['CS', 'Industrials'],
+  CAT: ['CS', 'Industrials'],
+  // ADRs
+  BABA: ['ADR', 'Consumer Discretionary'],
+  PDD: ['ADR', 'Consumer Discretionary'],
+  NIO: ['ADR', 'Consumer Discretionary'],
+  TSM: ['ADR', 'Technology'],
+  ASML: ['ADR', 'Technology'],
+  BIDU: ['ADR', 'Communication Services'],
+};
+
+const typeCache = new Map(); // { ticker: assetType } from bulk reference lists
+const detailsCache = new Map(); // { ticker: { assetType, sector, name, timestamp } }
+const pendingDetails = new Map(); // { ticker: Promise }
+
+let typesLoadedAt = 0;
+let typesLoading = null;
+
+function getApiKey() {
+  return process.env.MASSIVE_API_KEY || process.env.POLYGON_API_KEY;
+}
+
+/**
+ * Map a SIC code to a broad (GICS-style) sector
+ */
+function sicToSector(sicCode) {
+  const sic = parseInt(sicCode);
+  if (!sic) return null;
+
+  if (sic < 1000) return 'Consumer Staples';
+  if (sic >= 1300 && sic < 1400) return 'Energy';
+  if (sic < 1500) return 'Materials';
+  if (sic < 1800) return 'Industrials';
+  if (sic < 2200) return 'Consumer Staples';
+  if (sic < 2400) return 'Consumer Discretionary';
+  if (sic >= 2700 && sic < 2800) return 'Communication Services';
+  if (sic >= 2830 && sic < 2840) return 'Health Care';
+  if (sic >= 2900 && sic < 3000) return 'Energy';
+  if (sic < 3400) return 'Materials';
+  if (sic >= 3570 && sic < 3580) return 'Technology';
+  if (sic < 3600) return 'Industrials';
+  if (sic < 3700) return 'Technology';
+  if (sic >= 3711 && sic <= 3716) return 'Consumer Discretionary';
+  if (sic < 3800) return 'Industrials';
+  if (sic >= 3840 && sic <= 3851) return 'Health Care';
+  if (sic < 3900) return 'Technology';
+  if (sic < 4000) return 'Consumer Discretionary';
+  if (sic < 4800) return 'Industrials';
+  if (sic < 4900) return 'Communication Services';
+  if (sic < 5000) return 'Utilities';
+  if (sic < 5200) return 'Industrials';
+  if (sic >= 5400 && sic < 5500) return 'Consumer Staples';
+  if (sic < 6000) return 'Consumer Discretionary';
+  if (sic === 6798 || (sic >= 6500 && sic < 6600)) return 'Real Estate';
+  if (sic < 7000) return 'Financials';
+  if (sic >= 7370 && sic < 7380) return 'Technology';
+  if (sic >= 7300 && sic < 7400) return 'Industrials';
+  if (sic >= 7800 && sic < 7900) return 'Communication Services';
+  if (sic < 8000) return 'Consumer Discretionary';
+  if (sic < 8100) return 'Health Care';
+  if (sic < 9000) return 'Industrials';
+  return null;
+}
+
+/**
+ * Bulk-load ETF / ETN / ADR lists from Massive.com reference tickers (refreshed daily)
+ */
+async function loadReferenceTypes() {
+  const apiKey = getApiKey();
+  if (!apiKey || Date.now() - typesLoadedAt < REFERENCE_TTL) {
+    return;
+  }
+  if (typesLoading) {
+    return typesLoading;
+  }
+
+  typesLoading = (async () => {
+    let loaded = 0;
+    for (const type of ['ETF', 'ETN', 'ADRC']) {
+      let url = `${MASSIVE_API_BASE}/v3/reference/tickers`;
+      let params = { type, market: 'stocks', active: true, limit: 1000, apiKey };
+
+      for (let page = 0; page < MAX_TYPE_PAGES && url; page++) {
+        const response = await axios.get(url, { params, timeout: 15000 });
+        (response.data?.results || []).forEach(result => {
+          typeCache.set(result.ticker, TYPE_MAP[result.type] || 'OTHER');
+          loaded++;
+        });
+        // next_url already carries the cursor, only the key needs re-adding
+        url = response.data?.next_url || null;
+        params = { apiKey };
+      }
+    }
+    typesLoadedAt = Date.now();
+    console.log(`📚 Loaded ${loaded} ETF/ADR reference tickers from Massive.com`);
+  })()
+    .catch((error) => {
+      console.error('❌ Failed to load reference tickers, using bundled list:', error.message);
+      // Don't retry on every request - try again after an hour
+      typesLoadedAt = Date.now() - REFERENCE_TTL + 60 * 60 * 1000;
+    })
+    .finally(() => {
+      typesLoading = null;
+    });
+
+  return typesLoading;
+}
+
+/**
+ * Load asset type and sector for one ticker from Massive.com ticker details
+ */
+async function loadTickerDetails(ticker) {
+  const apiKey = getApiKey();
+  if (!apiKey) return null;
+
+  if (pendingDetails.has(ticker)) {
+    return pendingDetails.get(ticker);
+  }
+
+  const request = axios.get(`${MASSIVE_API_BASE}/v3/reference/tickers/${encodeURIComponent(ticker)}`, {
+    params: { apiKey },
+    timeout: 10000,
+  })
+    .then((response) => {
+      const result = response.data?.results || {};
+      const info = {
+        assetType: result.market === 'indices' ? 'INDEX' : (TYPE_MAP[result.type] || (result.type ? 'OTHER' : 'UNKNOWN')),
+        sector: sicToSector(result.sic_code),
+        name: result.name || null,
+        timestamp: Date.now(),
+      };
+      detailsCache.set(ticker, info);
+      return info;
+    })
+    .catch((error) => {
+      // Cache misses too (e.g. 404 for index roots) so we don't hammer the API
+      const info = { assetType: 'UNKNOWN', sector: null, name: null, timestamp: Date.now() };
+      detailsCache.set(ticker, info);
+      if (error.response?.status !== 404) {
+        console.error(`❌ Ticker details lookup failed for ${ticker}:`, error.message);
+      }
+      return info;
+    })
+    .finally(() => {
+      pendingDetails.delete(ticker);
+    });
+
+  pendingDetails.set(ticker, request);
+  return request;
+}
+
+/**
+ * Best-known reference info for a ticker (synchronous - uses whatever is loaded)
+ */
+function getTickerInfo(ticker) {
+  const symbol = String(ticker || '').replace(/^I:/, '').toUpperCase();
+
+  const fallback = FALLBACK_REFERENCE[symbol];
+  if (fallback) {
+    return { ticker: symbol, assetType: fallback[0], sector: fallback[1], source: 'bundled' };
+  }
+
+  const details = detailsCache.get(symbol);
+  const bulkType = typeCache.get(symbol);
+  if (details && details.assetType !== 'UNKNOWN') {
+    return { ticker: symbol, assetType: details.assetType, sector: details.sector, source: 'massive' };
+  }
+  if (bulkType) {
+    return { ticker: symbol, assetType: bulkType, sector: details?.sector || null, source: 'massive' };
+  }
+
+  return { ticker: symbol, assetType: 'UNKNOWN', sector: null, source: 'none' };
+}
+
+/**
+ * Make sure reference data for these tickers is loaded (bounded per call)
+ */
+async function ensureTickerInfo(tickers) {
+  await loadReferenceTypes();
+
+  const missing = [...new Set(tickers.map(t => String(t || '').toUpperCase()))]
+    .filter(ticker => ticker && !FALLBACK_REFERENCE[ticker])
+    .filter(ticker => {
+      const cached = detailsCache.get(ticker);
+      return !cached || Date.now() - cached.timestamp > REFERENCE_TTL;
+    });
+
+  // Wait for the first batch, let the rest fill in for the next request
+  const now = missing.slice(0, DETAILS_PER_CALL);
+  missing.slice(DETAILS_PER_CALL).forEach(ticker => loadTickerDetails(ticker));
+  await Promise.all(now.map(ticker => loadTickerDetails(ticker)));
+}
+
+/**
+ * Tag rows in place with assetType / sector / isEtf / isIndex
+ * @param {Array} rows - flow rows (ticker) or scanner alerts (symbol)
+ */
+async function annotateTickerInfo(rows) {
+  const list = rows.filter(row => row && !Array.isArray(row));
+  await ensureTickerInfo(list.map(row => row.ticker || row.symbol));
+
+  list.forEach(row => {
+    const info = getTickerInfo(row.ticker || row.symbol);
+    row.assetType = info.assetType;
+    row.sector = info.sector;
+    row.isEtf = info.assetType === 'ETF';
+    row.isIndex = info.assetType === 'INDEX';
+  });
+
+  return rows;
+}
+
+/**
+ * Sum premium and count rows per asset type and per sector
+ */
+function aggregateByReference(rows) {
+  const summarize = (key) => rows.reduce((groups, row) => {
+    const name = row[key] || 'UNKNOWN';
+    groups[name] = groups[name] || { count: 0, premium: 0 };
+    groups[name].count++;
+    groups[name].premium += row.premiumRaw || 0;
+    return groups;
+  }, {});
+
+  return {
+    byAssetType: summarize('assetType'),
+    bySector: summarize('sector'),
+  };
+}
+
+export {
+  sicToSector,
+  getTickerInfo,
+  ensureTickerInfo,
+  annotateTickerInfo,
+  aggregateByReference,
+};
@@ -0,0 +1,427 @@
+/**
+ * Options Flow Trade Store
+ * Pluggable persistence for flow rows produced by routes/optionsFlow.js
+ *
+ * Every store implements the same async interface:
+ * - insert(trade) / insertMany(trades): upsert rows by trade.id
+ * - query({ from, to, ticker, minPremium, limit, readOnly }): rows newest first (from/to are epoch ms).
+ *   minPremium compares the order premium: a spread leg counts its whole order (spreadPremium).
+ *   readOnly: the caller will not modify the rows, so they may be shared instead of copied.
+ * - count(): number of stored rows
+ * - applyRetention({ maxRows, maxAgeMs }): delete rows outside the policy, returns number removed
+ *
+ * The SQLite and Supabase stores are wrapped in a current-session window (withSessionWindow):
+ * today's rows are kept in memory, so the live endpoints do not re-read and re-parse the whole
+ * session from the database on every request.
+ */
+
+import { getStorageDriver, getSqliteDb, getSupabaseClient } from './storage.js';
+import { getTradingDayRange } from './optionsCalculations.js';
+
+const SUPABASE_TABLE = process.env.SUPABASE_FLOW_TABLE || 'options_flow';
+const SUPABASE_PAGE_SIZE = 1000; // PostgREST default max rows per request
+// Above this many rows the session window is dropped and queries go to the store again
+const SESSION_WINDOW_MAX_ROWS = parseInt(process.env.SESSION_WINDOW_MAX_ROWS) || 250000;
+
+let tradeStore = null;
+
+/**
+ * Get the timestamp (epoch ms) used to order and prune a trade
+ */
+function getTradeTime(trade) {
+  const ts = trade.timestamp ? new Date(trade.timestamp).getTime() : NaN;
+  return isFinite(ts) ? ts : Date.now();
+}
+
+function getOrderPremium(trade) {
+  const premium = trade.premiumRaw || 0;
+  return trade.isSpread ? Math.max(premium, trade.spreadPremium || 0) : premium;
+}
+
+/**
+ * Apply query options to in-memory rows: filter, newest first, limit
+ */
+function selectTrades(trades, { from, to, ticker, minPremium, limit } = {}) {
+  // Parse each timestamp once; ids tie-break by code point, like SQLite's ORDER BY id
+  let entries = [];
+  for (const trade of trades) {
+    const ts = getTradeTime(trade);
+    if (from && ts < from) continue;
+    if (to && ts > to) continue;
+    if (ticker && trade.ticker !== ticker) continue;
+    if (minPremium && getOrderPremium(trade) < minPremium) continue;
+    entries.push({ ts, id: String(trade.id), trade });
+  }
+  entries.sort((a, b) => b.ts - a.ts || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0));
+  if (limit) {
+    entries = entries.slice(0, limit);
+  }
+  return entries.map(entry => entry.trade);
+}
+
+/**
+ * In-memory store (previous behaviour - lost on restart)
+ */
+function createMemoryTradeStore() {
+  const trades = new Map();
+
+  return {
+    driver: 'memory',
+
+    async insert(trade) {
+      trades.set(trade.id, trade);
+    },
+
+    async insertMany(list) {
+      list.forEach(trade => trades.set(trade.id, trade));
+    },
+
+    async query(options = {}) {
+      return selectTrades(trades.values(), options);
+    },
+
+    async count() {
+      return trades.size;
+    },
+
+    async applyRetention({ maxRows, maxAgeMs } = {}) {
+      let removed = 0;
+
+      if (maxAgeMs) {
+        const cutoff = Date.now() - maxAgeMs;
+        for (const [id, trade] of trades.entries()) {
+          if (getTradeTime(trade) < cutoff) {
+            trades.delete(id);
+            removed++;
+          }
+        }
+      }
+
+      if (maxRows && trades.size > maxRows) {
+        const oldestFirst = Array.from(trades.values()).sort((a, b) => getTradeTime(a) - getTradeTime(b));
+        oldestFirst.slice(0, trades.size - maxRows).forEach(trade => {
+          trades.delete(trade.id);
+          removed++;
+        });
+      }
+
+      return removed;
+    },
+  };
+}
+
+/**
+ * SQLite store (default) - survives restarts/redeploys
+ */
+function createSqliteTradeStore(db = getSqliteDb()) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS options_flow (
+      id TEXT PRIMARY KEY,
+      ts INTEGER NOT NULL,
+      ticker TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_options_flow_ts ON options_flow (ts);
+    CREATE INDEX IF NOT EXISTS idx_options_flow_ticker_ts ON options_flow (ticker, ts);
+  `);
+
+  const upsertStmt = db.prepare('INSERT OR REPLACE INTO options_flow (id, ts, ticker, data) VALUES (@id, @ts, @ticker, @data)');
+  const countStmt = db.prepare('SELECT COUNT(*) AS total FROM options_flow');
+  const deleteOlderStmt = db.prepare('DELETE FROM options_flow WHERE ts < ?');
+  const deleteOverflowStmt = db.prepare(`
+    DELETE FROM options_flow WHERE id IN (
+      SELECT id FROM options_flow ORDER BY ts ASC LIMIT ?
+    )
+  `);
+
+  const toRow = (trade) => ({
+    id: String(trade.id),
+    ts: getTradeTime(trade),
+    ticker: trade.ticker || 'UNKNOWN',
+    data: JSON.stringify(trade),
+  });
+
+  const upsertMany = db.transaction((list) => {
+    list.forEach(trade => upsertStmt.run(toRow(trade)));
+  });
+
+  return {
+    driver: 'sqlite',
+
+    async insert(trade) {
+      upsertStmt.run(toRow(trade));
+    },
+
+    async insertMany(list) {
+      if (list.length > 0) {
+        upsertMany(list);
+      }
+    },
+
+    async query({ from, to, ticker, minPremium, limit } = {}) {
+      const conditions = [];
+      const params = [];
+      if (from) {
+        conditions.push('ts >= ?');
+        params.push(from);
+      }
+      if (to) {
+        conditions.push('ts <= ?');
+        params.push(to);
+      }
+      if (ticker) {
+        conditions.push('ticker = ?');
+        params.push(ticker);
+      }
+      if (minPremium) {
+        // spreadPremium is only set on spread legs
+        conditions.push("(json_extract(data, '$.premiumRaw') >= ? OR json_extract(data, '$.spreadPremium') >= ?)");
+        params.push(minPremium, minPremium);
+      }
+
+      let sql = 'SELECT data FROM options_flow';
+      if (conditions.length > 0) {
+        sql += ` WHERE ${conditions.join(' AND ')}`;
+      }
+      sql += ' ORDER BY ts DESC, id DESC'; // id breaks ties so paging is stable
+      if (limit) {
+        sql += ' LIMIT ?';
+        params.push(limit);
+      }
+
+      return db.prepare(sql).all(...params).map(row => JSON.parse(row.data));
+    },
+
+    async count() {
+      return countStmt.get().total;
+    },
+
+    async applyRetention({ maxRows, maxAgeMs } = {}) {
+      let removed = 0;
+
+      if (maxAgeMs) {
+        removed += deleteOlderStmt.run(Date.now() - maxAgeMs).changes;
+      }
+
+      if (maxRows) {
+        const total = countStmt.get().total;
+        if (total > maxRows) {
+          removed += deleteOverflowStmt.run(total - maxRows).changes;
+        }
+      }
+
+      return removed;
+    },
+  };
+}
+
+/**
+ * Supabase/Postgres store
+ * Expects a table:
+ *   create table options_flow (id text primary key, ts bigint not null, ticker text not null, data jsonb not null);
+ *   create index on options_flow (ts);
+ *   create index on options_flow (ticker, ts);
+ */
+function createSupabaseTradeStore(client = getSupabaseClient(), table = SUPABASE_TABLE) {
+  const toRow = (trade) => ({
+    id: String(trade.id),
+    ts: getTradeTime(trade),
+    ticker: trade.ticker || 'UNKNOWN',
+    data: trade,
+  });
+
+  const check = ({ error }, action) => {
+    if (error) {
+      throw new Error(`Supabase ${action} failed: ${error.message}`);
+    }
+  };
+
+  return {
+    driver: 'supabase',
+
+    async insert(trade) {
+      check(await client.from(table).upsert(toRow(trade)), 'insert');
+    },
+
+    async insertMany(list) {
+      for (let i = 0; i < list.length; i += SUPABASE_PAGE_SIZE) {
+        check(await client.from(table).upsert(list.slice(i, i + SUPABASE_PAGE_SIZE).map(toRow)), 'insert');
+      }
+    },
+
+    async query({ from, to, ticker, minPremium, limit } = {}) {
+      const rows = [];
+      let offset = 0;
+
+      // PostgREST caps each response, so page until we have everything requested
+      while (true) {
+        const pageSize = limit ? Math.min(SUPABASE_PAGE_SIZE, limit - rows.length) : SUPABASE_PAGE_SIZE;
+        if (pageSize <= 0) break;
+
+        let request = client.from(table).select('data').order('ts', { ascending: false }).order('id', { ascending: false });
+        if (from) request = request.gte('ts', from);
+        if (to) request = request.lte('ts', to);
+        if (ticker) request = request.eq('ticker', ticker);
+        if (minPremium) request = request.or(`data->premiumRaw.gte.${minPremium},data->spreadPremium.gte.${minPremium}`);
+
+        const result = await request.range(offset, offset + pageSize - 1);
+        check(result, 'query');
+
+        const page = result.data || [];
+        rows.push(...page.map(row => row.data));
+        if (page.length < pageSize) break;
+        offset += pageSize;
+      }
+
+      return rows;
+    },
+
+    async count() {
+      const result = await client.from(table).select('id', { count: 'exact', head: true });
+      check(result, 'count');
+      return result.count || 0;
+    },
+
+    async applyRetention({ maxRows, maxAgeMs } = {}) {
+      let removed = 0;
+
+      if (maxAgeMs) {
+        const result = await client.from(table).delete({ count: 'exact' }).lt('ts', Date.now() - maxAgeMs);
+        check(result, 'retention');
+        removed += result.count || 0;
+      }
+
+      if (maxRows) {
+        // Find the timestamp of the oldest row we keep, delete everything before it
+        const boundary = await client.from(table).select('ts').order('ts', { ascending: false }).range(maxRows - 1, maxRows - 1);
+        check(boundary, 'retention');
+        const keepFrom = boundary.data?.[0]?.ts;
+        if (keepFrom) {
+          const result = await client.from(table).delete({ count: 'exact' }).lt('ts', keepFrom);
+          check(result, 'retention');
+          removed += result.count || 0;
+        }
+      }
+
+      return removed;
+    },
+  };
+}
+
+/**
+ * Keep the current ET session's rows in memory on top of a store
+ * Queries that start inside the session are answered from memory (as copies, since callers tag
+ * rows in place); anything reaching further back goes to the store. The window is primed with
+ * one store query per session and then follows insert/insertMany.
+ */
+function withSessionWindow(store) {
+  let session = null; // { date, from, to, rows: Map<id, trade>, ready: Promise, disabled }
+
+  const getSession = () => {
+    const range = getTradingDayRange();
+    if (session?.date === range.date) {
+      return session;
+    }
+
+    const current = { ...range, rows: new Map(), ready: null, disabled: false };
+    current.ready = store.query({ from: range.from, to: range.to })
+      .then((list) => {
+        // Rows inserted while priming are newer than what the query returned
+        list.forEach((trade) => {
+          if (!current.rows.has(trade.id)) current.rows.set(trade.id, trade);
+        });
+        checkSize(current);
+      })
+      .catch((error) => {
+        if (session === current) session = null; // Prime again on the next call
+        throw error;
+      });
+    current.ready.catch(() => {}); // Inserts prime without waiting; queries see the error
+    session = current;
+    return current;
+  };
+
+  const checkSize = (current) => {
+    if (!current.disabled && current.rows.size > SESSION_WINDOW_MAX_ROWS) {
+      console.warn(`⚠️ Session window passed ${SESSION_WINDOW_MAX_ROWS} rows - serving the rest of ${current.date} from the ${store.driver} store`);
+      current.disabled = true;
+      current.rows.clear();
+    }
+  };
+
+  const track = (list) => {
+    const current = getSession();
+    if (current.disabled) return;
+    list.forEach((trade) => {
+      const ts = getTradeTime(trade);
+      if (ts >= current.from && ts <= current.to) current.rows.set(trade.id, { ...trade });
+    });
+    checkSize(current);
+  };
+
+  return {
+    ...store,
+
+    async insert(trade) {
+      await store.insert(trade);
+      track([trade]);
+    },
+
+    async insertMany(list) {
+      await store.insertMany(list);
+      track(list);
+    },
+
+    async query(options = {}) {
+      const current = getSession();
+      if (!options.from || options.from < current.from || current.disabled) {
+        return store.query(options);
+      }
+      await current.ready;
+      if (current.disabled) {
+        return store.query(options);
+      }
+      const rows = selectTrades(current.rows.values(), options);
+      // Callers tag rows in place, so they get copies unless they only read
+      return options.readOnly ? rows : rows.map(trade => ({ ...trade }));
+    },
+  };
+}
+
+/**
+ * Create a trade store for the given driver (defaults to STORAGE_DRIVER)
+ */
+function createTradeStore(driver = getStorageDriver()) {
+  try {
+    if (driver === 'supabase') {
+      return withSessionWindow(createSupabaseTradeStore());
+    }
+    if (driver === 'sqlite') {
+      return withSessionWindow(createSqliteTradeStore());
+    }
+  } catch (error) {
+    console.error(`❌ Failed to open ${driver} trade store, falling back to memory:`, error.message);
+  }
+  return createMemoryTradeStore();
+}
+
+/**
+ * Shared trade store used by the options flow routes
+ */
+function getTradeStore() {
+  if (!tradeStore) {
+    tradeStore = createTradeStore();
+    console.log(`💾 Options flow trade store: ${tradeStore.driver}`);
+  }
+  return tradeStore;
+}
+
+export {
+  createTradeStore,
+  createMemoryTradeStore,
+  createSqliteTradeStore,
+  createSupabaseTradeStore,
+  withSessionWindow,
+  getTradeStore,
+  getOrderPremium,
+};
@@ -0,0 +1,331 @@
+/**
+ * Unusual Activity Baseline
+ * Rolling average daily volume and premium per option contract (and per underlying),
+ * so "unusual" means unusual for that contract rather than above a fixed 1K/5K/15K cutoff.
+ *
+ * Baselines come from the contract's daily bars (/v2/aggs, the endpoint proxied by
+ * routes/optionsBars.js) over the last VOLUME_BASELINE_DAYS sessions, excluding today.
+ * Contracts with too little history (new listings, weeklies) fall back to the underlying
+ * baseline: the spread of average daily volume across that underlying's loaded contracts.
+ *
+ * Today's volume is compared with the share of an average day expected by now
+ * (the regular session elapsed so far), as a z-score.
+ *
+ * Lookups run through a queue, MAX_CONCURRENT_LOOKUPS at a time. A failed lookup is not retried
+ * until its backoff expires (1 min, doubling per failure up to 30 min), and a 429 pauses the queue.
+ */
+
+import axios from 'axios';
+import { getEasternDateString } from './optionsCalculations.js';
+
+const MASSIVE_API_BASE = 'https://api.massive.com';
+const BASELINE_DAYS = parseInt(process.env.VOLUME_BASELINE_DAYS) || 20; // Sessions in the rolling window
+const MIN_BASELINE_DAYS = 5; // Fewer sessions than this falls back to the underlying baseline
+const MIN_UNDERLYING_CONTRACTS = 5; // Contracts with a baseline needed before the underlying has one
+const UNUSUAL_Z_SCORE = parseFloat(process.env.UNUSUAL_Z_SCORE) || 2; // z-score at which activity counts as unusual
+const FETCHES_PER_CALL = 25; // Lookups awaited per annotate call, the rest load in background
+const MAX_CONCURRENT_LOOKUPS = 4;
+const FAILURE_BACKOFF_MS = 60 * 1000; // Doubled after every failed lookup of a symbol
+const MAX_FAILURE_BACKOFF_MS = 30 * 60 * 1000;
+const RATE_LIMIT_PAUSE_MS = 30 * 1000; // Queue pause after a 429 without Retry-After
+const SESSION_OPEN_MINUTES = 9 * 60 + 30;
+const SESSION_CLOSE_MINUTES = 16 * 60;
+
+const baselineCache = new Map(); // { symbol: baseline | null } for baselineDate
+const underlyingStats = new Map(); // { underlying: { count, volume, volumeSq, premium, premiumSq } }
+const pendingLookups = new Map(); // { symbol: Promise }
+const failedLookups = new Map(); // { symbol: { failures, retryAt } }
+const lookupQueue = { urgent: [], background: [] }; // Awaited lookups run before background ones
+let activeLookups = 0;
+let pausedUntil = 0;
+let drainTimer = null;
+let baselineDate = null;
+
+function getApiKey() {
+  return process.env.MASSIVE_API_KEY || process.env.POLYGON_API_KEY;
+}
+
+function shiftDate(date, days) {
+  const d = new Date(`${date}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function getUnderlying(symbol) {
+  const match = String(symbol).match(/^O:([A-Z.]+?)\d{6}[CP]\d{8}$/);
+  return match ? match[1] : null;
+}
+
+// Baselines are built from completed sessions, so they only change when the ET date does
+function resetIfNewDay() {
+  const today = getEasternDateString();
+  if (baselineDate !== today) {
+    baselineDate = today;
+    baselineCache.clear();
+    underlyingStats.clear();
+    failedLookups.clear();
+  }
+}
+
+function meanAndStd(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return { mean, std: Math.sqrt(variance) };
+}
+
+/**
+ * Average/standard deviation of daily volume and premium from daily bars ({ v, vw, c })
+ */
+function computeBaseline(bars) {
+  const days = bars.filter(bar => Number.isFinite(bar.v));
+  if (days.length === 0) {
+    return null;
+  }
+
+  const volume = meanAndStd(days.map(bar => bar.v));
+  const premium = meanAndStd(days.map(bar => bar.v * (bar.vw || bar.c || 0) * 100));
+  return {
+    days: days.length,
+    avgVolume: volume.mean,
+    stdVolume: volume.std,
+    avgPremium: premium.mean,
+    stdPremium: premium.std,
+  };
+}
+
+function addToUnderlying(symbol, baseline) {
+  const underlying = getUnderlying(symbol);
+  if (!underlying || !baseline || baseline.days < MIN_BASELINE_DAYS) return;
+
+  const stats = underlyingStats.get(underlying) || { count: 0, volume: 0, volumeSq: 0, premium: 0, premiumSq: 0 };
+  stats.count++;
+  stats.volume += baseline.avgVolume;
+  stats.volumeSq += baseline.avgVolume ** 2;
+  stats.premium += baseline.avgPremium;
+  stats.premiumSq += baseline.avgPremium ** 2;
+  underlyingStats.set(underlying, stats);
+}
+
+/**
+ * Underlying baseline: mean and spread of average daily volume/premium across its loaded contracts
+ */
+function getUnderlyingBaseline(underlying) {
+  const stats = underlyingStats.get(underlying);
+  if (!stats || stats.count < MIN_UNDERLYING_CONTRACTS) {
+    return null;
+  }
+
+  const avgVolume = stats.volume / stats.count;
+  const avgPremium = stats.premium / stats.count;
+  return {
+    contracts: stats.count,
+    avgVolume,
+    stdVolume: Math.sqrt(Math.max(0, stats.volumeSq / stats.count - avgVolume ** 2)),
+    avgPremium,
+    stdPremium: Math.sqrt(Math.max(0, stats.premiumSq / stats.count - avgPremium ** 2)),
+  };
+}
+
+function isBackingOff(symbol, now = Date.now()) {
+  return (failedLookups.get(symbol)?.retryAt || 0) > now;
+}
+
+function recordFailure(symbol, error) {
+  const failures = (failedLookups.get(symbol)?.failures || 0) + 1;
+  const backoff = Math.min(FAILURE_BACKOFF_MS * 2 ** (failures - 1), MAX_FAILURE_BACKOFF_MS);
+  failedLookups.set(symbol, { failures, retryAt: Date.now() + backoff });
+
+  if (error.response?.status === 429) {
+    const retryAfter = parseFloat(error.response.headers?.['retry-after']);
+    const pause = Number.isFinite(retryAfter) ? retryAfter * 1000 : RATE_LIMIT_PAUSE_MS;
+    pausedUntil = Math.max(pausedUntil, Date.now() + pause);
+  } else {
+    console.error(`❌ Volume baseline lookup failed for ${symbol}:`, error.message);
+  }
+}
+
+/**
+ * Start queued lookups up to MAX_CONCURRENT_LOOKUPS (waits out a rate-limit pause)
+ */
+function drainLookups() {
+  const wait = pausedUntil - Date.now();
+  if (wait > 0) {
+    if (!drainTimer) {
+      drainTimer = setTimeout(() => {
+        drainTimer = null;
+        drainLookups();
+      }, wait);
+    }
+    return;
+  }
+
+  while (activeLookups < MAX_CONCURRENT_LOOKUPS) {
+    const next = lookupQueue.urgent.shift() || lookupQueue.background.shift();
+    if (!next) return;
+    activeLookups++;
+    next().finally(() => {
+      activeLookups--;
+      drainLookups();
+    });
+  }
+}
+
+/**
+ * Fetch daily bars and compute one contract's baseline
+ */
+async function fetchBaseline(symbol) {
+  const today = baselineDate;
+  // Calendar days covering BASELINE_DAYS sessions plus weekends and holidays
+  const from = shiftDate(today, -Math.ceil(BASELINE_DAYS * 1.6) - 3);
+  const to = shiftDate(today, -1);
+
+  try {
+    const response = await axios.get(
+      `${MASSIVE_API_BASE}/v2/aggs/ticker/${encodeURIComponent(symbol)}/range/1/day/${from}/${to}`,
+      {
+        params: { adjusted: true, sort: 'desc', limit: BASELINE_DAYS, apiKey: getApiKey() },
+        timeout: 10000,
+      }
+    );
+    const baseline = computeBaseline(response.data?.results || []);
+    failedLookups.delete(symbol);
+    if (baselineDate === today) {
+      baselineCache.set(symbol, baseline);
+      addToUnderlying(symbol, baseline);
+    }
+    return baseline;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      // No bars for this contract: nothing to retry today
+      if (baselineDate === today) baselineCache.set(symbol, null);
+      return null;
+    }
+    recordFailure(symbol, error);
+    return null;
+  }
+}
+
+/**
+ * Queue one contract's baseline lookup (coalesced per symbol)
+ * @param {boolean} urgent - an annotate call is waiting for it
+ */
+function loadBaseline(symbol, urgent = false) {
+  if (pendingLookups.has(symbol)) {
+    return pendingLookups.get(symbol);
+  }
+
+  const request = new Promise((resolve) => {
+    lookupQueue[urgent ? 'urgent' : 'background'].push(() => fetchBaseline(symbol).then(resolve));
+  }).finally(() => {
+    pendingLookups.delete(symbol);
+  });
+
+  pendingLookups.set(symbol, request);
+  drainLookups();
+  return request;
+}
+
+/**
+ * Share of an average day's volume expected by now (regular session elapsed, 10% floor)
+ */
+function getSessionFraction(now = new Date()) {
+  const etTime = new Date(now.toLocaleString('en-US', { timeZone: 'America/New_York' }));
+  const minutes = etTime.getHours() * 60 + etTime.getMinutes();
+  const elapsed = (minutes - SESSION_OPEN_MINUTES) / (SESSION_CLOSE_MINUTES - SESSION_OPEN_MINUTES);
+  return Math.max(0.1, Math.min(1, elapsed));
+}
+
+function zScore(value, mean, std, fraction) {
+  const expected = mean * fraction;
+  // Floor the spread so thinly traded or perfectly steady contracts do not produce huge scores
+  const spread = Math.max(std * fraction, Math.sqrt(expected), 1);
+  return Math.round(((value - expected) / spread) * 100) / 100;
+}
+
+/**
+ * Score today's volume/premium for a contract against its baseline (null if none is loaded yet)
+ */
+function scoreAgainstBaseline(symbol, volume, premium, now = new Date()) {
+  resetIfNewDay();
+  const own = baselineCache.get(symbol);
+  const baseline = own && own.days >= MIN_BASELINE_DAYS ? own : getUnderlyingBaseline(getUnderlying(symbol));
+  if (!baseline) {
+    return null;
+  }
+
+  const fraction = getSessionFraction(now);
+  const volumeZScore = zScore(volume, baseline.avgVolume, baseline.stdVolume, fraction);
+  return {
+    volumeZScore,
+    premiumZScore: zScore(premium, baseline.avgPremium, baseline.stdPremium, fraction),
+    avgDailyVolume: Math.round(baseline.avgVolume),
+    avgDailyPremium: Math.round(baseline.avgPremium),
+    baselineSource: baseline === own ? 'contract' : 'underlying',
+    isUnusual: volumeZScore >= UNUSUAL_Z_SCORE,
+  };
+}
+
+/**
+ * Score a live print from baselines already loaded, without waiting on a lookup
+ * (a missing baseline is queued in the background so later prints are scored)
+ * @param {string} symbol - option symbol
+ * @param {number} volume - the contract's day volume so far
+ * @param {number} price - option price, for the day premium
+ */
+function scoreCachedBaseline(symbol, volume, price) {
+  resetIfNewDay();
+  if (!baselineCache.has(symbol) && getApiKey() && !isBackingOff(symbol)) {
+    loadBaseline(symbol);
+  }
+  return scoreAgainstBaseline(symbol, volume, volume * price * 100);
+}
+
+/**
+ * Make sure baselines are loaded for these contracts: the first FETCHES_PER_CALL missing
+ * ones are awaited (unless the queue is paused by a 429), the rest are queued for later calls.
+ * Contracts whose last lookup failed are skipped until their backoff expires.
+ * @param {Array<string>} symbols - option symbols
+ */
+async function loadVolumeBaselines(symbols) {
+  resetIfNewDay();
+  if (!getApiKey()) return;
+
+  const now = Date.now();
+  const missing = [...new Set(symbols)]
+    .filter(symbol => symbol && !baselineCache.has(symbol) && !isBackingOff(symbol, now));
+  const awaited = pausedUntil > now ? 0 : FETCHES_PER_CALL;
+  const lookups = missing.slice(0, awaited).map(symbol => loadBaseline(symbol, true));
+  missing.slice(awaited).forEach(symbol => loadBaseline(symbol));
+  await Promise.all(lookups);
+}
+
+/**
+ * Tag rows in place with volumeZScore, premiumZScore, avgDailyVolume, avgDailyPremium,
+ * baselineSource and isUnusual (rows without a baseline yet are left untouched)
+ * @param {Array} rows - flow rows (rawSymbol) or scanner alerts (contract), with day `volume` and `price`
+ */
+async function annotateVolumeBaseline(rows) {
+  const list = rows.filter(row => row && !Array.isArray(row) && (row.rawSymbol || row.contract));
+  const symbolOf = row => row.rawSymbol || row.contract;
+  await loadVolumeBaselines(list.map(symbolOf));
+
+  list.forEach((row) => {
+    const volume = row.volume || 0;
+    const dayPremium = volume * (parseFloat(row.price) || 0) * 100;
+    const score = scoreAgainstBaseline(symbolOf(row), volume, dayPremium);
+    if (score) {
+      Object.assign(row, score);
+    }
+  });
+
+  return rows;
+}
+
+export {
+  UNUSUAL_Z_SCORE,
+  computeBaseline,
+  scoreAgainstBaseline,
+  scoreCachedBaseline,
+  loadVolumeBaselines,
+  annotateVolumeBaseline,
+};
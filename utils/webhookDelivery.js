@@ -0,0 +1,267 @@
+/**
+ * Webhook Delivery
+ * Sends triggered alerts to a rule's webhook as a generic JSON event or as a
+ * Discord/Slack-style message, with HMAC signing and retries.
+ *
+ * Signing (when the webhook has a secret):
+ *   X-SweepAlgo-Timestamp: <unix ms>
+ *   X-SweepAlgo-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ * Receivers should recompute the signature over the raw body and reject stale timestamps.
+ *
+ * Network errors, timeouts, 408, 429 and 5xx are retried with exponential backoff
+ * (Retry-After is honoured); any other response ends the delivery.
+ *
+ * Webhooks must be https and resolve to public addresses (loopback, private, link-local and
+ * reserved ranges are refused), checked when a rule is saved and again on every delivery.
+ * Hosts in ALERT_WEBHOOK_ALLOWED_HOSTS skip both checks, e.g. for a receiver on the local network.
+ */
+
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+import axios from 'axios';
+
+const WEBHOOK_FORMATS = ['json', 'discord', 'slack'];
+const MAX_ATTEMPTS = parseInt(process.env.ALERT_WEBHOOK_MAX_ATTEMPTS) || 4; // First try plus 3 retries
+const RETRY_BASE_MS = parseInt(process.env.ALERT_WEBHOOK_RETRY_MS) || 1000; // Doubled after every failed attempt
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+const REQUEST_TIMEOUT_MS = 5000;
+const USER_AGENT = 'SweepAlgo-Webhooks/1.0';
+
+// Loopback, private, shared, link-local, documentation, multicast and reserved ranges
+// (BlockList also matches IPv4-mapped IPv6 addresses against the IPv4 subnets)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function getAllowedHosts() {
+  return (process.env.ALERT_WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolve a host, refusing it if any of its addresses is internal
+ * @returns {Promise<Array<{ address, family }>>}
+ */
+async function lookupPublicAddresses(hostname) {
+  let addresses;
+  try {
+    addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+  } catch (error) {
+    throw new Error(`Webhook host ${hostname} does not resolve`);
+  }
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new Error(`Webhook host ${hostname} resolves to a loopback, private or reserved address`);
+  }
+  return addresses;
+}
+
+/**
+ * Validate a webhook URL: https and public addresses only, unless the host is allow-listed
+ * @returns {Promise<{ url: URL, allowListed: boolean }>}
+ * @throws Error with a readable message
+ */
+async function checkWebhookTarget(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new Error('"webhook.url" must be a valid URL');
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (getAllowedHosts().includes(hostname)) {
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw new Error('"webhook.url" must be http(s)');
+    }
+    return { url, allowListed: true };
+  }
+
+  if (url.protocol !== 'https:') {
+    throw new Error('"webhook.url" must be https (hosts in ALERT_WEBHOOK_ALLOWED_HOSTS may use http)');
+  }
+  await lookupPublicAddresses(hostname);
+  return { url, allowListed: false };
+}
+
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function formatMoney(value) {
+  const amount = Number(value) || 0;
+  if (amount >= 1000000) return `$${(amount / 1000000).toFixed(2)}M`;
+  if (amount >= 1000) return `$${(amount / 1000).toFixed(0)}K`;
+  return `$${amount.toFixed(0)}`;
+}
+
+/**
+ * One-line title and display fields for a flow row or scanner alert
+ */
+function describeAlert(source, data) {
+  const ticker = data.ticker || data.symbol;
+  const strike = data.strikeRaw ?? data.strike;
+  const dte = data.dteRaw ?? data.dte;
+  const premium = data.premiumRaw || 0;
+  const bullish = source === 'scanner'
+    ? data.type === 'CALL'
+    : ['BULL', 'BULLISH'].includes(String(data.sentiment).toUpperCase());
+
+  const title = `${ticker} $${strike} ${data.type} ${dte}d - ${formatMoney(premium)}${data.tradeType ? ` ${data.tradeType}` : ''}`;
+  const fields = source === 'scanner'
+    ? [
+      { name: 'Score', value: String(data.score ?? '-') },
+      { name: 'Price', value: `$${data.price}` },
+      { name: 'Volume / OI', value: `${data.volume ?? 0} / ${data.oi ?? 0}` },
+      { name: 'Expiry', value: String(data.expiry || '-') },
+    ]
+    : [
+      { name: 'Side', value: String(data.side || '-') },
+      { name: 'Size @ Price', value: `${data.size ?? 0} @ $${data.price}` },
+      { name: 'Sentiment', value: String(data.sentiment || '-') },
+      { name: 'Expiry', value: String(data.expiration || data.expirationDate || '-').slice(0, 10) },
+    ];
+
+  return { title, fields, bullish };
+}
+
+/**
+ * Request body for a triggered alert in the webhook's format
+ * @param {string} format - 'json' | 'discord' | 'slack'
+ * @param {Object} event - { id, rule: { id, name }, source: 'flow'|'scanner', triggeredAt, data }
+ */
+function formatAlertPayload(format, event) {
+  const { title, fields, bullish } = describeAlert(event.source, event.data);
+  const heading = `🚨 ${event.rule.name}`;
+
+  if (format === 'discord') {
+    return {
+      username: 'SweepAlgo',
+      content: heading,
+      embeds: [{
+        title,
+        color: bullish ? 0x4ADE80 : 0xF87171,
+        fields: fields.map(field => ({ ...field, inline: true })),
+        footer: { text: `${event.source} alert · rule ${event.rule.id}` },
+        timestamp: event.triggeredAt,
+      }],
+    };
+  }
+
+  if (format === 'slack') {
+    return {
+      text: `${heading}: ${title}`,
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text: `*${heading}*\n${title}` } },
+        { type: 'section', fields: fields.map(field => ({ type: 'mrkdwn', text: `*${field.name}*\n${field.value}` })) },
+        { type: 'context', elements: [{ type: 'mrkdwn', text: `${event.source} alert · ${event.triggeredAt}` }] },
+      ],
+    };
+  }
+
+  return {
+    event: 'alert.triggered',
+    id: event.id,
+    rule: event.rule,
+    source: event.source,
+    triggeredAt: event.triggeredAt,
+    title,
+    data: event.data,
+  };
+}
+
+function isRetryable(status) {
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+function getRetryDelay(attempt, retryAfter, retryBaseMs) {
+  const seconds = parseFloat(retryAfter);
+  const delay = Number.isFinite(seconds) ? seconds * 1000 : retryBaseMs * 2 ** (attempt - 1);
+  return Math.min(delay, MAX_RETRY_DELAY_MS);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * POST an alert to a webhook, retrying transient failures
+ * @param {Object} webhook - { url, format, secret }
+ * @param {Object} event - see formatAlertPayload
+ * @param {Object} options - { maxAttempts, retryBaseMs } (defaults from ALERT_WEBHOOK_MAX_ATTEMPTS / ALERT_WEBHOOK_RETRY_MS)
+ * @returns {Promise<{ status: 'delivered'|'failed', attempts, responseStatus, error, deliveredAt }>}
+ */
+async function deliverWebhook(webhook, event, { maxAttempts = MAX_ATTEMPTS, retryBaseMs = RETRY_BASE_MS } = {}) {
+  // DNS can change after the rule was saved: check again, and connect only to the checked addresses
+  let target;
+  try {
+    target = await checkWebhookTarget(webhook.url);
+  } catch (error) {
+    return { status: 'failed', attempts: 0, responseStatus: null, error: error.message, deliveredAt: null };
+  }
+  const lookup = target.allowListed ? undefined : lookupPublicAddresses;
+
+  const body = JSON.stringify(formatAlertPayload(webhook.format, event));
+  let responseStatus = null;
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const timestamp = String(Date.now());
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': USER_AGENT,
+      'X-SweepAlgo-Event': 'alert.triggered',
+      'X-SweepAlgo-Delivery': event.id,
+      'X-SweepAlgo-Timestamp': timestamp,
+    };
+    if (webhook.secret) {
+      headers['X-SweepAlgo-Signature'] = signPayload(webhook.secret, timestamp, body);
+    }
+
+    let retryAfter = null;
+    try {
+      const response = await axios.post(webhook.url, body, {
+        headers,
+        timeout: REQUEST_TIMEOUT_MS,
+        maxRedirects: 0,
+        lookup,
+        validateStatus: () => true,
+      });
+      responseStatus = response.status;
+      if (response.status >= 200 && response.status < 300) {
+        return { status: 'delivered', attempts: attempt, responseStatus, error: null, deliveredAt: new Date().toISOString() };
+      }
+      lastError = `HTTP ${response.status}`;
+      retryAfter = response.headers?.['retry-after'];
+    } catch (error) {
+      responseStatus = null;
+      lastError = error.message;
+    }
+
+    if (!isRetryable(responseStatus) || attempt === maxAttempts) {
+      return { status: 'failed', attempts: attempt, responseStatus, error: lastError, deliveredAt: null };
+    }
+    await sleep(getRetryDelay(attempt, retryAfter, retryBaseMs));
+  }
+
+  return { status: 'failed', attempts: maxAttempts, responseStatus, error: lastError, deliveredAt: null };
+}
+
+export {
+  WEBHOOK_FORMATS,
+  signPayload,
+  checkWebhookTarget,
+  formatAlertPayload,
+  deliverWebhook,
+};